@@ -4,12 +4,41 @@ const express = require('express');
 const axios = require('axios');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
+const { LaunchLedger, isFailedState } = require('./services/launchLedger');
+const LaunchPipeline = require('./services/launchPipeline');
+const ApprovalQueue = require('./services/approvalQueue');
+const BudgetGuard = require('./services/budgetGuard');
+const aiEnsemble = require('./services/aiEnsemble');
+const SentimentAnalyzer = require('./services/sentimentAnalyzer');
+const structuredOutput = require('./services/structuredOutput');
+const ModelRouter = require('./services/modelRouter');
+const CircuitBreaker = require('./services/circuitBreaker');
+const TwitterMonitor = require('./services/twitterMonitor');
+const AccountRegistry = require('./services/accountRegistry');
+const { createTweetSources, tweetMetadata } = require('./services/tweetSources');
+const twitterUserResolver = require('./services/twitterUserResolver');
+const createResolveRouter = require('./monitoring/resolve');
+const TweetBuffer = require('./services/tweetBuffer');
+const VelocityTracker = require('./services/velocityTracker');
+const EventStream = require('./services/eventStream');
+const { createNotifier } = require('./services/notifier');
+const { createAccessControl } = require('./services/accessControl');
+const { loadDataset, resolveDatasetPath, listDatasets, sortChronological, DatasetRecorder } = require('./services/tweetDataset');
+const SimulationReplay = require('./services/simulationReplay');
+const { Backtester, AnalysisCache } = require('./services/backtester');
+const PaperPortfolio = require('./services/paperPortfolio');
+const { createPriceFeed } = require('./services/priceFeeds');
+const { createSplTokenAdapter, mockToken } = require('./services/splTokenAdapter');
+const { createLaunchServices } = require('./services/launchServices');
 
 // ---------- Express setup ----------
 const app = express();
 app.set('trust proxy', 1);
 app.use(express.json({ limit: '1mb' }));
-app.use(cors());
+
+// CORS_ORIGINS: comma-separated allow-list; unset or '*' allows any origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(s => s.trim()).filter(Boolean);
+app.use(cors(CORS_ORIGINS.includes('*') ? {} : { origin: CORS_ORIGINS }));
 
 app.use(
   rateLimit({
@@ -21,29 +50,56 @@ app.use(
   })
 );
 
+// Auth (API_KEYS / JWT_SECRET): /api and /monitoring need at least viewer, and anything other than
+// a read needs operator unless the route asks for admin. The SSE stream may use ?access_token=.
+const access = createAccessControl(process.env);
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const authenticate = access.middleware();
+const requireOperator = access.requireRole('operator');
+const requireAdmin = access.requireRole('admin');
+app.use('/api/events', access.middleware({ allowQuery: true }));
+app.use(['/api', '/monitoring'], (req, res, next) => (req.auth ? next() : authenticate(req, res, next)));
+app.use(['/api', '/monitoring'], (req, res, next) => (READ_METHODS.has(req.method) ? next() : requireOperator(req, res, next)));
+
+// Non-test launches are admin-only (AccessControl#refuseLiveLaunch sends the 403)
+const refuseLiveLaunch = (req, res, testMode) => access.refuseLiveLaunch(req, res, testMode);
+
 const PORT = process.env.PORT || 8080;
 
 // ---------- ENV & Config ----------
-const TWITTER_API_KEY = process.env.TWITTER_API_KEY || '';
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '';
 
-const PRIORITY = (process.env.PRIORITY_ACCOUNTS || '')
-  .split(',').map(s => s.trim()).filter(Boolean).slice(0, 3);
-const BASE = (process.env.TWITTER_ACCOUNTS || '')
+// Monitored accounts: PRIORITY_ACCOUNTS / TWITTER_ACCOUNTS seed data/accounts.json on first start,
+// after that they are managed through /api/accounts
+const ENV_PRIORITY = (process.env.PRIORITY_ACCOUNTS || '')
+  .split(',').map(s => s.trim()).filter(Boolean);
+const ENV_BASE = (process.env.TWITTER_ACCOUNTS || '')
   .split(',').map(s => s.trim()).filter(Boolean)
-  .filter(h => !PRIORITY.includes(h))
-  .slice(0, Math.max(0, 5 - PRIORITY.length));
+  .filter(h => !ENV_PRIORITY.includes(h));
+
+const accounts = new AccountRegistry({
+  filePath: process.env.ACCOUNTS_FILE || undefined,
+  maxPriority: Math.max(0, parseInt(process.env.MAX_PRIORITY_ACCOUNTS || '3', 10)),
+  maxBase: Math.max(0, parseInt(process.env.MAX_BASE_ACCOUNTS || '5', 10)),
+  maxTotal: Math.max(0, parseInt(process.env.MAX_ACCOUNTS || '5', 10)),
+  seed: { priority: ENV_PRIORITY, base: ENV_BASE },
+});
 
 const PRIORITY_INTERVAL_MS = Math.max(60_000,  parseInt(process.env.PRIORITY_INTERVAL_MS || '60000', 10));
 const BASE_INTERVAL_MS     = Math.max(600_000, parseInt(process.env.BASE_INTERVAL_MS || '600000', 10));
 const PER_REQUEST_GAP_MS   = Math.max(10_000,  parseInt(process.env.PER_REQUEST_GAP_MS || '10000', 10));
 const BURST_WINDOW_MS      = Math.max(300_000, parseInt(process.env.BURST_WINDOW_MS || '300000', 10));
 const SUSPEND_COOLDOWN_MS  = Math.max(15*60_000, parseInt(process.env.SUSPEND_COOLDOWN_MS || '1800000', 10));
+const HANDLE_MISS_TTL_MS   = Math.max(0, parseInt(process.env.HANDLE_MISS_TTL_MS || '3600000', 10));
 const DEBUG = /^true$/i.test(process.env.DEBUG_LOGS || 'false');
 
-const AI_MODE              = process.env.AI_ENSEMBLE_MODE || 'adaptive';
-const ENSEMBLE_VOTING      = process.env.ENSEMBLE_VOTING || 'weighted';
+const AI_MODE              = (process.env.AI_ENSEMBLE_MODE || 'adaptive').toLowerCase();
+const ENSEMBLE_VOTING      = (process.env.ENSEMBLE_VOTING || 'weighted').toLowerCase();
 const CONFIDENCE_THRESHOLD = Math.min(1, Math.max(0, parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.85')));
+// Every launch analysis also gets a SentimentAnalyzer read (ensemble sentiment/viral/impact plus the
+// tweet's metadata), which moves the verdict's confidence by LAUNCH_SENTIMENT_WEIGHT
+const LAUNCH_SENTIMENT     = !/^false$/i.test(process.env.LAUNCH_SENTIMENT || 'true');
+const LAUNCH_SENTIMENT_WEIGHT = Math.min(1, Math.max(0, parseFloat(process.env.LAUNCH_SENTIMENT_WEIGHT || '0.25') || 0));
 const MODEL_PRIMARY        = process.env.PRIMARY_MODEL   || 'deepseek/deepseek-r1';
 const MODEL_SECONDARY      = process.env.SECONDARY_MODEL || 'anthropic/claude-3-haiku';
 const MODEL_PREMIUM        = process.env.PREMIUM_MODEL   || 'anthropic/claude-3.5-sonnet';
@@ -51,38 +107,103 @@ const MODEL_BACKUP         = process.env.BACKUP_MODEL    || 'qwen/qwen-2.5-72b-i
 
 let CURRENT_MODE = (process.env.MODE_DEFAULT || 'simulation').toLowerCase();
 
-// Enhanced Stats Tracking
-const systemStats = {
-  totalInvested: 0,
-  tweetsAnalyzed: 0,
-  tokensCreated: 0,
-  successRate: 0,
-  launchQueue: [],
-  totalLaunches: 0,
-  successfulLaunches: 0,
-  totalCosts: 0,
-  avgConfidence: 0,
-  websitesGenerated: 0,
-  activeTrades: 0
+// Launch approvals: production (default) holds non-test launches for review, all holds every launch, off disables
+const APPROVAL_MODE      = (process.env.APPROVAL_MODE || 'production').toLowerCase();
+const APPROVAL_EXPIRY_MS = Math.max(60_000, parseInt(process.env.APPROVAL_EXPIRY_MS || '900000', 10));
+
+// Launch ledger (persistent stats + launch history; LEDGER_DRIVER=file|postgres)
+const ledger = new LaunchLedger();
+
+// Engagement velocity: metrics re-polled at these minutes after a tweet is first seen; crossing
+// VELOCITY_THRESHOLD (weighted engagements/min) re-analyzes the tweet for launch, whatever its tier
+const VELOCITY_ENABLED        = /^true$/i.test(process.env.VELOCITY_ENABLED || 'true');
+const VELOCITY_CHECKPOINTS_MS = (process.env.VELOCITY_CHECKPOINTS_MIN || '2,5,15')
+  .split(',').map(s => parseFloat(s)).filter(n => n > 0).map(n => Math.round(n * 60_000));
+const VELOCITY_THRESHOLD      = Math.max(0, parseFloat(process.env.VELOCITY_THRESHOLD || '50'));
+
+// Real-time events (/ws, /api/events): ring buffer size and default replay on connect
+const events = new EventStream({
+  bufferSize: Math.max(1, parseInt(process.env.EVENT_BUFFER_SIZE || '200', 10)),
+  defaultReplay: Math.max(0, parseInt(process.env.EVENT_REPLAY_DEFAULT || '20', 10)),
+});
+
+// Simulation envs. SIMULATION_DATASET (JSON/NDJSON files, comma-separated) replaces live fetching;
+// SIMULATION_RECORD_FILE records live monitor output in the same format.
+const SIM_ENABLED     = /^true$/i.test(process.env.SIMULATION_ENABLED || 'true');
+const SIM_REAL        = /^true$/i.test(process.env.SIMULATION_USE_REAL_TWEETS || 'true');
+const SIM_LOOKBACK    = Math.max(10, parseInt(process.env.SIMULATION_LOOKBACK_MINUTES || '120', 10));
+const SIM_SPEED       = Math.max(0.1, parseFloat(process.env.SIMULATION_SPEED_MULTIPLIER || '1'));
+const SIM_RANDOM      = /^true$/i.test(process.env.SIMULATION_RANDOMIZE_START || 'true');
+const SIM_SEED        = process.env.SIMULATION_SEED || null;
+const SIM_MAX_GAP_MS  = Math.max(0, parseFloat(process.env.SIMULATION_MAX_GAP_SECONDS || '0') * 1000);
+const SIM_DATASET     = (process.env.SIMULATION_DATASET || '').split(',').map(s => s.trim()).filter(Boolean);
+const SIM_RECORD_FILE = process.env.SIMULATION_RECORD_FILE || null;
+
+// Launch pipeline retries (extra attempts per step after the first failure)
+const LAUNCH_RETRIES         = Math.max(0, parseInt(process.env.LAUNCH_RETRIES || '2', 10));
+const LAUNCH_RETRY_DELAY_MS  = Math.max(0, parseInt(process.env.LAUNCH_RETRY_DELAY_MS || '2000', 10));
+const stepRetries = (step) => {
+  const v = process.env[`LAUNCH_RETRIES_${step.toUpperCase()}`];
+  return v === undefined ? LAUNCH_RETRIES : Math.max(0, parseInt(v, 10) || 0);
 };
 
-// Simulation envs
-const SIM_ENABLED   = /^true$/i.test(process.env.SIMULATION_ENABLED || 'true');
-const SIM_REAL      = /^true$/i.test(process.env.SIMULATION_USE_REAL_TWEETS || 'true');
-const SIM_LOOKBACK  = Math.max(10, parseInt(process.env.SIMULATION_LOOKBACK_MINUTES || '120', 10));
-const SIM_MAX_PER   = Math.max(1, parseInt(process.env.SIMULATION_MAX_TWEETS_PER_CYCLE || '4', 10));
-const SIM_SPEED     = Math.max(0.1, parseFloat(process.env.SIMULATION_SPEED_MULTIPLIER || '1'));
-const SIM_RANDOM    = /^true$/i.test(process.env.SIMULATION_RANDOMIZE_START || 'true');
+// Model router: catalogue from MODEL_CATALOGUE_FILE (JSON) or the built-in table
+const modelRouter = new ModelRouter({ strategy: process.env.ROUTER_STRATEGY });
+if (process.env.MODEL_CATALOGUE_FILE) {
+  try {
+    modelRouter.loadCatalogue(process.env.MODEL_CATALOGUE_FILE);
+  } catch (e) {
+    console.error(`❌ Model catalogue not loaded: ${e.message}`);
+  }
+}
+for (const m of [MODEL_PRIMARY, MODEL_SECONDARY, MODEL_PREMIUM, MODEL_BACKUP]) modelRouter.registerModel(m);
+
+// LLM failover: premium → primary → secondary → backup, skipping models whose breaker is open
+const FAILOVER_CHAIN        = [...new Set([MODEL_PREMIUM, MODEL_PRIMARY, MODEL_SECONDARY, MODEL_BACKUP])];
+const FAILOVER_BACKOFF_MS   = Math.max(0, parseInt(process.env.FAILOVER_BACKOFF_MS || '500', 10));
+const breaker = new CircuitBreaker({
+  failureThreshold: Math.max(1, parseInt(process.env.BREAKER_FAILURE_THRESHOLD || '3', 10)),
+  cooldownMs: Math.max(1000, parseInt(process.env.BREAKER_COOLDOWN_MS || '60000', 10)),
+});
+
+// Budget controls (USD)
+const MONTHLY_BUDGET_LIMIT      = Math.max(0, parseFloat(process.env.MONTHLY_BUDGET_LIMIT || '50'));
+const AUTO_THROTTLE_AT_PERCENT  = Math.max(0, parseFloat(process.env.AUTO_THROTTLE_AT_PERCENT || '80'));
+const EMERGENCY_STOP_AT_PERCENT = Math.max(0, parseFloat(process.env.EMERGENCY_STOP_AT_PERCENT || '95'));
+const BUDGET_THROTTLE_FACTOR    = Math.max(1, parseFloat(process.env.BUDGET_THROTTLE_FACTOR || '2'));
+const SOL_PRICE_USD             = Math.max(0, parseFloat(process.env.SOL_PRICE_USD || '150'));
+
+const budget = new BudgetGuard({
+  filePath: process.env.BUDGET_FILE || undefined,
+  monthlyLimit: MONTHLY_BUDGET_LIMIT,
+  throttleAtPercent: AUTO_THROTTLE_AT_PERCENT,
+  emergencyStopAtPercent: EMERGENCY_STOP_AT_PERCENT,
+  throttleFactor: BUDGET_THROTTLE_FACTOR,
+  modelPrices: (() => {
+    let overrides = {};
+    try { overrides = JSON.parse(process.env.MODEL_PRICES || '{}'); } catch { /* ignore */ }
+    return { ...modelRouter.getPriceTable(), ...overrides };
+  })(),
+});
 
 // ---------- HTTP clients ----------
-const twitterHttp = axios.create({
-  baseURL: 'https://api.twitterapi.io',
-  headers: { 'X-API-Key': TWITTER_API_KEY },
-  timeout: 12000,
+// Tweet sources: TwitterAPI.io / RapidAPI / official X API, picked and ordered by TWEET_SOURCES.
+// Every answered request is billable at the provider's per-request cost.
+const tweetSources = createTweetSources(process.env, {
+  onResponse: (source) => budget.record('twitter', source.costPerRequest),
 });
 
+// Handles missing from data/userIdCache.json are looked up through the tweet source and cached;
+// lookups are billed like any other request and refused under a budget stop
+if (tweetSources.configured) {
+  twitterUserResolver.setNetworkLookup((h) => {
+    budget.assertCanSpend(`@${h} lookup`);
+    return tweetSources.lookupUser(h);
+  }, { missTtlMs: HANDLE_MISS_TTL_MS });
+}
+
 const openrouterHttp = axios.create({
-  baseURL: 'https://openrouter.ai/api/v1',
+  baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
   headers: {
     Authorization: `Bearer ${OPENROUTER_API_KEY || 'missing'}`,
     'Content-Type': 'application/json',
@@ -90,91 +211,276 @@ const openrouterHttp = axios.create({
   timeout: 30000,
 });
 
+// Every launch state change goes out on the 'launch' topic
+ledger.on('transition', (rec, previous) => events.publish('launch', {
+  id: rec.id,
+  status: rec.status,
+  previous,
+  author: rec.author,
+  mode: rec.mode,
+  testMode: rec.testMode,
+  confidence: rec.confidence,
+  tweetId: rec.tweet?.id || null,
+  token: rec.steps?.token?.token ? { name: rec.steps.token.token.name, symbol: rec.steps.token.token.symbol, address: rec.steps.token.token.address } : null,
+  cost: rec.cost,
+  error: rec.error,
+}));
+
+// ---------- Notifications ----------
+// Outbound webhook / Telegram / Discord (NOTIFY_WEBHOOK_URL, TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID,
+// DISCORD_WEBHOOK_URL), each with its own event filter
+const notifier = createNotifier(process.env);
+
+function launchFields(rec) {
+  const token = rec.steps?.token?.token || rec.analysis?.tokenSuggestion || {};
+  return [
+    { name: 'Token', value: token.name ? `${token.name} ($${token.symbol})` : 'n/a' },
+    { name: 'Author', value: rec.author ? `@${rec.author}` : 'n/a' },
+    { name: 'Confidence', value: rec.confidence != null ? Number(rec.confidence).toFixed(2) : 'n/a' },
+    { name: 'Mode', value: `${rec.mode}${rec.testMode ? ' (test)' : ''}` },
+  ];
+}
+
+ledger.on('transition', (rec, previous) => {
+  const data = { launchId: rec.id, status: rec.status, previous, author: rec.author, tweetId: rec.tweet?.id || null };
+  if (rec.status === 'queued' && previous === null) {
+    notifier.notify('launch_started', { title: '🚀 Launch started', text: rec.tweet?.text || '', fields: launchFields(rec), data });
+  } else if (rec.status === 'completed') {
+    const token = rec.steps?.token?.token || {};
+    notifier.notify('launch_completed', {
+      title: '✅ Launch completed',
+      text: token.address ? `Token address: ${token.address}` : '',
+      fields: [...launchFields(rec), { name: 'Cost', value: `$${Number(rec.cost || 0).toFixed(3)}` }],
+      data: { ...data, token: rec.steps?.token?.token || null, website: rec.steps?.website?.website || null, cost: rec.cost },
+    });
+  } else if (isFailedState(rec.status)) {
+    notifier.notify('launch_failed', {
+      title: `❌ Launch failed at ${rec.status.replace(/^failed_at_/, '')}`,
+      text: rec.error || '',
+      fields: launchFields(rec),
+      data: { ...data, error: rec.error },
+    });
+  }
+});
+
+budget.on('state', ({ state, previous, percent }) => {
+  const titles = {
+    stopped: '🛑 Budget emergency stop',
+    throttled: '🐢 Budget throttling',
+    ok: '💚 Budget back under thresholds',
+  };
+  notifier.notify('budget_threshold', {
+    title: titles[state] || `Budget ${state}`,
+    text: `${percent}% of $${MONTHLY_BUDGET_LIMIT} monthly budget used`,
+    fields: [
+      { name: 'State', value: `${previous} → ${state}` },
+      { name: 'Spent', value: `$${budget.monthSpend().toFixed(2)}` },
+    ],
+    data: { state, previous, percent, spent: budget.monthSpend(), monthlyLimit: MONTHLY_BUDGET_LIMIT },
+  });
+});
+
+// ---------- Paper Trading ----------
+// In paper_trading mode every completed launch is bought into a virtual SOL portfolio, marked to
+// market from PRICE_FEED_FILE / PRICE_FEED_URL and sold on take-profit, stop-loss or max hold
+const paper = new PaperPortfolio({
+  filePath: process.env.PAPER_FILE || undefined,
+  priceFeed: createPriceFeed(process.env),
+  startingSol: Math.max(0, parseFloat(process.env.PAPER_STARTING_SOL || '10')),
+  positionSol: Math.max(0, parseFloat(process.env.PAPER_POSITION_SOL || '0.5')),
+  slippagePercent: Math.max(0, parseFloat(process.env.PAPER_SLIPPAGE_PERCENT || '2')),
+  feePercent: Math.max(0, parseFloat(process.env.PAPER_FEE_PERCENT || '1')),
+  takeProfitMultiple: Math.max(0, parseFloat(process.env.PAPER_TAKE_PROFIT_MULTIPLE || '3')),
+  stopLossMultiple: Math.max(0, parseFloat(process.env.PAPER_STOP_LOSS_MULTIPLE || '0.5')),
+  maxHoldMs: Math.max(0, parseFloat(process.env.PAPER_MAX_HOLD_MINUTES || '0') * 60_000),
+  markIntervalMs: Math.max(1000, parseInt(process.env.PAPER_MARK_INTERVAL_MS || '30000', 10)),
+  solPriceUsd: SOL_PRICE_USD,
+});
+
+ledger.on('transition', (rec) => {
+  if (rec.status !== 'completed' || rec.mode !== 'paper_trading') return;
+  const token = rec.steps?.token?.token;
+  paper.buy({ address: token?.address, symbol: token?.symbol, name: token?.name, launchId: rec.id, tweetId: rec.tweet?.id || null })
+    .then(out => { if (!out.ok) console.warn(`⚠️ Paper buy skipped for launch ${rec.id}: ${out.error}`); })
+    .catch(e => console.error('Paper buy error:', e?.message || e));
+});
+
+paper.on('trade', (trade) => events.publish('paper', trade));
+
+// ---------- Approval Queue ----------
+const approvals = new ApprovalQueue({
+  filePath: process.env.APPROVALS_FILE || undefined,
+  expiryMs: APPROVAL_EXPIRY_MS,
+});
+
+function requiresApproval(testMode) {
+  if (APPROVAL_MODE === 'off') return false;
+  if (APPROVAL_MODE === 'all') return true;
+  return !testMode;
+}
+
+// ---------- Backtests ----------
+// Launch verdicts by tweet id (live monitor + backtests), so re-running a backtest with another
+// policy doesn't pay for the same analyses again
+const analysisCache = new AnalysisCache({ filePath: process.env.ANALYSIS_CACHE_FILE || undefined });
+
+const backtester = new Backtester({
+  // Cost is the budget delta around the call — approximate if live traffic spends at the same time
+  analyze: async (t) => {
+    const before = budget.monthSpend();
+    const analysis = await runLaunchAnalysis(t.text, t.author, tweetMetadata(t), { record: false });
+    return { analysis, costUsd: Math.max(0, budget.monthSpend() - before) };
+  },
+  cache: analysisCache,
+  filePath: process.env.BACKTESTS_FILE || undefined,
+  canAnalyze: () => budget.state() !== 'stopped',
+  defaults: {
+    threshold: CONFIDENCE_THRESHOLD,
+    solPriceUsd: SOL_PRICE_USD,
+    positionSol: Math.max(0, parseFloat(process.env.BACKTEST_POSITION_SOL || '1')),
+    feePercent: Math.max(0, parseFloat(process.env.BACKTEST_FEE_PERCENT || '1')),
+    launchCostSol: Math.max(0, parseFloat(process.env.BACKTEST_LAUNCH_COST_SOL || '0.1')),
+    horizon: process.env.BACKTEST_HORIZON || '24h',
+    successMultiple: Math.max(0, parseFloat(process.env.BACKTEST_SUCCESS_MULTIPLE || '2')),
+  },
+});
+
 // ---------- Monitor State ----------
-const lastSeenByHandle = {};
-const tweetsBuffer = [];
 const MAX_TWEETS = 300;
-
-let priorityTimer = null;
-let baseTimer = null;
-const burstTimers = new Map();
-const burstUntil = {};
-let suspendedUntil = 0;
-let lastPollAtPriority = null;
-let lastPollAtBase = null;
-let isMonitoring = false;
+const tweetBuffer = new TweetBuffer({ max: MAX_TWEETS });
+tweetBuffer.on('tweet', (t) => events.publish('tweets', t));
+tweetBuffer.on('edited', (t) => events.publish('tweets', t));
 
 // ---------- Simulation State ----------
-let simTimer = null;
+let simReplay = null;
 let simActive = false;
 let simDataset = [];
-let simIndex = 0;
+let simSource = null; // { type: 'files' | 'live', files? }
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 const dlog = (...a) => { if (DEBUG) console.log('[DEBUG]', ...a); };
 
 // ---------- Enhanced AI Analysis Functions ----------
-async function openrouterChat(model, systemPrompt, userPrompt) {
+// 429, 5xx and transport failures are the model's (or provider's) fault and worth failing over;
+// anything else (bad request, auth, budget stop, our own abort) is not.
+function isFailoverError(e) {
+  if (axios.isCancel(e) || e?.code === 'BUDGET_EXCEEDED') return false;
+  const st = e?.response?.status;
+  if (!st) return true;
+  return st === 429 || st >= 500;
+}
+
+// `model` may be null to let the ModelRouter pick one for `task`. With failover (default) the call
+// walks FAILOVER_CHAIN starting at `model`, backing off exponentially between hops.
+async function openrouterChat(model, systemPrompt, userPrompt, { signal, task = 'general', failover = true } = {}) {
   if (!OPENROUTER_API_KEY) {
     throw new Error('OPENROUTER_API_KEY missing');
   }
-  const res = await openrouterHttp.post('/chat/completions', {
-    model,
-    temperature: 0.3,
-    messages: [
-      { role: 'system', content: systemPrompt },
-      { role: 'user', content: userPrompt },
-    ],
-  });
+  if (!model) model = modelRouter.selectModel(task).model;
+  const chain = failover ? [model, ...FAILOVER_CHAIN.filter(m => m !== model)] : [model];
+  
+  let lastError = null;
+  let hops = 0;
+  for (const m of chain) {
+    if (!breaker.canRequest(m)) {
+      dlog(`Circuit open, skipping ${m}`);
+      lastError = lastError || new Error(`${m} circuit open`);
+      continue;
+    }
+    if (hops) await sleep(FAILOVER_BACKOFF_MS * 2 ** (hops - 1));
+    hops++;
+    try {
+      const content = await openrouterCall(m, systemPrompt, userPrompt, { signal });
+      breaker.recordSuccess(m);
+      if (m !== model) console.log(`↪️ ${model} unavailable, answered by ${m}`);
+      return content;
+    } catch (e) {
+      if (!isFailoverError(e)) throw e;
+      breaker.recordFailure(m, e);
+      lastError = e;
+      console.warn(`⚠️ ${m} failed (${e?.response?.status || e?.code || 'error'})${chain.length > 1 ? ', trying next model' : ''}`);
+    }
+  }
+  throw lastError || new Error('no model available');
+}
+
+// Single OpenRouter request; latency, outcome and cost are fed back to the router and budget.
+async function openrouterCall(model, systemPrompt, userPrompt, { signal } = {}) {
+  budget.assertCanSpend(`${model} call`);
+  
+  const started = Date.now();
+  let res;
+  try {
+    res = await openrouterHttp.post('/chat/completions', {
+      model,
+      temperature: 0.3,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt },
+      ],
+    }, { signal });
+  } catch (e) {
+    // Calls we aborted ourselves (ensemble quorum/deadline) say nothing about the model
+    if (!axios.isCancel(e)) modelRouter.recordModelPerformance(model, Date.now() - started, false);
+    throw e;
+  }
+  const cost = budget.recordModelUsage(model, res?.data?.usage);
+  modelRouter.recordModelPerformance(model, Date.now() - started, true, cost);
   return res?.data?.choices?.[0]?.message?.content?.trim() || '';
 }
 
-async function analyzeForLaunch(text, author = 'unknown') {
-  systemStats.tweetsAnalyzed++;
+// Ensemble calls go through openrouterChat so they share budget accounting, and the router fills
+// every ensemble slot the operator hasn't pinned (PRIMARY_MODEL, PREMIUM_MODEL, …) per task
+aiEnsemble.configure({
+  chat: openrouterChat,
+  route: (task, { exclude }) => modelRouter.selectModel(task, null, { exclude }).model,
+});
+const sentimentAnalyzer = new SentimentAnalyzer(aiEnsemble);
+
+function sentimentLabel(score) {
+  if (score >= 60) return 'POS';
+  if (score <= 40) return 'NEG';
+  return 'NEU';
+}
+
+// `metadata`: engagement, media, tags and referenced tweets (tweetMetadata of a normalized tweet)
+async function analyzeForLaunch(text, author = 'unknown', metadata = {}) {
+  const result = await runLaunchAnalysis(text, author, metadata);
+  events.publish('analysis', {
+    tweetId: metadata.id || null,
+    author,
+    text,
+    ok: result.ok,
+    shouldLaunch: !!result.shouldLaunch,
+    confidence: result.confidence,
+    tokenSuggestion: result.tokenSuggestion || null,
+    memeTheme: result.memeTheme || null,
+    sentiment: result.sentiment ? { score: result.sentiment.sentiment, signal: result.sentiment.signal } : null,
+    error: result.error || null,
+  });
+  return result;
+}
+
+// record: false keeps backtest analyses out of the live stats
+async function runLaunchAnalysis(text, author, metadata, { record = true } = {}) {
+  if (record) ledger.incrementCounter('tweetsAnalyzed');
   
   try {
-    const analysisPrompt = `
-    Analyze this tweet for meme coin launch potential. Consider:
-    - Viral potential and engagement likelihood
-    - Crypto relevance and market impact
-    - Author influence (${author})
-    - Meme-ability and token name suggestions
-    
-    Return JSON with:
-    {
-      "confidence": 0.0-1.0,
-      "shouldLaunch": boolean,
-      "tokenSuggestion": {"name": "TokenName", "symbol": "SYMBOL"},
-      "memeTheme": "ThemeDescription",
-      "viralScore": 0.0-1.0,
-      "reasoning": "Brief explanation"
-    }
-    `;
-    
-    const content = await openrouterChat(MODEL_PREMIUM, analysisPrompt, `Tweet: "${text}"`);
-    let parsed;
-    try {
-      parsed = JSON.parse(content);
-    } catch {
-      parsed = {
-        confidence: 0.3,
-        shouldLaunch: false,
-        tokenSuggestion: { name: "Unknown", symbol: "UNK" },
-        memeTheme: "Generic",
-        viralScore: 0.3,
-        reasoning: "Analysis failed"
-      };
-    }
+    // Ensemble verdict (AI_ENSEMBLE_MODE / ENSEMBLE_VOTING) and the sentiment read side by side;
+    // analyzeTweet never throws (a fallback read leaves the verdict unchanged)
+    const [ensembleVerdict, sentiment] = await Promise.all([
+      aiEnsemble.analyzeLaunch(text, author, metadata),
+      LAUNCH_SENTIMENT ? sentimentAnalyzer.analyzeTweet({ text, author, metadata }) : null,
+    ]);
+    const verdict = sentiment ? sentimentAnalyzer.applyToVerdict(ensembleVerdict, sentiment, LAUNCH_SENTIMENT_WEIGHT) : ensembleVerdict;
     
     // Update running average
-    if (systemStats.tweetsAnalyzed > 0) {
-      systemStats.avgConfidence = (systemStats.avgConfidence * (systemStats.tweetsAnalyzed - 1) + parsed.confidence) / systemStats.tweetsAnalyzed;
-    }
+    if (record) ledger.recordConfidence(verdict.confidence);
     
     return {
       ok: true,
-      model: MODEL_PREMIUM,
-      ...parsed,
+      ...verdict,
+      ...(sentiment ? { sentiment } : {}),
       timestamp: new Date().toISOString(),
       author
     };
@@ -189,38 +495,61 @@ async function analyzeForLaunch(text, author = 'unknown') {
 }
 
 // ---------- Token Creation Functions ----------
-async function createToken(tokenData, tweetData, testMode = true) {
+// Live launches go to the token-creator / website-generator / trading-agent services when their
+// URLs are set (npm run mock:services for local stubs); without TOKEN_CREATOR_URL tokens are minted
+// directly via SOLANA_RPC_URL (local solana-test-validator by default).
+const splTokens = createSplTokenAdapter();
+const launchServices = createLaunchServices();
+const INITIAL_LIQUIDITY_SOL = parseFloat(process.env.INITIAL_LIQUIDITY_SOL || '1');
+
+// Direct minting resumes from the checkpoint the adapter keeps on the launch (tokenProgress: the
+// mint and what's done), so a retried or resumed token step — also after a restart — doesn't mint
+// a second token
+const splResume = async (launchId) => ({
+  resume: (await ledger.getLaunch(launchId))?.tokenProgress || null,
+  checkpoint: (progress) => ledger.update(launchId, { tokenProgress: progress }),
+});
+
+// A mint that isn't created yet keeps its secret in the checkpoint; that never leaves the server
+const publicLaunch = (l) => (l?.tokenProgress?.mintSecret ? { ...l, tokenProgress: { ...l.tokenProgress, mintSecret: undefined } } : l);
+
+// opts: { idempotencyKey, launchId } — forwarded to the services so retries don't duplicate work
+async function createToken(tokenData, tweetData, testMode = true, opts = {}) {
   if (testMode) {
     // Simulate token creation
     await sleep(2000);
-    systemStats.tokensCreated++;
-    systemStats.totalLaunches++;
+    ledger.incrementCounter('tokensCreated');
     
-    const mockToken = {
-      address: `0x${Math.random().toString(16).substr(2, 40)}`,
+    const token = mockToken({
       name: tokenData.name,
       symbol: tokenData.symbol,
-      supply: 1000000000,
-      decimals: 18,
-      created: new Date().toISOString(),
-      cost: 0.1, // SOL
-      status: 'deployed'
-    };
+      decimals: splTokens.decimals,
+      supply: splTokens.supply,
+    });
     
-    console.log(`🚀 [TEST MODE] Token created: ${mockToken.symbol} (${mockToken.address})`);
-    return { ok: true, token: mockToken };
+    console.log(`🚀 [TEST MODE] Token created: ${token.symbol} (${token.address})`);
+    return { ok: true, token };
   }
   
-  // TODO: Integrate with actual token-creator microservice
-  // const response = await axios.post('http://token-creator:3003/api/create', tokenData);
-  
-  return { ok: false, error: 'Production token creation not implemented yet' };
+  const out = launchServices.tokenCreator.configured
+    ? await launchServices.createToken(tokenData, tweetData, { decimals: splTokens.decimals, supply: splTokens.supply, ...opts })
+    : await splTokens.createToken({
+      name: tokenData.name,
+      symbol: tokenData.symbol,
+      uri: tokenData.metadataUri || null,
+      ...(opts.launchId ? await splResume(opts.launchId) : {}),
+    });
+  if (out.ok) ledger.incrementCounter('tokensCreated');
+  if (out.ok && launchServices.tokenCreator.configured) {
+    console.log(`🚀 Token created: ${out.token.symbol} (${out.token.address})${out.replayed ? ' [replayed]' : ''}`);
+  }
+  return out;
 }
 
-async function generateWebsite(tokenData, memeTheme, testMode = true) {
+async function generateWebsite(tokenData, memeTheme, testMode = true, opts = {}) {
   if (testMode) {
     await sleep(1500);
-    systemStats.websitesGenerated++;
+    ledger.incrementCounter('websitesGenerated');
     
     const mockWebsite = {
       url: `https://${tokenData.symbol.toLowerCase()}-token.com`,
@@ -233,18 +562,22 @@ async function generateWebsite(tokenData, memeTheme, testMode = true) {
     return { ok: true, website: mockWebsite };
   }
   
-  // TODO: Integrate with actual website-generator microservice
-  return { ok: false, error: 'Production website generation not implemented yet' };
+  const out = await launchServices.generateWebsite(tokenData, memeTheme, opts.tweet, opts);
+  if (out.ok) ledger.incrementCounter('websitesGenerated');
+  if (out.ok) console.log(`🌐 Website generated: ${out.website.url}${out.replayed ? ' [replayed]' : ''}`);
+  return out;
 }
 
-async function setupTrading(tokenAddress, testMode = true) {
+// opts: { symbol, initialLiquidity (SOL), idempotencyKey, launchId }
+async function setupTrading(tokenAddress, testMode = true, opts = {}) {
+  const initialLiquidity = opts.initialLiquidity ?? INITIAL_LIQUIDITY_SOL;
   if (testMode) {
     await sleep(1000);
-    systemStats.activeTrades++;
+    ledger.incrementCounter('activeTrades');
     
     const mockTrading = {
       pair: `${tokenAddress}/SOL`,
-      initialLiquidity: 1000,
+      initialLiquidity,
       status: 'active',
       started: new Date().toISOString()
     };
@@ -253,204 +586,216 @@ async function setupTrading(tokenAddress, testMode = true) {
     return { ok: true, trading: mockTrading };
   }
   
-  // TODO: Integrate with actual trading-agent microservice
-  return { ok: false, error: 'Production trading setup not implemented yet' };
+  const out = await launchServices.setupTrading({ address: tokenAddress, symbol: opts.symbol }, { ...opts, initialLiquiditySol: initialLiquidity });
+  if (out.ok) ledger.incrementCounter('activeTrades');
+  if (out.ok) console.log(`💱 Trading setup: ${out.trading.pair}${out.replayed ? ' [replayed]' : ''}`);
+  return out;
 }
 
+// Idempotency key per launch step: a retried step (e.g. after a timeout) replays the service's
+// first answer instead of creating a second token / site / pool
+const stepKeys = (l, step) => ({ idempotencyKey: `${l.id}:${step}`, launchId: l.id });
+
 // ---------- Full Launch Pipeline ----------
+// queued → token_created → website_ready → trading_live → completed (or failed_at_<step>)
+const launchPipeline = new LaunchPipeline(ledger, [
+  {
+    name: 'token',
+    doneState: 'token_created',
+    run: async (l) => {
+      const out = await createToken(l.analysis.tokenSuggestion, l.tweet, l.testMode, stepKeys(l, 'token'));
+      // Mock (test mode) launches spend nothing real. A replayed answer is still counted: the
+      // attempt that actually spent it never reached the ledger
+      if (out.ok && !l.testMode) budget.record('launch', (out.token.cost || 0) * SOL_PRICE_USD);
+      return out;
+    },
+    cost: (out) => out.token?.cost,
+  },
+  {
+    name: 'website',
+    doneState: 'website_ready',
+    run: (l) => generateWebsite(l.steps.token.token, l.analysis.memeTheme, l.testMode, { tweet: l.tweet, ...stepKeys(l, 'website') }),
+  },
+  {
+    name: 'trading',
+    doneState: 'trading_live',
+    run: (l) => setupTrading(l.steps.token.token.address, l.testMode, { symbol: l.steps.token.token.symbol, ...stepKeys(l, 'trading') }),
+  },
+], {
+  retries: { token: stepRetries('token'), website: stepRetries('website'), trading: stepRetries('trading') },
+  retryDelayMs: LAUNCH_RETRY_DELAY_MS,
+});
+
+function launchResult(out) {
+  if (!out.ok) {
+    console.error(`❌ Launch ${out.launchId || ''} failed: ${out.error}`);
+    return out;
+  }
+  const { launch } = out;
+  console.log(`✅ Launch completed: ${launch.analysis.tokenSuggestion.symbol} - Confidence: ${(launch.analysis.confidence * 100).toFixed(1)}%`);
+  return {
+    ok: true,
+    launchId: launch.id,
+    status: launch.status,
+    token: launch.steps.token.token,
+    website: launch.steps.website.website,
+    trading: launch.steps.trading.trading,
+    confidence: launch.analysis.confidence,
+    completed: launch.completed
+  };
+}
+
+// Live launches are refused before anything is spent when a service they need isn't configured,
+// instead of minting a real token and failing at the website step. → { ok: false, code, error } | null
+function liveLaunchUnavailable(testMode) {
+  if (testMode) return null;
+  const missing = launchServices.missingForLaunch();
+  return missing.length ? { ok: false, code: 503, error: `Live launches need ${missing.join(' and ')} (unset)` } : null;
+}
+
 async function executeLaunchPipeline(tweetData, analysisResult, testMode = true) {
-  const launchId = Date.now().toString();
-  
   try {
-    // Add to launch queue
-    systemStats.launchQueue.push({
-      id: launchId,
-      status: 'processing',
+    budget.assertCanSpend('launch');
+    console.log(`🎯 Starting launch pipeline for: ${analysisResult.tokenSuggestion.name}`);
+    const out = await launchPipeline.start({
       tweet: tweetData,
       analysis: analysisResult,
-      started: new Date().toISOString()
+      mode: CURRENT_MODE,
+      testMode,
     });
-    
-    console.log(`🎯 Starting launch pipeline for: ${analysisResult.tokenSuggestion.name}`);
-    
-    // Step 1: Create Token
-    const tokenResult = await createToken(analysisResult.tokenSuggestion, tweetData, testMode);
-    if (!tokenResult.ok) {
-      throw new Error(`Token creation failed: ${tokenResult.error}`);
-    }
-    
-    // Step 2: Generate Website
-    const websiteResult = await generateWebsite(
-      tokenResult.token,
-      analysisResult.memeTheme,
-      testMode
-    );
-    
-    // Step 3: Setup Trading
-    const tradingResult = await setupTrading(tokenResult.token.address, testMode);
-    
-    // Update success metrics
-    systemStats.successfulLaunches++;
-    systemStats.successRate = systemStats.successfulLaunches / systemStats.totalLaunches;
-    systemStats.totalCosts += tokenResult.token.cost || 0;
-    
-    // Remove from queue, mark as completed
-    systemStats.launchQueue = systemStats.launchQueue.filter(q => q.id !== launchId);
-    
-    const result = {
-      ok: true,
-      launchId,
-      token: tokenResult.token,
-      website: websiteResult.website,
-      trading: tradingResult.trading,
-      confidence: analysisResult.confidence,
-      completed: new Date().toISOString()
-    };
-    
-    console.log(`✅ Launch completed: ${analysisResult.tokenSuggestion.symbol} - Confidence: ${(analysisResult.confidence * 100).toFixed(1)}%`);
-    return result;
-    
+    return launchResult(out);
   } catch (error) {
-    // Remove from queue, mark as failed
-    systemStats.launchQueue = systemStats.launchQueue.filter(q => q.id !== launchId);
-    
     console.error(`❌ Launch failed: ${error.message}`);
     return {
       ok: false,
-      launchId,
       error: error.message,
       failed: new Date().toISOString()
     };
   }
 }
 
+async function resumeLaunch(launchId) {
+  try {
+    budget.assertCanSpend('launch resume');
+  } catch (e) {
+    return { ok: false, code: 402, launchId, error: e.message };
+  }
+  console.log(`⏯️ Resuming launch ${launchId}`);
+  return launchResult(await launchPipeline.resume(launchId));
+}
+
 // ---------- Tweet Processing Functions ----------
-function normalizeTweets(raw, author) {
-  return (raw || []).map(t => ({
-    id: String(t.id ?? t.id_str ?? ''),
-    text: t.text || '',
-    created_at: t.createdAt || t.created_at || new Date().toISOString(),
-    author,
-    url: t.url || `https://x.com/${author}/status/${t.id}`,
-  })).filter(t => t.id);
+
+const launchTriggered = new Set(); // tweet ids already launched or queued for approval
+
+// Auto-analyze priority-account tweets on arrival
+function screenForLaunch(t) {
+  if (accounts.tierOf(t.author) !== 'priority') return;
+  considerLaunch(t, 'new tweet');
 }
 
-function pushTweets(list) {
-  if (!Array.isArray(list) || !list.length) return;
-  list.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-  for (const t of list) {
-    if (!tweetsBuffer.find(x => x.id === t.id)) {
-      tweetsBuffer.unshift(t);
-      
-      // Auto-analyze high-priority tweets
-      if (PRIORITY.includes(t.author) && CURRENT_MODE !== 'simulation') {
-        analyzeForLaunch(t.text, t.author).then(analysis => {
-          if (analysis.ok && analysis.shouldLaunch && analysis.confidence > CONFIDENCE_THRESHOLD) {
-            console.log(`🚨 HIGH CONFIDENCE TWEET DETECTED: ${analysis.confidence.toFixed(2)} - ${analysis.tokenSuggestion.name}`);
-            
-            if (CURRENT_MODE === 'production') {
-              executeLaunchPipeline(t, analysis, false);
-            } else {
-              executeLaunchPipeline(t, analysis, true);
-            }
-          }
-        }).catch(e => console.error('Auto-analysis error:', e.message));
+// Analyze and launch (or queue for approval) on high confidence. The verdict summary is kept on
+// the tweet so /api/tweets/recent shows why it did or didn't launch.
+function considerLaunch(t, reason) {
+  if (CURRENT_MODE === 'simulation' || launchTriggered.has(t.id)) return;
+  analyzeForLaunch(t.text, t.author, tweetMetadata(t)).then(analysis => {
+    t.lastAnalysis = {
+      at: new Date().toISOString(),
+      reason,
+      ok: analysis.ok,
+      shouldLaunch: !!analysis.shouldLaunch,
+      confidence: analysis.confidence,
+    };
+    analysisCache.put(t.id, analysis);
+    if (analysis.ok && analysis.shouldLaunch && analysis.confidence > CONFIDENCE_THRESHOLD) {
+      if (launchTriggered.has(t.id)) return;
+      launchTriggered.add(t.id);
+      console.log(`🚨 HIGH CONFIDENCE TWEET DETECTED (${reason}): ${analysis.confidence.toFixed(2)} - ${analysis.tokenSuggestion.name}`);
+      notifier.notify('detection', {
+        title: `🚨 High-confidence tweet from @${t.author}`,
+        text: t.text,
+        fields: [
+          { name: 'Confidence', value: analysis.confidence.toFixed(2) },
+          { name: 'Token', value: `${analysis.tokenSuggestion.name} ($${analysis.tokenSuggestion.symbol})` },
+          { name: 'Reason', value: reason },
+          { name: 'Tweet', value: t.url || t.id },
+        ],
+        data: { tweetId: t.id, author: t.author, url: t.url || null, reason, confidence: analysis.confidence, tokenSuggestion: analysis.tokenSuggestion },
+      });
+
+      const testMode = CURRENT_MODE !== 'production';
+      const unavailable = liveLaunchUnavailable(testMode);
+      if (unavailable) {
+        console.warn(`⛔ Not launching ${analysis.tokenSuggestion.symbol}: ${unavailable.error}`);
+        return;
+      }
+      if (requiresApproval(testMode)) {
+        const item = approvals.enqueue({ tweet: t, analysis, mode: CURRENT_MODE, testMode });
+        console.log(`🙋 Awaiting approval ${item.id} until ${item.expiresAt}`);
+      } else {
+        executeLaunchPipeline(t, analysis, testMode);
       }
     }
-  }
-  if (tweetsBuffer.length > MAX_TWEETS) tweetsBuffer.length = MAX_TWEETS;
+  }).catch(e => console.error('Auto-analysis error:', e.message));
 }
 
-// ---------- Core Twitter Fetch ----------
-async function fetchLastTweets(handle) {
-  try {
-    const res = await twitterHttp.get('/twitter/user/last_tweets', {
-      params: { userName: handle, includeReplies: false },
-    });
-    const tweets = normalizeTweets(res?.data?.tweets || [], handle);
-    const since = lastSeenByHandle[handle];
-    const fresh = since ? tweets.filter(t => t.id > since) : tweets;
-    if (fresh.length) lastSeenByHandle[handle] = fresh[0].id;
-    return fresh;
-  } catch (e) {
-    const st = e?.response?.status;
-    if (st === 402) {
-      suspendedUntil = Date.now() + SUSPEND_COOLDOWN_MS;
-      console.warn(`⚠️ 402 for @${handle}. Suspending polling until ${new Date(suspendedUntil).toISOString()}`);
-      return [];
-    }
-    if (st === 429) {
-      console.warn(`⏳ 429 @${handle}. Backing off ${BASE_INTERVAL_MS}ms`);
-      await sleep(BASE_INTERVAL_MS);
-      return [];
-    }
-    if (st && st !== 404) {
-      console.error(`❌ TwitterAPI.io ${st} for @${handle}: ${e?.message || 'error'}`);
-    }
-    return [];
-  }
+// ---------- Twitter Monitor ----------
+function fetchLastTweets(handle, opts) {
+  return tweetSources.fetchUserTweets(handle, opts);
 }
 
-// ---------- Monitoring Functions (keeping existing logic) ----------
-function ensureBurst(handle) {
-  const now = Date.now();
-  burstUntil[handle] = Math.max(burstUntil[handle] || 0, now + BURST_WINDOW_MS);
-  if (burstTimers.has(handle)) return;
-
-  const t = setInterval(async () => {
-    if (Date.now() < suspendedUntil) return;
-    if ((burstUntil[handle] || 0) <= Date.now()) {
-      clearInterval(t);
-      burstTimers.delete(handle);
-      dlog(`Burst ended for @${handle}`);
-      return;
-    }
-    const fresh = await fetchLastTweets(handle);
-    if (fresh.length) {
-      pushTweets(fresh);
-      const first = fresh[0];
-      console.log(`🆕 ${first.created_at} @${handle} — ${fresh.length} new. First: ${first.text.slice(0, 100)}`);
-      burstUntil[handle] = Date.now() + BURST_WINDOW_MS;
-    }
-  }, Math.max(60_000, PRIORITY_INTERVAL_MS));
+const monitor = new TwitterMonitor({
+  fetchTimeline: fetchLastTweets,
+  resolveUserId: async (handle) => (await twitterUserResolver.resolveHandleToIdWithSource(handle)).id,
+  ...accounts.snapshot(),
+  priorityIntervalMs: PRIORITY_INTERVAL_MS,
+  baseIntervalMs: BASE_INTERVAL_MS,
+  gapMs: PER_REQUEST_GAP_MS,
+  burstWindowMs: BURST_WINDOW_MS,
+  suspendCooldownMs: SUSPEND_COOLDOWN_MS,
+  intervalMultiplier: () => budget.intervalMultiplier(),
+  debug: DEBUG,
+});
 
-  burstTimers.set(handle, t);
-  console.log(`⚡ Burst started for @${handle}`);
-}
+const velocity = new VelocityTracker({
+  fetchTweets: (ids) => tweetSources.fetchTweetsByIds(ids),
+  checkpointsMs: VELOCITY_CHECKPOINTS_MS.length ? VELOCITY_CHECKPOINTS_MS : undefined,
+  threshold: VELOCITY_THRESHOLD,
+  isPaused: () => !monitor.running || monitor.isSuspended(),
+});
 
-async function priorityLoopOnce() {
-  if (Date.now() < suspendedUntil) return;
-  lastPollAtPriority = new Date().toISOString();
-  for (let i = 0; i < PRIORITY.length; i++) {
-    const h = PRIORITY[i];
-    if (i) await sleep(PER_REQUEST_GAP_MS);
-    const fresh = await fetchLastTweets(h);
-    if (fresh.length) {
-      pushTweets(fresh);
-      console.log(`🟢 Priority @${h}: +${fresh.length}`);
-      ensureBurst(h);
-    }
-  }
-}
+const recorder = SIM_RECORD_FILE ? new DatasetRecorder(SIM_RECORD_FILE) : null;
 
-async function baseLoopOnce() {
-  if (Date.now() < suspendedUntil) return;
-  lastPollAtBase = new Date().toISOString();
-  for (let i = 0; i < BASE.length; i++) {
-    const h = BASE[i];
-    if (i) await sleep(PER_REQUEST_GAP_MS);
-    const fresh = await fetchLastTweets(h);
-    if (fresh.length) {
-      pushTweets(fresh);
-      console.log(`🔵 Base @${h}: +${fresh.length}`);
-      ensureBurst(h);
-    }
+monitor.on('tweets', (fresh) => {
+  recorder?.record(fresh);
+  for (const t of tweetBuffer.push(fresh)) {
+    screenForLaunch(t);
+    if (VELOCITY_ENABLED) velocity.track(t);
   }
-}
+});
+monitor.on('deleted', (ids) => {
+  tweetBuffer.markDeleted(ids);
+  velocity.untrack(ids);
+});
+velocity.on('threshold', (t, point) => considerLaunch(t, `velocity ${point.velocity}/min`));
+// An edit re-ids the buffered tweet in place; velocity tracking and launch dedupe follow the new id
+tweetBuffer.on('edited', (t, originalId) => {
+  velocity.rekey(originalId, t.id);
+  if (launchTriggered.has(originalId)) launchTriggered.add(t.id);
+});
+monitor.on('suspended', ({ handle, until }) => notifier.notify('monitor_suspended', {
+  title: '⛔ Twitter polling suspended (402)',
+  text: `The tweet source answered 402 Payment Required while polling @${handle}; all polling is paused.`,
+  fields: [{ name: 'Resumes', value: until }],
+  data: { handle, until },
+}));
+
+// Account edits reach the running monitor without a restart
+accounts.on('change', () => monitor.setAccounts(accounts.snapshot()));
 
 // ---------- Simulation Functions (keeping existing) ----------
 async function buildSimulationDataset() {
-  const handles = [...PRIORITY, ...BASE];
+  const handles = [...accounts.handles('priority'), ...accounts.handles('base')];
   const cutoff = Date.now() - SIM_LOOKBACK * 60_000;
 
   const collected = [];
@@ -459,10 +804,7 @@ async function buildSimulationDataset() {
     if (!h) continue;
     if (i) await sleep(800);
     try {
-      const res = await twitterHttp.get('/twitter/user/last_tweets', {
-        params: { userName: h, includeReplies: false },
-      });
-      const arr = normalizeTweets(res?.data?.tweets || [], h)
+      const arr = (await fetchLastTweets(h))
         .filter(t => new Date(t.created_at).getTime() >= cutoff);
       collected.push(...arr);
       dlog(`SIM: fetched ${arr.length} from @${h}`);
@@ -471,118 +813,147 @@ async function buildSimulationDataset() {
     }
   }
 
-  collected.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-  return collected;
+  return sortChronological(collected);
 }
 
-function simIntervalMs() {
-  const base = Math.max(30_000, Math.min(PRIORITY_INTERVAL_MS, 120_000));
-  return Math.max(10_000, Math.floor(base / SIM_SPEED));
+// Dataset files (SIMULATION_DATASET, or names under data/datasets from the API) win over live fetching
+async function loadSimulationDataset(datasetNames) {
+  let files = SIM_DATASET;
+  if (datasetNames) {
+    files = [];
+    for (const name of [].concat(datasetNames)) {
+      const file = resolveDatasetPath(name);
+      if (!file) return { ok: false, message: `dataset must name a file in data/datasets: ${name}` };
+      files.push(file);
+    }
+  }
+  if (files.length) {
+    try {
+      const { tweets, skipped } = loadDataset(files);
+      if (skipped) console.warn(`SIM: skipped ${skipped} record(s) without id or timestamp`);
+      return { ok: true, tweets, source: { type: 'files', files } };
+    } catch (e) {
+      return { ok: false, message: `dataset not loaded: ${e.code === 'ENOENT' ? `${e.path} not found` : e.message}` };
+    }
+  }
+  if (SIM_REAL) return { ok: true, tweets: await buildSimulationDataset(), source: { type: 'live' } };
+  return { ok: false, message: 'no dataset: set SIMULATION_DATASET or SIMULATION_USE_REAL_TWEETS=true' };
 }
 
-async function startSimulation() {
+// opts: { dataset, seed, speed } override the env for one run
+async function startSimulation(opts = {}) {
   if (simActive) return { ok: true, message: 'simulation already running' };
   if (!SIM_ENABLED) return { ok: false, message: 'simulation disabled by env' };
 
-  console.log(`🎛️ Simulation starting (lookback=${SIM_LOOKBACK}m, max/cycle=${SIM_MAX_PER}, speed=${SIM_SPEED}x)`);
-
-  if (SIM_REAL) {
-    simDataset = await buildSimulationDataset();
-  } else {
-    simDataset = [];
-  }
-
-  if (!simDataset.length) {
-    console.warn('SIM: dataset is empty');
-  }
-
-  simIndex = SIM_RANDOM && simDataset.length ? Math.floor(Math.random() * simDataset.length) : 0;
-  const tickMs = simIntervalMs();
-
-  simTimer = setInterval(() => {
-    if (!simDataset.length) return;
-    const batch = [];
-    for (let i = 0; i < SIM_MAX_PER; i++) {
-      const t = simDataset[simIndex];
-      if (!t) break;
-      batch.push(t);
-      simIndex = (simIndex + 1) % simDataset.length;
-    }
-    if (batch.length) {
-      pushTweets(batch);
-      console.log(`🎬 SIM replay: +${batch.length}`);
-    }
-  }, tickMs);
+  const loaded = await loadSimulationDataset(opts.dataset);
+  if (!loaded.ok) return loaded;
+  if (!loaded.tweets.length) return { ok: false, message: 'SIM: dataset is empty' };
+  simDataset = loaded.tweets;
+  simSource = loaded.source;
+
+  const speed = opts.speed !== undefined ? Math.max(0.1, parseFloat(opts.speed) || SIM_SPEED) : SIM_SPEED;
+  simReplay = new SimulationReplay({
+    tweets: simDataset,
+    speed,
+    maxGapMs: SIM_MAX_GAP_MS,
+    randomizeStart: SIM_RANDOM,
+    seed: opts.seed ?? SIM_SEED,
+  });
+  simReplay.on('tweets', (batch, { simulatedAt }) => {
+    const added = tweetBuffer.push(batch);
+    console.log(`🎬 SIM replay: +${added.length} (${simulatedAt})`);
+  });
+  simReplay.on('end', () => {
+    simActive = false;
+    console.log(`🏁 Simulation finished: ${simReplay.emitted} tweet(s) replayed`);
+  });
 
+  const st = simReplay.getStatus();
+  console.log(`🎛️ Simulation starting (${simDataset.length} tweets from ${simSource.type}, start=${st.startIndex}, seed=${st.seed}, speed=${speed}x, ~${Math.round(st.durationMs / 1000)}s)`);
+  simReplay.start();
   simActive = true;
-  return { ok: true, message: 'simulation started' };
+  return { ok: true, message: 'simulation started', seed: st.seed, startIndex: st.startIndex, datasetSize: simDataset.length, durationMs: st.durationMs };
 }
 
 function stopSimulation() {
-  if (simTimer) clearInterval(simTimer);
-  simTimer = null;
+  simReplay?.stop();
   simActive = false;
   console.log('⏹️ Simulation stopped.');
   return { ok: true, message: 'simulation stopped' };
 }
 
-async function startMonitoring() {
-  if (isMonitoring) return { ok: true, message: 'already running' };
-  if (!TWITTER_API_KEY || (PRIORITY.length + BASE.length) === 0) {
-    return { ok: false, message: 'Missing TWITTER_API_KEY or accounts' };
-  }
-
-  console.log(`🚀 Live monitoring started. Priority=[${PRIORITY.join(', ')||'none'}] Base=[${BASE.join(', ')||'none'}]`);
-
-  isMonitoring = true;
-  priorityLoopOnce().catch(e => console.error('Priority init error:', e?.message || e));
-  baseLoopOnce().catch(e => console.error('Base init error:', e?.message || e));
-
-  priorityTimer = setInterval(() => priorityLoopOnce().catch(e => console.error('Priority loop error:', e?.message || e)), PRIORITY_INTERVAL_MS);
-  baseTimer = setInterval(() => baseLoopOnce().catch(e => console.error('Base loop error:', e?.message || e)), BASE_INTERVAL_MS);
-
-  return { ok: true, message: 'started' };
+function startMonitoring() {
+  if (!tweetSources.configured) return { ok: false, message: 'No tweet source configured (TWITTER_API_KEY, RAPIDAPI_KEY or TWITTER_BEARER_TOKEN)' };
+  return monitor.start();
 }
 
 function stopMonitoring() {
-  if (priorityTimer) clearInterval(priorityTimer);
-  if (baseTimer) clearInterval(baseTimer);
-  for (const t of burstTimers.values()) clearInterval(t);
-  burstTimers.clear();
-  isMonitoring = false;
-  console.log('🛑 Live monitoring stopped.');
-  return { ok: true, message: 'stopped' };
+  return monitor.stop();
 }
 
 // ---------- API Routes ----------
 app.get('/', (_req, res) => res.send('MemesMachine Enhanced API online'));
 
-app.get('/api/status', (_req, res) => {
+// Handle → user id resolver: /monitoring/resolve, /monitoring/map, /monitoring/cache.
+// Only operators can make /resolve look an unknown handle up (a billed request).
+app.use('/monitoring', createResolveRouter({ canLookUp: (req) => access.hasRole(req.auth, 'operator') }));
+
+// Server-Sent Events: ?topics=tweets,analysis,launch&replay=N (WebSocket equivalent on /ws)
+app.get('/api/events', events.sseHandler());
+
+// Who the caller is authenticated as
+app.get('/api/auth/me', (req, res) => res.json({ ok: true, ...req.auth }));
+
+app.get('/api/status', async (_req, res) => {
+  let stats;
+  try {
+    stats = await ledger.getStats();
+  } catch (e) {
+    return res.status(503).json({ status: 'degraded', error: `ledger unavailable: ${e.message}` });
+  }
+  const tw = monitor.getStatus();
   res.json({
     status: 'online',
-    monitoring: CURRENT_MODE === 'simulation' ? simActive : isMonitoring,
+    monitoring: CURRENT_MODE === 'simulation' ? simActive : monitor.running,
     apiHealth: {
       openrouter: !!OPENROUTER_API_KEY,
-      database: true,
-    },
-    stats: {
-      ...systemStats,
-      successRate: systemStats.totalLaunches > 0 ? systemStats.successfulLaunches / systemStats.totalLaunches : 0
+      twitter: tweetSources.configured,
+      // getStats above succeeded, so the ledger store is reachable
+      ledger: { driver: (process.env.LEDGER_DRIVER || 'file').toLowerCase(), ok: true },
+      ...(await launchServices.health()),
     },
+    stats,
     twitter: {
-      priority: PRIORITY,
-      base: BASE,
-      suspended: Date.now() < suspendedUntil,
-      suspendedUntil: Date.now() < suspendedUntil ? new Date(suspendedUntil).toISOString() : null,
-      priorityIntervalMs: PRIORITY_INTERVAL_MS,
-      baseIntervalMs: BASE_INTERVAL_MS,
-      gapMs: PER_REQUEST_GAP_MS,
-      burstWindowMs: BURST_WINDOW_MS,
+      priority: tw.priorityAccounts,
+      base: tw.baseAccounts,
+      suspended: tw.suspended,
+      suspendedUntil: tw.suspendedUntil,
+      priorityIntervalMs: tw.priorityIntervalMs,
+      baseIntervalMs: tw.baseIntervalMs,
+      gapMs: tw.gapMs,
+      burstWindowMs: tw.burstWindowMs,
+      source: tweetSources.getStatus(),
+      velocity: { enabled: VELOCITY_ENABLED, ...velocity.getStatus() },
     },
+    realtime: events.getStatus(),
+    paperTrading: (() => {
+      const p = paper.getPortfolio();
+      return {
+        active: CURRENT_MODE === 'paper_trading',
+        priceFeed: p.settings.priceFeed,
+        equitySol: p.equitySol,
+        totalPnlSol: p.totalPnlSol,
+        openPositions: p.openPositions,
+      };
+    })(),
+    tokenCreation: splTokens.getStatus(),
+    auth: { ...access.getStatus(), corsOrigins: CORS_ORIGINS },
+    notifications: notifier.getStatus(),
     ai: {
       mode: AI_MODE,
       voting: ENSEMBLE_VOTING,
       threshold: CONFIDENCE_THRESHOLD,
+      launchSentiment: LAUNCH_SENTIMENT ? { weight: LAUNCH_SENTIMENT_WEIGHT } : false,
       models: {
         primary: MODEL_PRIMARY,
         secondary: MODEL_SECONDARY,
@@ -591,21 +962,32 @@ app.get('/api/status', (_req, res) => {
       },
       hasOpenRouter: !!OPENROUTER_API_KEY,
     },
+    budget: {
+      state: budget.state(),
+      spent: budget.monthSpend(),
+      monthlyLimit: MONTHLY_BUDGET_LIMIT,
+      percentUsed: parseFloat(budget.percentUsed().toFixed(2)),
+    },
     launchPipeline: {
-      queueLength: systemStats.launchQueue.length,
-      processing: systemStats.launchQueue.filter(q => q.status === 'processing').length,
-      avgConfidence: systemStats.avgConfidence.toFixed(3),
-      totalCosts: systemStats.totalCosts.toFixed(3)
+      queueLength: stats.launchQueue.length,
+      processing: stats.launchQueue.filter(q => q.status !== 'queued').length,
+      avgConfidence: stats.avgConfidence.toFixed(3),
+      totalCosts: stats.totalCosts.toFixed(3),
+      approvalMode: APPROVAL_MODE,
+      pendingApprovals: approvals.getStats().pending
     },
     simulation: {
       enabled: SIM_ENABLED,
       active: simActive,
       lookbackMinutes: SIM_LOOKBACK,
-      maxPerCycle: SIM_MAX_PER,
       speedMultiplier: SIM_SPEED,
+      maxGapSeconds: SIM_MAX_GAP_MS / 1000,
       randomizeStart: SIM_RANDOM,
+      seed: simReplay ? simReplay.seed : SIM_SEED,
       datasetSize: simDataset.length,
+      dataset: SIM_DATASET,
       usesRealTweets: SIM_REAL,
+      recording: recorder ? recorder.getStatus() : null,
       mode: CURRENT_MODE,
     },
   });
@@ -613,6 +995,7 @@ app.get('/api/status', (_req, res) => {
 
 // Enhanced AI endpoints
 app.get('/api/ai/ensemble', (_req, res) => {
+  const { modelTimeoutMs, quorum, weights, slots } = aiEnsemble.status();
   res.json({
     ok: true,
     mode: AI_MODE,
@@ -624,6 +1007,10 @@ app.get('/api/ai/ensemble', (_req, res) => {
       premium: MODEL_PREMIUM,
       backup: MODEL_BACKUP,
     },
+    slots,
+    weights,
+    modelTimeoutMs,
+    quorum,
     hasOpenRouter: !!OPENROUTER_API_KEY,
   });
 });
@@ -641,52 +1028,83 @@ app.get('/api/ai/status', (_req, res) => {
       backup: MODEL_BACKUP,
     },
     hasOpenRouter: !!OPENROUTER_API_KEY,
+    failoverChain: FAILOVER_CHAIN,
+    circuitBreakers: breaker.getStatus(),
+    structuredOutput: structuredOutput.getStats(),
+  });
+});
+
+// Model router
+app.get('/api/ai/router', (_req, res) => {
+  res.json({
+    ok: true,
+    strategies: modelRouter.getAvailableStrategies(),
+    models: modelRouter.models,
+    ...modelRouter.getStats(),
   });
 });
 
-app.get('/api/ai/sentiment', async (req, res) => {
+app.post('/api/ai/router', requireAdmin, (req, res) => {
+  const { strategy, reset, reload } = req.body || {};
+  if (!strategy && !reset && !reload) {
+    return res.status(400).json({ ok: false, error: 'strategy, reset or reload required' });
+  }
+  if (strategy && !modelRouter.setRoutingStrategy(String(strategy))) {
+    return res.status(400).json({ ok: false, error: 'invalid strategy', strategies: modelRouter.getAvailableStrategies() });
+  }
+  if (reload) {
+    if (!process.env.MODEL_CATALOGUE_FILE) {
+      return res.status(400).json({ ok: false, error: 'MODEL_CATALOGUE_FILE not set' });
+    }
+    try {
+      modelRouter.loadCatalogue(process.env.MODEL_CATALOGUE_FILE);
+      for (const m of [MODEL_PRIMARY, MODEL_SECONDARY, MODEL_PREMIUM, MODEL_BACKUP]) modelRouter.registerModel(m);
+      Object.assign(budget.modelPrices, modelRouter.getPriceTable());
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: `catalogue not loaded: ${e.message}` });
+    }
+  }
+  if (reset) modelRouter.resetStats();
+  res.json({ ok: true, currentStrategy: modelRouter.currentStrategy, models: modelRouter.getAllModels() });
+});
+
+app.get('/api/ai/sentiment', requireOperator, async (req, res) => {
   const text = String(req.query.text || '').slice(0, 2000);
   if (!text) return res.status(400).json({ ok: false, error: 'text required' });
   try {
-    const content = await openrouterChat(
-      MODEL_PRIMARY,
-      'Return ONLY a JSON object with fields: score (0..100) and label in {POS, NEU, NEG}.',
-      `Text: """${text}"""\nReturn JSON now.`
-    );
-    let parsed;
-    try { parsed = JSON.parse(content); } catch { parsed = { score: 50, label: 'NEU' }; }
-    res.json({ ok: true, ...parsed, model: MODEL_PRIMARY });
+    const analysis = await sentimentAnalyzer.analyze(text);
+    if (analysis.fallback) {
+      return res.status(503).json({ ok: false, error: 'ensemble unavailable', ...analysis });
+    }
+    res.json({ ok: true, score: analysis.sentiment, label: sentimentLabel(analysis.sentiment), ...analysis });
   } catch (e) {
     res.status(503).json({ ok: false, error: e.message || 'openrouter error' });
   }
 });
 
-app.get('/api/ai/analyze', async (req, res) => {
+app.get('/api/ai/sentiment/stats', (_req, res) => {
+  res.json({ ok: true, ...sentimentAnalyzer.getStats() });
+});
+
+app.get('/api/ai/analyze', requireOperator, async (req, res) => {
   const text = String(req.query.text || '').slice(0, 3000);
   if (!text) return res.status(400).json({ ok: false, error: 'text required' });
   try {
-    const content = await openrouterChat(
-      MODEL_PREMIUM,
-      'Summarize the text briefly and estimate a trading signal in {HIGH, MEDIUM, LOW}. Return JSON with: summary, signal, keywords (array).',
-      `Text: """${text}"""\nReturn JSON only.`
-    );
-    let parsed;
-    try { parsed = JSON.parse(content); } catch {
-      parsed = { summary: content.slice(0, 280), signal: 'LOW', keywords: [] };
-    }
-    res.json({ ok: true, model: MODEL_PREMIUM, ...parsed });
+    const out = await aiEnsemble.summarize(text);
+    res.json({ ok: true, ...out });
   } catch (e) {
-    res.status(503).json({ ok: false, error: e.message || 'openrouter error' });
+    const status = e.code === 'SCHEMA_INVALID' ? 502 : 503;
+    res.status(status).json({ ok: false, error: e.message || 'openrouter error' });
   }
 });
 
 // NEW: Enhanced AI analysis for launches
 app.post('/api/ai/analyze-for-launch', async (req, res) => {
-  const { text, author } = req.body;
+  const { text, author, metadata } = req.body;
   if (!text) return res.status(400).json({ ok: false, error: 'text required' });
   
   try {
-    const result = await analyzeForLaunch(text, author);
+    const result = await analyzeForLaunch(text, author, metadata && typeof metadata === 'object' ? metadata : {});
     res.json(result);
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
@@ -700,12 +1118,15 @@ app.post('/api/tokens/launch', async (req, res) => {
   if (!tweetData) {
     return res.status(400).json({ ok: false, error: 'tweetData required' });
   }
+  if (refuseLiveLaunch(req, res, testMode)) return;
+  const unavailable = liveLaunchUnavailable(testMode);
+  if (unavailable) return res.status(unavailable.code).json(unavailable);
   
   try {
     // If no analysis provided, analyze the tweet
     let analysis = analysisResult;
     if (!analysis) {
-      analysis = await analyzeForLaunch(tweetData.text, tweetData.author);
+      analysis = await analyzeForLaunch(tweetData.text, tweetData.author, tweetMetadata(tweetData));
       if (!analysis.ok) {
         return res.status(400).json({ ok: false, error: 'Analysis failed', details: analysis.error });
       }
@@ -729,17 +1150,163 @@ app.post('/api/tokens/launch', async (req, res) => {
   }
 });
 
-app.get('/api/tokens/stats', (_req, res) => {
-  res.json({
-    ok: true,
-    stats: {
-      totalCreated: systemStats.tokensCreated,
-      successRate: systemStats.successRate,
-      avgConfidence: systemStats.avgConfidence,
-      totalCosts: systemStats.totalCosts,
-      queueLength: systemStats.launchQueue.length
+// Budget
+app.get('/api/budget', (req, res) => {
+  const days = Math.max(1, Math.min(parseInt(req.query.days || '31', 10) || 31, 120));
+  res.json({ ok: true, ...budget.getReport({ days }) });
+});
+
+// Launch approvals
+app.get('/api/approvals', (req, res) => {
+  const status = req.query.status === 'all' ? null : String(req.query.status || 'pending');
+  approvals.sweep();
+  const items = approvals.list(status);
+  res.json({ ok: true, approvalMode: APPROVAL_MODE, ...approvals.getStats(), count: items.length, approvals: items });
+});
+
+app.post('/api/approvals/:id/approve', async (req, res) => {
+  const pending = approvals.get(req.params.id);
+  if (pending && refuseLiveLaunch(req, res, pending.testMode)) return;
+  const unavailable = pending && liveLaunchUnavailable(pending.testMode);
+  if (unavailable) return res.status(unavailable.code).json(unavailable);
+  const out = approvals.approve(req.params.id, { by: req.body?.by || req.auth?.subject || null, reason: req.body?.reason || null });
+  if (!out.ok) return res.status(out.code).json(out);
+  
+  const { item } = out;
+  console.log(`👍 Approval ${item.id} approved — launching ${item.suggestedToken?.symbol || 'token'}`);
+  try {
+    const result = await executeLaunchPipeline(item.tweet, item.analysis, item.testMode);
+    if (result.launchId) approvals.attachLaunch(item.id, result.launchId);
+    res.json({ ok: result.ok, approval: approvals.get(item.id), launch: result });
+  } catch (e) {
+    res.status(500).json({ ok: false, approval: item, error: e.message });
+  }
+});
+
+app.post('/api/approvals/:id/reject', (req, res) => {
+  const out = approvals.reject(req.params.id, { by: req.body?.by || req.auth?.subject || null, reason: req.body?.reason || null });
+  if (!out.ok) return res.status(out.code).json(out);
+  console.log(`👎 Approval ${out.item.id} rejected${out.item.reason ? `: ${out.item.reason}` : ''}`);
+  res.json({ ok: true, approval: out.item });
+});
+
+// Paper trading (?refresh=true re-prices open positions first)
+app.get('/api/paper/portfolio', async (req, res) => {
+  if (req.query.refresh === 'true') await paper.markToMarket();
+  res.json({ ok: true, mode: CURRENT_MODE, ...paper.getPortfolio() });
+});
+
+app.get('/api/paper/trades', (req, res) => {
+  const { limit, address, side } = req.query;
+  res.json({ ok: true, trades: paper.getTrades({ limit, address, side }) });
+});
+
+app.post('/api/paper/positions/:address/sell', async (req, res) => {
+  const out = await paper.sell(req.params.address, { reason: 'manual' });
+  if (!out.ok) return res.status(out.code).json(out);
+  res.json({ ok: true, trade: out.trade, portfolio: paper.getPortfolio() });
+});
+
+app.post('/api/paper/reset', requireAdmin, (_req, res) => {
+  res.json({ ok: true, ...paper.reset() });
+});
+
+// Backtests: replay a dataset through the launch analysis + a decision policy, scored against outcomes
+app.post('/api/backtests', (req, res) => {
+  const out = backtester.start(req.body || {});
+  if (!out.ok) return res.status(out.code).json(out);
+  res.status(202).json({ ok: true, backtest: out.run });
+});
+
+app.get('/api/backtests', (_req, res) => {
+  res.json({ ok: true, backtests: backtester.list() });
+});
+
+// ?decisions=false leaves out the per-tweet rows
+app.get('/api/backtests/:id', (req, res) => {
+  const run = backtester.get(req.params.id);
+  if (!run) return res.status(404).json({ ok: false, error: 'backtest not found' });
+  res.json({ ok: true, backtest: req.query.decisions === 'false' ? backtester.summarize(run) : run });
+});
+
+// Delivery log of outbound notifications (?status=&event=&channel=&limit=)
+app.get('/api/notifications', (req, res) => {
+  const { status, event, channel, limit } = req.query;
+  res.json({ ok: true, ...notifier.getStatus(), deliveries: notifier.deliveries({ status, event, channel, limit }) });
+});
+
+// Sends a test notification to every channel, or just { "channel": "discord" }, ignoring filters
+app.post('/api/notifications/test', (req, res) => {
+  if (!notifier.configured) return res.status(400).json({ ok: false, error: 'No notification channels configured' });
+  const only = req.body?.channel || null;
+  const deliveries = notifier.notify('test', {
+    title: '🔔 Test notification',
+    text: req.body?.text || 'Notifications are working.',
+    data: { mode: CURRENT_MODE },
+  }, { only });
+  if (!deliveries.length) return res.status(404).json({ ok: false, error: `Unknown channel: ${only}` });
+  res.status(202).json({ ok: true, deliveries });
+});
+
+app.get('/api/tokens/stats', async (_req, res) => {
+  try {
+    const stats = await ledger.getStats();
+    res.json({
+      ok: true,
+      stats: {
+        totalCreated: stats.tokensCreated,
+        successRate: stats.successRate,
+        avgConfidence: stats.avgConfidence,
+        totalCosts: stats.totalCosts,
+        queueLength: stats.launchQueue.length
+      }
+    });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+// Launch ledger
+app.get('/api/launches', async (req, res) => {
+  const { status, mode, author, from, to } = req.query;
+  for (const [k, v] of Object.entries({ from, to })) {
+    if (v && isNaN(new Date(v).getTime())) {
+      return res.status(400).json({ ok: false, error: `invalid ${k} date` });
     }
-  });
+  }
+  const limit = Math.max(1, Math.min(parseInt(req.query.limit || '50', 10) || 50, 500));
+  const offset = Math.max(0, parseInt(req.query.offset || '0', 10) || 0);
+  
+  try {
+    const launches = await ledger.listLaunches({ status, mode, author, from, to, limit, offset });
+    res.json({ ok: true, count: launches.length, limit, offset, launches: launches.map(publicLaunch) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.get('/api/launches/:id', async (req, res) => {
+  try {
+    const launch = await ledger.getLaunch(req.params.id);
+    if (!launch) return res.status(404).json({ ok: false, error: 'launch not found' });
+    res.json({ ok: true, launch: publicLaunch(launch), running: launchPipeline.isRunning(launch.id) });
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+});
+
+app.post('/api/launches/:id/resume', async (req, res) => {
+  try {
+    const launch = await ledger.getLaunch(req.params.id);
+    if (launch && refuseLiveLaunch(req, res, launch.testMode)) return;
+    const unavailable = launch && liveLaunchUnavailable(launch.testMode);
+    if (unavailable) return res.status(unavailable.code).json(unavailable);
+    const result = await resumeLaunch(req.params.id);
+    if (!result.ok && result.code) return res.status(result.code).json(result);
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
 });
 
 // NEW: Website generation endpoints
@@ -749,9 +1316,10 @@ app.post('/api/websites/generate', async (req, res) => {
   if (!tokenData) {
     return res.status(400).json({ ok: false, error: 'tokenData required' });
   }
+  if (refuseLiveLaunch(req, res, testMode)) return;
   
   try {
-    const result = await generateWebsite(tokenData, memeTheme || 'default', testMode);
+    const result = await generateWebsite(tokenData, memeTheme || 'default', testMode, { idempotencyKey: req.get('Idempotency-Key') || null });
     res.json(result);
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
@@ -760,14 +1328,15 @@ app.post('/api/websites/generate', async (req, res) => {
 
 // NEW: Trading endpoints
 app.post('/api/trading/setup', async (req, res) => {
-  const { tokenAddress, initialLiquidity = 1000, testMode = true } = req.body;
+  const { tokenAddress, symbol, initialLiquidity, testMode = true } = req.body;
   
   if (!tokenAddress) {
     return res.status(400).json({ ok: false, error: 'tokenAddress required' });
   }
+  if (refuseLiveLaunch(req, res, testMode)) return;
   
   try {
-    const result = await setupTrading(tokenAddress, testMode);
+    const result = await setupTrading(tokenAddress, testMode, { symbol, initialLiquidity, idempotencyKey: req.get('Idempotency-Key') || null });
     res.json(result);
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
@@ -778,29 +1347,56 @@ app.get('/api/trading/stats', (_req, res) => {
   res.json({
     ok: true,
     stats: {
-      activeTrades: systemStats.activeTrades,
-      totalInvested: systemStats.totalInvested
+      activeTrades: ledger.counters.activeTrades,
+      totalInvested: ledger.counters.totalInvested
     }
   });
 });
 
+// ---- Monitored accounts
+app.get('/api/accounts', (req, res) => {
+  const tier = req.query.tier ? String(req.query.tier) : undefined;
+  res.json({ ok: true, accounts: accounts.list(tier), caps: accounts.caps() });
+});
+
+// Adds a handle, or updates tier/intervalMs of one already monitored
+app.post('/api/accounts', (req, res) => {
+  const { handle, tier, intervalMs } = req.body || {};
+  if (!handle) return res.status(400).json({ ok: false, error: 'handle required' });
+  const existing = accounts.get(handle);
+  const out = existing
+    ? accounts.update(handle, { tier, intervalMs })
+    : accounts.add(handle, { tier, intervalMs });
+  if (!out.ok) return res.status(out.code).json({ ok: false, error: out.error });
+  res.status(existing ? 200 : 201).json({ ok: true, account: out.account });
+});
+
+app.post('/api/accounts/:handle/promote', (req, res) => {
+  const out = accounts.promote(req.params.handle);
+  if (!out.ok) return res.status(out.code).json({ ok: false, error: out.error });
+  res.json({ ok: true, account: out.account });
+});
+
+app.post('/api/accounts/:handle/demote', (req, res) => {
+  const out = accounts.demote(req.params.handle);
+  if (!out.ok) return res.status(out.code).json({ ok: false, error: out.error });
+  res.json({ ok: true, account: out.account });
+});
+
+app.delete('/api/accounts/:handle', (req, res) => {
+  const out = accounts.remove(req.params.handle);
+  if (!out.ok) return res.status(out.code).json({ ok: false, error: out.error });
+  res.json({ ok: true, account: out.account });
+});
+
 // Existing Twitter/monitoring endpoints
 app.get('/api/twitter/monitor', (_req, res) => {
   res.json({
     ok: true,
-    monitoring: CURRENT_MODE === 'simulation' ? simActive : isMonitoring,
-    priorityAccounts: PRIORITY,
-    baseAccounts: BASE,
-    totalTweets: tweetsBuffer.length,
-    lastPollAtPriority,
-    lastPollAtBase,
-    priorityIntervalMs: PRIORITY_INTERVAL_MS,
-    baseIntervalMs: BASE_INTERVAL_MS,
-    gapMs: PER_REQUEST_GAP_MS,
-    burstWindowMs: BURST_WINDOW_MS,
-    suspended: Date.now() < suspendedUntil,
-    suspendedUntil: Date.now() < suspendedUntil ? new Date(suspendedUntil).toISOString() : null,
-    recentActivity: tweetsBuffer.slice(0, 10),
+    ...monitor.getStatus(),
+    monitoring: CURRENT_MODE === 'simulation' ? simActive : monitor.running,
+    totalTweets: tweetBuffer.size,
+    recentActivity: tweetBuffer.recent(10),
     mode: CURRENT_MODE,
     simulation: { active: simActive, datasetSize: simDataset.length }
   });
@@ -808,7 +1404,7 @@ app.get('/api/twitter/monitor', (_req, res) => {
 
 app.get('/api/tweets/recent', (req, res) => {
   const limit = Math.max(1, Math.min(parseInt(req.query.limit || '20', 10), MAX_TWEETS));
-  res.json({ tweets: tweetsBuffer.slice(0, limit) });
+  res.json({ tweets: tweetBuffer.recent(limit) });
 });
 
 app.post('/api/monitor/start', async (_req, res) => {
@@ -817,7 +1413,7 @@ app.post('/api/monitor/start', async (_req, res) => {
     if (!out.ok) return res.status(400).json(out);
     return res.json(out);
   } else {
-    const out = await startMonitoring();
+    const out = startMonitoring();
     if (!out.ok) return res.status(400).json(out);
     return res.json(out);
   }
@@ -832,13 +1428,28 @@ app.post('/api/monitor/stop', (_req, res) => {
 });
 
 app.get('/api/sim/status', (_req, res) => {
-  res.json({ ok: true, active: simActive, datasetSize: simDataset.length, index: simIndex, mode: CURRENT_MODE });
+  res.json({
+    ok: true,
+    active: simActive,
+    mode: CURRENT_MODE,
+    source: simSource,
+    datasetSize: simDataset.length,
+    ...(simReplay ? simReplay.getStatus() : {}),
+    recording: recorder ? recorder.getStatus() : null,
+  });
 });
 
-app.post('/api/sim/start', async (_req, res) => res.json(await startSimulation()));
+app.get('/api/sim/datasets', (_req, res) => res.json({ ok: true, datasets: listDatasets() }));
+
+// Body (all optional): { "dataset": "name.ndjson" | [...], "seed": 42, "speed": 10 }
+app.post('/api/sim/start', async (req, res) => {
+  const { dataset, seed, speed } = req.body || {};
+  const out = await startSimulation({ dataset, seed, speed });
+  res.status(out.ok ? 200 : 400).json(out);
+});
 app.post('/api/sim/stop', (_req, res) => res.json(stopSimulation()));
 
-app.post('/api/mode', (req, res) => {
+app.post('/api/mode', requireAdmin, (req, res) => {
   const mode = String((req.body && req.body.mode) || '').toLowerCase();
   if (!mode) return res.status(400).json({ ok: false, error: 'mode required' });
   if (!['simulation','production','paper_trading'].includes(mode)) {
@@ -846,18 +1457,41 @@ app.post('/api/mode', (req, res) => {
   }
   
   if (simActive) stopSimulation();
-  if (isMonitoring) stopMonitoring();
+  if (monitor.running) stopMonitoring();
   CURRENT_MODE = mode;
   console.log(`🔀 Mode set to: ${CURRENT_MODE}`);
   res.json({ ok: true, mode: CURRENT_MODE });
 });
 
 // ---------- Start server ----------
-app.listen(PORT, () => {
-  console.log(`✅ MemesMachine Enhanced API listening on ${PORT}`);
-  console.log(`• Auto-start monitoring: OFF (use POST /api/monitor/start)`);
-  console.log(`• Default mode: ${CURRENT_MODE}`);
-  console.log(`• Enhanced features: Token creation, Website generation, Trading automation`);
-  if (!TWITTER_API_KEY) console.warn('⚠️ TWITTER_API_KEY is missing');
-  if (!OPENROUTER_API_KEY) console.warn('⚠️ OPENROUTER_API_KEY is missing');
+ledger.init().then(() => {
+  const server = app.listen(PORT, () => {
+    approvals.start();
+    paper.start();
+    if (VELOCITY_ENABLED) velocity.start();
+    console.log(`✅ MemesMachine Enhanced API listening on ${PORT}`);
+    console.log(`• Auto-start monitoring: OFF (use POST /api/monitor/start)`);
+    console.log(`• Default mode: ${CURRENT_MODE}`);
+    console.log(`• Launch approvals: ${APPROVAL_MODE} (expiry ${Math.round(APPROVAL_EXPIRY_MS / 60_000)}m)`);
+    console.log(`• Real-time events: ws://…/ws and /api/events`);
+    console.log(`• Enhanced features: Token creation, Website generation, Trading automation`);
+    if (!tweetSources.configured) console.warn('⚠️ No tweet source configured (TWITTER_API_KEY, RAPIDAPI_KEY or TWITTER_BEARER_TOKEN)');
+    else console.log(`• Tweet sources: ${tweetSources.getStatus().order.join(' → ')}`);
+    if (!OPENROUTER_API_KEY) console.warn('⚠️ OPENROUTER_API_KEY is missing');
+    for (const envName of launchServices.missingForLaunch()) console.warn(`⚠️ ${envName} unset: live launches are refused (test launches only)`);
+    if (!launchServices.tokenCreator.configured) {
+      console.log(`• Token creation: direct SPL minting via ${splTokens.rpcUrl} (TOKEN_CREATOR_URL unset)`);
+      const sdk = splTokens.sdkStatus();
+      if (sdk.missing.length) console.warn(`⚠️ ${sdk.missing.join(' and ')} not installed (optional dependencies): live launches fail at the token step unless TOKEN_CREATOR_URL is set`);
+      else if (splTokens.metadata && !sdk.metadata) console.warn('⚠️ @metaplex-foundation/mpl-token-metadata not installed: live tokens are minted without metadata');
+    }
+    if (CURRENT_MODE === 'paper_trading' && !paper.priceFeed) console.warn('⚠️ paper_trading without PRICE_FEED_FILE / PRICE_FEED_URL: launches can\'t be bought');
+    if (!access.enabled) console.warn('⚠️ AUTH_ENABLED=false — every caller is treated as admin');
+    else if (!access.configured) console.warn('⚠️ No API_KEYS or JWT_SECRET set — the API refuses every request');
+    else console.log(`• Auth: ${access.apiKeys.length} API key(s)${access.jwtSecret ? ' + JWT' : ''}`);
+  });
+  events.attachWebSocket(server, { path: '/ws', authenticate: (req) => access.authenticate(req, { allowQuery: true }).ok });
+}).catch(e => {
+  console.error('❌ Launch ledger failed to initialize:', e?.message || e);
+  process.exit(1);
 });
@@ -0,0 +1,116 @@
+// mocks/launchServiceStubs.js
+// Local stand-ins for token-creator (:3003), website-generator (:3004) and trading-agent (:3005),
+// implementing the contract in services/launchServices.js so the live launch pipeline can run
+// without Solana or the real services:
+//
+//   node mocks/launchServiceStubs.js                    # all three
+//   node mocks/launchServiceStubs.js token-creator      # or any subset
+//   TOKEN_CREATOR_URL=http://localhost:3003 WEBSITE_GENERATOR_URL=http://localhost:3004 \
+//   TRADING_AGENT_URL=http://localhost:3005 npm start
+//
+// Requests with an Idempotency-Key seen before get the stored response back (header
+// Idempotent-Replayed: true); the same key with a different body is a 422. MOCK_SERVICE_DELAY_MS
+// slows every create call (to exercise SERVICE_TIMEOUT_MS) and MOCK_SERVICE_FAIL_RATE (0–1) makes
+// that share of them answer 503 without creating anything.
+
+const crypto = require('crypto');
+const express = require('express');
+const { mockToken } = require('../services/splTokenAdapter');
+
+const DELAY_MS = Math.max(0, parseInt(process.env.MOCK_SERVICE_DELAY_MS || '0', 10));
+const FAIL_RATE = Math.min(1, Math.max(0, parseFloat(process.env.MOCK_SERVICE_FAIL_RATE || '0')));
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function stub(service, createPath, create) {
+  const app = express();
+  app.use(express.json());
+  const responses = new Map(); // idempotency key -> { fingerprint, status, body }
+  const created = [];
+
+  app.get('/health', (_req, res) => res.json({ status: 'healthy', service, stub: true, created: created.length }));
+
+  app.get(createPath, (_req, res) => res.json({ count: created.length, items: created.slice(-50).reverse() }));
+
+  app.post(createPath, async (req, res) => {
+    const key = req.get('Idempotency-Key');
+    const fingerprint = crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+    const seen = key && responses.get(key);
+    if (seen) {
+      if (seen.fingerprint !== fingerprint) return res.status(422).json({ error: 'Idempotency-Key reused with a different request body' });
+      console.log(`↩️ ${service}: replayed ${key}`);
+      return res.status(seen.status).set('Idempotent-Replayed', 'true').json(seen.body);
+    }
+
+    if (DELAY_MS) await sleep(DELAY_MS);
+    if (Math.random() < FAIL_RATE) return res.status(503).json({ error: 'stub failure (MOCK_SERVICE_FAIL_RATE)' });
+
+    const out = create(req.body || {});
+    if (out.error) return res.status(400).json({ error: out.error });
+    created.push(out);
+    if (key) responses.set(key, { fingerprint, status: 201, body: out });
+    console.log(`🧪 ${service}: created ${out.mintAddress || out.url || out.pair}${key ? ` (${key})` : ''}`);
+    res.status(201).json(out);
+  });
+
+  return app;
+}
+
+const STUBS = {
+  'token-creator': {
+    port: parseInt(process.env.MOCK_TOKEN_CREATOR_PORT || '3003', 10),
+    app: () => stub('token-creator', '/tokens', (b) => {
+      if (!b.name || !b.symbol) return { error: 'name and symbol required' };
+      const t = mockToken({ name: b.name, symbol: b.symbol, decimals: b.decimals ?? 9, supply: b.supply ?? 1_000_000_000 });
+      return {
+        mintAddress: t.address,
+        tokenAddress: t.tokenAccount,
+        transactionSignature: t.signature,
+        metadataAddress: null,
+        name: t.name,
+        symbol: t.symbol,
+        decimals: t.decimals,
+        supply: t.supply,
+        network: 'stub',
+        createdAt: t.created,
+        costs: { transactionFee: 0.00001, mintRent: 0.0015, total: 0.00151 },
+        status: 'created',
+      };
+    }),
+  },
+  'website-generator': {
+    port: parseInt(process.env.MOCK_WEBSITE_GENERATOR_PORT || '3004', 10),
+    app: () => stub('website-generator', '/websites', (b) => {
+      if (!b.token?.symbol) return { error: 'token.symbol required' };
+      return {
+        url: `https://${String(b.token.symbol).toLowerCase()}-${crypto.randomBytes(3).toString('hex')}.stub.local`,
+        status: 'deployed',
+        template: b.theme || 'default',
+        createdAt: new Date().toISOString(),
+      };
+    }),
+  },
+  'trading-agent': {
+    port: parseInt(process.env.MOCK_TRADING_AGENT_PORT || '3005', 10),
+    app: () => stub('trading-agent', '/trading', (b) => {
+      if (!b.tokenAddress) return { error: 'tokenAddress required' };
+      return {
+        pair: `${b.tokenAddress}/SOL`,
+        initialLiquidity: b.initialLiquiditySol ?? 1,
+        status: 'active',
+        startedAt: new Date().toISOString(),
+      };
+    }),
+  },
+};
+
+const wanted = process.argv.slice(2);
+const unknown = wanted.filter(n => !STUBS[n]);
+if (unknown.length) {
+  console.error(`Unknown stub(s): ${unknown.join(', ')} (expected ${Object.keys(STUBS).join(', ')})`);
+  process.exit(1);
+}
+for (const name of wanted.length ? wanted : Object.keys(STUBS)) {
+  const { port, app } = STUBS[name];
+  app().listen(port, () => console.log(`🧪 Stub ${name} on ${port}`));
+}
@@ -0,0 +1,52 @@
+// mocks/priceFeedServer.js
+// Local price feed for paper trading (PRICE_FEED_URL=http://localhost:3010). Every token follows its
+// own seeded random walk — one step per MOCK_PRICE_STEP_MS since the token was first asked for — so
+// the same MOCK_PRICE_SEED replays the same prices. POST /price/:token { "price": … } pins a price.
+//
+//   node mocks/priceFeedServer.js
+//   GET  /price/:token?symbol=MOON  → { token, price, step }
+//   POST /price/:token { price }    (null unpins)
+
+const express = require('express');
+const { seededRandom, toSeed } = require('../services/simulationReplay');
+
+const PORT = parseInt(process.env.MOCK_PRICE_PORT || '3010', 10);
+const STEP_MS = Math.max(100, parseInt(process.env.MOCK_PRICE_STEP_MS || '10000', 10));
+const START_PRICE = parseFloat(process.env.MOCK_PRICE_START || '0.0001');
+const VOLATILITY = parseFloat(process.env.MOCK_PRICE_VOLATILITY || '0.15'); // max move per step
+const DRIFT = parseFloat(process.env.MOCK_PRICE_DRIFT || '0.01'); // mean move per step
+const SEED = process.env.MOCK_PRICE_SEED || 'paper';
+
+const tokens = new Map(); // token -> { firstSeen, rng, step, price, pinned }
+
+function priceAt(token) {
+  let t = tokens.get(token);
+  if (!t) {
+    t = { firstSeen: Date.now(), rng: seededRandom(toSeed(`${SEED}:${token}`)), step: 0, price: START_PRICE, pinned: null };
+    tokens.set(token, t);
+  }
+  const target = Math.floor((Date.now() - t.firstSeen) / STEP_MS);
+  for (; t.step < target; t.step++) {
+    t.price *= Math.max(0.01, 1 + DRIFT + (t.rng() * 2 - 1) * VOLATILITY);
+  }
+  return { price: t.pinned ?? t.price, step: t.step };
+}
+
+const app = express();
+app.use(express.json());
+
+app.get('/health', (_req, res) => res.json({ status: 'healthy', service: 'mock-price-feed', tokens: tokens.size }));
+
+app.get('/price/:token', (req, res) => {
+  res.json({ token: req.params.token, symbol: req.query.symbol || null, ...priceAt(req.params.token) });
+});
+
+app.post('/price/:token', (req, res) => {
+  priceAt(req.params.token);
+  const price = req.body?.price;
+  if (price !== null && !(Number(price) > 0)) return res.status(400).json({ ok: false, error: 'price must be > 0 or null' });
+  tokens.get(req.params.token).pinned = price === null ? null : Number(price);
+  res.json({ ok: true, token: req.params.token, ...priceAt(req.params.token) });
+});
+
+app.listen(PORT, () => console.log(`💹 Mock price feed on ${PORT} (step ${STEP_MS}ms, seed ${SEED})`));
@@ -0,0 +1,114 @@
+// scripts/splTokenE2E.js
+// End-to-end check of direct SPL minting against a running solana-test-validator (or SOLANA_RPC_URL
+// with a funded wallet, same env as the server):
+//
+//   solana-test-validator --reset          # in another terminal
+//   npm run e2e:spl
+//
+// Mints a token and checks it on chain (supply, decimals, revoked authorities, wallet balance),
+// re-runs the launch from its checkpoint, then interrupts three launches mid-way (before the mint
+// is sent, before the mintTo is sent, and a mintTo whose confirmation times out after it was sent)
+// and checks that a retry from a fresh adapter — as after a restart — finishes the same token
+// without minting twice. Exits non-zero on the first failed check.
+
+require('dotenv').config();
+const assert = require('assert/strict');
+const { createSplTokenAdapter } = require('../services/splTokenAdapter');
+
+// checkpoint() that throws once when `when(progress)` first holds, like a crash at that point
+function crashingCheckpoint(when) {
+  let crashed = false;
+  let last = null;
+  return {
+    checkpoint: async (progress) => {
+      last = progress;
+      if (!crashed && when(progress)) {
+        crashed = true;
+        throw new Error('simulated crash');
+      }
+    },
+    get progress() {
+      return last;
+    },
+  };
+}
+
+async function verifyOnChain(adapter, token) {
+  const { web3, spl } = adapter.sdk;
+  const mint = await spl.getMint(adapter.connection, new web3.PublicKey(token.address));
+  const raw = BigInt(token.supply) * 10n ** BigInt(token.decimals);
+  assert.equal(mint.supply, raw, 'supply minted exactly once');
+  assert.equal(mint.decimals, token.decimals, 'decimals');
+  if (adapter.revokeMintAuthority) assert.equal(mint.mintAuthority, null, 'mint authority revoked');
+  if (adapter.revokeFreezeAuthority) assert.equal(mint.freezeAuthority, null, 'freeze authority revoked');
+  const account = await spl.getAccount(adapter.connection, new web3.PublicKey(token.tokenAccount));
+  assert.equal(account.amount, raw, 'supply held by the wallet');
+  assert.equal(account.owner.toBase58(), adapter.payer.publicKey.toBase58(), 'token account owner');
+}
+
+async function main() {
+  const adapter = createSplTokenAdapter();
+  const { missing } = adapter.sdkStatus();
+  if (missing.length) throw new Error(`${missing.join(' and ')} not installed (npm install)`);
+  await adapter.init();
+  try {
+    await adapter.connection.getVersion();
+  } catch (e) {
+    throw new Error(`no cluster at ${adapter.rpcUrl} (start solana-test-validator): ${e.message}`);
+  }
+
+  console.log(`🧪 Minting against ${adapter.rpcUrl}`);
+  let progress = null;
+  const first = await adapter.createToken({ name: 'E2E Token', symbol: 'E2E', checkpoint: async (p) => { progress = p; } });
+  assert.ok(first.ok, first.error);
+  await verifyOnChain(adapter, first.token);
+  assert.equal(progress.mint, first.token.address, 'mint address checkpointed');
+  console.log(`✅ Minted ${first.token.address} (metadata: ${first.token.metadata?.status || 'off'}, ${first.token.cost.toFixed(5)} SOL)`);
+
+  const again = await adapter.createToken({ name: 'E2E Token', symbol: 'E2E', resume: progress });
+  assert.ok(again.ok, again.error);
+  assert.equal(again.token.address, first.token.address, 'resume keeps the mint');
+  await verifyOnChain(adapter, again.token);
+  console.log('✅ Re-run from the checkpoint reuses the mint and mints nothing');
+
+  const crashes = {
+    'a crash before the mint is sent': (p) => !!p.mintSecret,
+    'a crash before the mintTo is sent': (p) => !!p.mintSignature,
+  };
+  for (const [label, when] of Object.entries(crashes)) {
+    const run = crashingCheckpoint(when);
+    const failed = await adapter.createToken({ name: 'E2E Retry', symbol: 'E2ER', checkpoint: run.checkpoint });
+    assert.equal(failed.ok, false, `${label} fails the attempt`);
+    await retryAfterRestart(label, run);
+  }
+
+  // The mintTo reaches the cluster but its confirmation is lost: the retry must find it, not re-mint
+  const run = crashingCheckpoint(() => false);
+  const confirm = adapter.connection.confirmTransaction.bind(adapter.connection);
+  adapter.connection.confirmTransaction = async (strategy, ...rest) => {
+    if (strategy?.signature && strategy.signature === run.progress?.mintSignature) throw new Error('simulated confirmation timeout');
+    return confirm(strategy, ...rest);
+  };
+  const timedOut = await adapter.createToken({ name: 'E2E Retry', symbol: 'E2ER', checkpoint: run.checkpoint });
+  adapter.connection.confirmTransaction = confirm;
+  assert.equal(timedOut.ok, false, 'a lost mintTo confirmation fails the attempt');
+  await retryAfterRestart('a mintTo whose confirmation timed out', run);
+}
+
+// Retries from the last checkpoint with a new adapter: nothing carried over in memory
+async function retryAfterRestart(label, run) {
+  const adapter = createSplTokenAdapter();
+  const retried = await adapter.createToken({ name: 'E2E Retry', symbol: 'E2ER', resume: run.progress, checkpoint: run.checkpoint });
+  assert.ok(retried.ok, retried.error);
+  assert.equal(retried.token.address, run.progress.mint, `retry after ${label} keeps the mint`);
+  assert.equal(run.progress.mintSecret, null, 'mint secret dropped once the mint exists');
+  await verifyOnChain(adapter, retried.token);
+  console.log(`✅ After ${label}: retry finished ${retried.token.address}`);
+}
+
+main().then(() => {
+  console.log('✅ SPL end-to-end checks passed');
+}).catch(e => {
+  console.error(`❌ ${e?.message || e}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,186 @@
+// services/accessControl.js
+// API authentication and roles for the control API. Callers present an API key (X-API-Key or
+// Authorization: Bearer <key>) or an HS256 JWT (Authorization: Bearer <jwt>) whose `role` claim
+// names their role. Roles are ordered: viewer < operator < admin.
+//
+//   API_KEYS=<key>:<role>,<key>:<role>     JWT_SECRET=…  (JWT_ISSUER / JWT_AUDIENCE checked when set)
+//
+// Event streams can't always send headers (EventSource, browser WebSocket), so they may pass the
+// key or token as ?access_token= instead.
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const CLOCK_SKEW_S = 30;
+
+const rank = (role) => ROLES.indexOf(role);
+
+// Highest valid role among a claim that may be a string or an array
+function pickRole(claim) {
+  const list = (Array.isArray(claim) ? claim : [claim]).map(r => String(r || '').toLowerCase());
+  return list.filter(r => ROLES.includes(r)).sort((a, b) => rank(b) - rank(a))[0] || null;
+}
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+const digest = (s) => crypto.createHash('sha256').update(String(s)).digest();
+const sameSecret = (a, b) => crypto.timingSafeEqual(digest(a), digest(b));
+
+// Minimal HS256 JWT — enough to mint tokens from scripts (node -e "…signJwt(…)")
+function signJwt(payload, secret, { expiresInS = 3600 } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify({ iat: now, ...(expiresInS ? { exp: now + expiresInS } : {}), ...payload }));
+  const sig = crypto.createHmac('sha256', secret).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
+}
+
+// → claims, or throws with a message fit for a 401
+function verifyJwt(token, secret, { issuer, audience } = {}) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw new Error('malformed token');
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('malformed token');
+  }
+  if (header?.alg !== 'HS256') throw new Error(`unsupported token algorithm ${header?.alg}`);
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts[0]}.${parts[1]}`).digest();
+  const given = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new Error('invalid token signature');
+
+  // A signed but odd payload must not slip through: NaN times never expire
+  if (!claims || typeof claims !== 'object' || Array.isArray(claims)) throw new Error('malformed token claims');
+  for (const k of ['exp', 'nbf']) {
+    if (claims[k] !== undefined && !(typeof claims[k] === 'number' && Number.isFinite(claims[k]))) throw new Error(`invalid token ${k}`);
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp !== undefined && now > claims.exp + CLOCK_SKEW_S) throw new Error('token expired');
+  if (claims.nbf !== undefined && now + CLOCK_SKEW_S < claims.nbf) throw new Error('token not yet valid');
+  if (issuer && claims.iss !== issuer) throw new Error('unexpected token issuer');
+  if (audience) {
+    const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!aud.includes(audience)) throw new Error('unexpected token audience');
+  }
+  return claims;
+}
+
+// "key:role,key:role" → [{ key, role }]; the role is after the last ':'
+function parseApiKeys(raw) {
+  const keys = [];
+  for (const entry of String(raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const i = entry.lastIndexOf(':');
+    const key = i > 0 ? entry.slice(0, i) : entry;
+    const role = i > 0 ? pickRole(entry.slice(i + 1)) : null;
+    if (!role) {
+      console.warn(`⚠️ API key ${key.slice(0, 4)}… ignored: role must be one of ${ROLES.join(', ')}`);
+      continue;
+    }
+    keys.push({ key, role });
+  }
+  return keys;
+}
+
+class AccessControl {
+  constructor({ enabled = true, apiKeys = [], jwtSecret = null, jwtIssuer = null, jwtAudience = null, roleClaim = 'role' } = {}) {
+    this.enabled = enabled;
+    this.apiKeys = apiKeys;
+    this.jwtSecret = jwtSecret;
+    this.jwtIssuer = jwtIssuer;
+    this.jwtAudience = jwtAudience;
+    this.roleClaim = roleClaim;
+  }
+
+  get configured() {
+    return this.apiKeys.length > 0 || !!this.jwtSecret;
+  }
+
+  // → { ok, auth: { role, subject, via } } | { ok: false, code, error }
+  authenticate(req, { allowQuery = false } = {}) {
+    if (!this.enabled) return { ok: true, auth: { role: 'admin', subject: 'anonymous', via: 'disabled' } };
+
+    const header = req.headers?.authorization || '';
+    let credential = req.headers?.['x-api-key'] || (/^Bearer\s+/i.test(header) ? header.replace(/^Bearer\s+/i, '').trim() : '');
+    if (!credential && allowQuery) {
+      credential = new URL(req.originalUrl || req.url, 'http://localhost').searchParams.get('access_token') || '';
+    }
+    if (!credential) return { ok: false, code: 401, error: 'Authentication required' };
+
+    const match = this.apiKeys.find(k => sameSecret(k.key, credential));
+    if (match) return { ok: true, auth: { role: match.role, subject: `key:${match.key.slice(0, 4)}…`, via: 'api_key' } };
+
+    if (this.jwtSecret && credential.split('.').length === 3) {
+      let claims;
+      try {
+        claims = verifyJwt(credential, this.jwtSecret, { issuer: this.jwtIssuer, audience: this.jwtAudience });
+      } catch (e) {
+        return { ok: false, code: 401, error: e.message };
+      }
+      const role = pickRole(claims[this.roleClaim]);
+      if (!role) return { ok: false, code: 403, error: `token has no valid ${this.roleClaim} claim (${ROLES.join(', ')})` };
+      return { ok: true, auth: { role, subject: claims.sub || 'jwt', via: 'jwt' } };
+    }
+    return { ok: false, code: 401, error: 'Invalid API key or token' };
+  }
+
+  hasRole(auth, role) {
+    return !!auth && rank(auth.role) >= rank(role);
+  }
+
+  // Non-test launches spend real money: admins only. Sends the 403 and returns true when refused.
+  refuseLiveLaunch(req, res, testMode) {
+    if (testMode || this.hasRole(req.auth, 'admin')) return false;
+    res.status(403).json({ ok: false, error: 'Requires admin role for non-test launches', role: req.auth?.role || null });
+    return true;
+  }
+
+  // Express: rejects unauthenticated callers, sets req.auth
+  middleware({ allowQuery = false } = {}) {
+    return (req, res, next) => {
+      const out = this.authenticate(req, { allowQuery });
+      if (!out.ok) {
+        if (out.code === 401) res.set('WWW-Authenticate', 'Bearer');
+        return res.status(out.code).json({ ok: false, error: out.error });
+      }
+      req.auth = out.auth;
+      next();
+    };
+  }
+
+  requireRole(role) {
+    return (req, res, next) => {
+      if (this.hasRole(req.auth, role)) return next();
+      res.status(403).json({ ok: false, error: `Requires ${role} role`, role: req.auth?.role || null });
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      roles: ROLES,
+      apiKeys: this.apiKeys.length,
+      jwt: !!this.jwtSecret,
+    };
+  }
+}
+
+function createAccessControl(env = process.env) {
+  return new AccessControl({
+    enabled: !/^false$/i.test(env.AUTH_ENABLED || 'true'),
+    apiKeys: parseApiKeys(env.API_KEYS),
+    jwtSecret: env.JWT_SECRET || null,
+    jwtIssuer: env.JWT_ISSUER || null,
+    jwtAudience: env.JWT_AUDIENCE || null,
+    roleClaim: env.JWT_ROLE_CLAIM || 'role',
+  });
+}
+
+module.exports = {
+  ROLES,
+  AccessControl,
+  createAccessControl,
+  signJwt,
+  verifyJwt,
+};
@@ -0,0 +1,174 @@
+// services/accountRegistry.js
+// Monitored Twitter accounts, editable at runtime. Accounts live in a priority or base tier
+// (each with its own cap) and may carry a per-account polling interval. State is kept on disk
+// (data/accounts.json); the env lists only seed it on first start. Emits 'change' on every edit.
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'accounts.json');
+const TIERS = ['priority', 'base'];
+const MIN_INTERVAL_MS = 60_000;
+const HANDLE_RE = /^[A-Za-z0-9_]{1,15}$/;
+
+const normalizeHandle = (h) => String(h || '').trim().replace(/^@/, '');
+const sameHandle = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+class AccountRegistry extends EventEmitter {
+  constructor({
+    filePath = DEFAULT_FILE,
+    maxPriority = 3,
+    maxBase = 5,
+    maxTotal = 5,
+    seed = { priority: [], base: [] },
+  } = {}) {
+    super();
+    this.filePath = filePath;
+    this.maxPriority = maxPriority;
+    this.maxBase = maxBase;
+    this.maxTotal = maxTotal;
+    this.accounts = []; // { handle, tier, intervalMs, added, updated }
+    if (!this.load()) this.seed(seed);
+  }
+
+  load() {
+    try {
+      const obj = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!Array.isArray(obj)) return false;
+      this.accounts = obj.filter(a => a && HANDLE_RE.test(a.handle) && TIERS.includes(a.tier));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.accounts, null, 2));
+    } catch (e) {
+      console.error('Failed to save accounts.json:', e.message || e);
+    }
+  }
+
+  // First start: take the env lists, dropping whatever doesn't fit the caps.
+  seed({ priority = [], base = [] }) {
+    for (const tier of TIERS) {
+      for (const handle of tier === 'priority' ? priority : base) {
+        const r = this.add(handle, { tier, persist: false });
+        if (!r.ok) console.warn(`⚠️ Not monitoring @${normalizeHandle(handle)}: ${r.error}`);
+      }
+    }
+    this.save();
+  }
+
+  // ---- Queries
+  get(handle) {
+    const h = normalizeHandle(handle);
+    return this.accounts.find(a => sameHandle(a.handle, h)) || null;
+  }
+
+  tierOf(handle) {
+    return this.get(handle)?.tier || null;
+  }
+
+  list(tier) {
+    return this.accounts.filter(a => !tier || a.tier === tier);
+  }
+
+  handles(tier) {
+    return this.list(tier).map(a => a.handle);
+  }
+
+  // Shape consumed by TwitterMonitor#setAccounts
+  snapshot() {
+    const intervals = {};
+    for (const a of this.accounts) if (a.intervalMs) intervals[a.handle] = a.intervalMs;
+    return { priority: this.handles('priority'), base: this.handles('base'), intervals };
+  }
+
+  caps() {
+    return { priority: this.maxPriority, base: this.maxBase, total: this.maxTotal };
+  }
+
+  // Returns an error string when `tier` has no room for one more account.
+  capError(tier, ignoreHandle = null) {
+    const others = this.accounts.filter(a => !ignoreHandle || !sameHandle(a.handle, ignoreHandle));
+    if (others.length >= this.maxTotal) return `account limit reached (${this.maxTotal})`;
+    const cap = tier === 'priority' ? this.maxPriority : this.maxBase;
+    if (others.filter(a => a.tier === tier).length >= cap) return `${tier} tier is full (${cap})`;
+    return null;
+  }
+
+  // ---- Edits
+  // All edits return { ok, account } or { ok:false, code, error }.
+  add(handle, { tier = 'base', intervalMs = null, persist = true } = {}) {
+    const h = normalizeHandle(handle);
+    if (!HANDLE_RE.test(h)) return { ok: false, code: 400, error: 'invalid handle' };
+    if (!TIERS.includes(tier)) return { ok: false, code: 400, error: `tier must be one of ${TIERS.join(', ')}` };
+    if (this.get(h)) return { ok: false, code: 409, error: `@${h} is already monitored` };
+    const iv = this.parseInterval(intervalMs);
+    if (iv.error) return { ok: false, code: 400, error: iv.error };
+    const full = this.capError(tier);
+    if (full) return { ok: false, code: 409, error: full };
+
+    const now = new Date().toISOString();
+    const account = { handle: h, tier, intervalMs: iv.value, added: now, updated: now };
+    this.accounts.push(account);
+    if (persist) this.changed('added', account);
+    return { ok: true, account };
+  }
+
+  update(handle, { tier, intervalMs } = {}) {
+    const account = this.get(handle);
+    if (!account) return { ok: false, code: 404, error: 'account not found' };
+    if (tier !== undefined && !TIERS.includes(tier)) {
+      return { ok: false, code: 400, error: `tier must be one of ${TIERS.join(', ')}` };
+    }
+    const iv = intervalMs === undefined ? { value: account.intervalMs } : this.parseInterval(intervalMs);
+    if (iv.error) return { ok: false, code: 400, error: iv.error };
+    if (tier && tier !== account.tier) {
+      const full = this.capError(tier, account.handle);
+      if (full) return { ok: false, code: 409, error: full };
+      account.tier = tier;
+    }
+    account.intervalMs = iv.value;
+    account.updated = new Date().toISOString();
+    this.changed('updated', account);
+    return { ok: true, account };
+  }
+
+  promote(handle) {
+    return this.update(handle, { tier: 'priority' });
+  }
+
+  demote(handle) {
+    return this.update(handle, { tier: 'base' });
+  }
+
+  remove(handle) {
+    const account = this.get(handle);
+    if (!account) return { ok: false, code: 404, error: 'account not found' };
+    this.accounts = this.accounts.filter(a => a !== account);
+    this.changed('removed', account);
+    return { ok: true, account };
+  }
+
+  // null/'' clears the override
+  parseInterval(v) {
+    if (v === null || v === undefined || v === '') return { value: null };
+    const n = parseInt(v, 10);
+    if (!Number.isFinite(n) || n < MIN_INTERVAL_MS) return { error: `intervalMs must be >= ${MIN_INTERVAL_MS}` };
+    return { value: n };
+  }
+
+  changed(action, account) {
+    this.save();
+    console.log(`👥 Account ${action}: @${account.handle} (${account.tier}${account.intervalMs ? `, every ${account.intervalMs}ms` : ''})`);
+    this.emit('change', { action, account });
+  }
+}
+
+module.exports = AccountRegistry;
+module.exports.normalizeHandle = normalizeHandle;
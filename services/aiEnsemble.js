@@ -2,20 +2,34 @@
 // Production AI ensemble (OpenRouter) — no placeholders.
 
 require('dotenv').config();
+const structured = require('./structuredOutput');
 
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || '';
 if (!OPENROUTER_API_KEY) {
   console.error('❌ Missing OPENROUTER_API_KEY');
 }
 
-const PRIMARY_MODEL   = process.env.PRIMARY_MODEL   || 'anthropic/claude-3.5-sonnet';
+// Defaults match index.js so both report the same ensemble
+const PRIMARY_MODEL   = process.env.PRIMARY_MODEL   || 'deepseek/deepseek-r1';
 const SECONDARY_MODEL = process.env.SECONDARY_MODEL || 'anthropic/claude-3-haiku';
-const PREMIUM_MODEL   = process.env.PREMIUM_MODEL   || 'openai/gpt-4o-mini';
+const PREMIUM_MODEL   = process.env.PREMIUM_MODEL   || 'anthropic/claude-3.5-sonnet';
 const BACKUP_MODEL    = process.env.BACKUP_MODEL    || 'qwen/qwen-2.5-72b-instruct';
 
+// Ensemble slots in routing order — the best-ranked model gets the heaviest vote. A slot whose env
+// var is set is pinned to that model; the others are filled per call by the router (configure({ route }))
+// for the task at hand, or fall back to the default model when no router is configured.
+const SLOTS = [
+  { slot: 'premium',   model: PREMIUM_MODEL,   pinned: !!process.env.PREMIUM_MODEL,   weight: 1.5 },
+  { slot: 'primary',   model: PRIMARY_MODEL,   pinned: !!process.env.PRIMARY_MODEL,   weight: 1.2 },
+  { slot: 'secondary', model: SECONDARY_MODEL, pinned: !!process.env.SECONDARY_MODEL, weight: 1.0 },
+  { slot: 'backup',    model: BACKUP_MODEL,    pinned: !!process.env.BACKUP_MODEL,    weight: 0.9 },
+];
+
 const ENSEMBLE_MODE   = (process.env.AI_ENSEMBLE_MODE || 'adaptive').toLowerCase(); // adaptive|weighted|primary_only
 const ENSEMBLE_VOTING = (process.env.ENSEMBLE_VOTING || 'weighted').toLowerCase();  // weighted|majority
 const CONFIDENCE_THRESHOLD = parseFloat(process.env.CONFIDENCE_THRESHOLD || '0.85');
+const MODEL_TIMEOUT_MS = Math.max(1000, parseInt(process.env.ENSEMBLE_MODEL_TIMEOUT_MS || '15000', 10));
+const QUORUM = parseInt(process.env.ENSEMBLE_QUORUM || '0', 10); // 0 = simple majority of the models asked
 
 const headers = {
   'Authorization': `Bearer ${OPENROUTER_API_KEY}`,
@@ -24,7 +38,38 @@ const headers = {
   'Content-Type': 'application/json',
 };
 
-async function callOpenRouter(model, system, user) {
+// index.js injects its own chat function (budget accounting etc.) and the model router via
+// configure({ chat, route }); route(task, { exclude }) → model id or null.
+let chatFn = null;
+let routeFn = null;
+
+function configure({ chat, route } = {}) {
+  if (typeof chat === 'function') chatFn = chat;
+  if (typeof route === 'function') routeFn = route;
+}
+
+// Models for one call: { premium, primary, secondary, backup, weights: Map(model → vote weight) }.
+// Routed slots never repeat a model already used by another slot.
+function resolveSlots(task) {
+  const taken = SLOTS.filter(s => s.pinned).map(s => s.model);
+  const out = { weights: new Map() };
+  for (const s of SLOTS) {
+    let model = s.model;
+    if (!s.pinned) {
+      model = (routeFn && routeFn(task, { exclude: taken })) || s.model;
+      taken.push(model);
+    }
+    out[s.slot] = model;
+    if (!out.weights.has(model)) out.weights.set(model, s.weight);
+  }
+  return out;
+}
+
+// Ensemble votes go to exactly the model asked (failover: false) — the other voters already cover
+// for a failing one. Single-model calls (primary_only, summaries) use chatWithFailover instead.
+async function callOpenRouter(model, system, user, { signal, failover = false } = {}) {
+  if (chatFn) return chatFn(model, system, user, { signal, failover });
+
   const body = {
     model,
     messages: [
@@ -38,6 +83,7 @@ async function callOpenRouter(model, system, user) {
     method: 'POST',
     headers,
     body: JSON.stringify(body),
+    signal,
   });
 
   if (!res.ok) {
@@ -50,69 +96,47 @@ async function callOpenRouter(model, system, user) {
   return content.trim();
 }
 
-function toSentimentScore(text) {
-  // Extract a 0–100 score if present; otherwise simple heuristic fallback.
-  const m = text.match(/(\b\d{1,3})\s*\/\s*100|\b(\d{1,3})\s*%|\bscore\s*[:=]\s*(\d{1,3})/i);
-  const n = parseInt(m?.[1] || m?.[2] || m?.[3] || '', 10);
-  if (!isNaN(n)) return Math.max(0, Math.min(100, n));
-
-  // Fallback: crude polarity guess to keep it deterministic
-  const pos = (text.match(/\b(bullish|positive|good|buy|pump|moon)\b/gi) || []).length;
-  const neg = (text.match(/\b(bearish|negative|bad|sell|dump)\b/gi) || []).length;
-  if (pos === 0 && neg === 0) return 50;
-  const score = 50 + (pos - neg) * 10;
-  return Math.max(0, Math.min(100, score));
+function chatWithFailover(model, system, user, opts = {}) {
+  return callOpenRouter(model, system, user, { ...opts, failover: true });
 }
 
-function vote(scores) {
+function vote(scores, weights) {
   if (!scores.length) return 50;
 
+  // majority: the side with more votes wins and only its scores are averaged
   if (ENSEMBLE_VOTING === 'majority') {
-    const highs = scores.filter(s => s >= 60).length;
-    const lows  = scores.filter(s => s <= 40).length;
-    if (highs > lows) return Math.round(scores.reduce((a,b)=>a+b,0)/scores.length);
-    if (lows > highs)  return Math.round(scores.reduce((a,b)=>a+b,0)/scores.length);
-    return 50;
+    const values = scores.map(s => s.value);
+    const highs = values.filter(v => v >= 60);
+    const lows  = values.filter(v => v <= 40);
+    const side = highs.length > lows.length ? highs : lows.length > highs.length ? lows : null;
+    return side ? Math.round(side.reduce((a,b)=>a+b,0)/side.length) : 50;
   }
 
   // weighted (default): premium > primary > secondary > backup
-  const weight = m => (m === PREMIUM_MODEL ? 1.5 : m === PRIMARY_MODEL ? 1.2 : m === SECONDARY_MODEL ? 1.0 : 0.9);
-  const totalW = scores.reduce((acc, s) => acc + weight(s.model), 0);
-  const wAvg   = scores.reduce((acc, s) => acc + s.value * weight(s.model), 0) / (totalW || 1);
+  const totalW = scores.reduce((acc, s) => acc + modelWeight(s.model, weights), 0);
+  const wAvg   = scores.reduce((acc, s) => acc + s.value * modelWeight(s.model, weights), 0) / (totalW || 1);
   return Math.round(wAvg);
 }
 
+// weights: from resolveSlots (premium > primary > secondary > backup)
+function modelWeight(m, weights) {
+  return weights?.get(m) ?? 0.9;
+}
+
 async function analyzeSentiment(content) {
   const system = 'You are a crypto market sentiment rater. Return ONLY a concise explanation and a numeric score 0-100 (0 very negative, 100 very positive).';
   const prompt = `Text:\n"""${content}"""\n\nReturn a JSON object with keys: explanation, score (0-100).`;
 
-  const models = ENSEMBLE_MODE === 'primary_only'
-    ? [PRIMARY_MODEL]
-    : [PRIMARY_MODEL, SECONDARY_MODEL, PREMIUM_MODEL, BACKUP_MODEL];
-
-  const results = [];
-  for (const model of models) {
-    try {
-      const out = await callOpenRouter(model, system, prompt);
-      // try to parse JSON first
-      let explanation = out;
-      let score;
-      try {
-        const j = JSON.parse(out);
-        explanation = j.explanation || out;
-        score = parseInt(j.score, 10);
-      } catch {
-        score = toSentimentScore(out);
-      }
-      results.push({ model, value: score, raw: out, explanation });
-    } catch (e) {
-      console.warn(`⚠️ ${model} sentiment failed: ${e.message}`);
-    }
-  }
+  const slots = resolveSlots('sentiment');
+  const outcomes = await fanOut(ensembleModels(slots), async (model, signal) => {
+    const j = await structured.request({ chat: callOpenRouter, model, system, user: prompt, schema: 'sentimentScore', signal });
+    return { value: Math.round(j.score), explanation: j.explanation || '' };
+  }, 'sentiment');
 
+  const results = outcomes.filter(o => o.status === 'ok').map(o => ({ model: o.model, ...o.result }));
   if (!results.length) throw new Error('All models failed for sentiment');
 
-  const finalScore = vote(results);
+  const finalScore = vote(results, slots.weights);
   const confidence = Math.min(
     0.99,
     1 - (results.map(r => Math.abs(r.value - finalScore)).reduce((a,b)=>a+b,0) / (results.length * 100))
@@ -121,14 +145,279 @@ async function analyzeSentiment(content) {
   return {
     score: finalScore,
     confidence: parseFloat(confidence.toFixed(3)),
-    details: results.map(r => ({ model: r.model, score: r.value })),
-    explanation: results.find(r => r.model === PRIMARY_MODEL)?.explanation || results[0].explanation
+    details: outcomes.map(o => ({
+      model: o.model,
+      status: o.status,
+      ms: o.ms,
+      ...(o.status === 'ok' ? { score: o.result.value } : {}),
+      ...(o.error ? { error: o.error } : {}),
+    })),
+    timedOut: outcomes.filter(o => o.status === 'timeout').map(o => o.model),
+    explanation: results.find(r => r.model === slots.primary)?.explanation || results[0].explanation
+  };
+}
+
+function ensembleModels(slots) {
+  return ENSEMBLE_MODE === 'primary_only'
+    ? [slots.primary]
+    : [...new Set([slots.primary, slots.secondary, slots.premium, slots.backup])];
+}
+
+function quorumFor(count) {
+  const q = QUORUM > 0 ? QUORUM : Math.floor(count / 2) + 1;
+  return Math.max(1, Math.min(count, q));
+}
+
+// Asks every model concurrently with a per-model deadline and resolves as soon as `quorum`
+// of them have answered (or all have settled). Models still running at that point are aborted.
+// Resolves to one outcome per model: { model, status: ok|error|timeout|cancelled, ms, result?, error? }
+function fanOut(models, call, label = 'ensemble', { quorum = quorumFor(models.length), timeoutMs = MODEL_TIMEOUT_MS } = {}) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const outcomes = new Map();
+    const controllers = new Map();
+    let answered = 0;
+    let finished = false;
+
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      for (const [model, ctrl] of controllers) {
+        if (!outcomes.has(model)) {
+          outcomes.set(model, { model, status: 'cancelled', ms: Date.now() - started });
+          ctrl.abort();
+        }
+      }
+      resolve(models.map(m => outcomes.get(m)));
+    };
+
+    for (const model of models) {
+      const ctrl = new AbortController();
+      controllers.set(model, ctrl);
+      let timer;
+      const deadline = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const err = new Error(`timed out after ${timeoutMs}ms`);
+          err.code = 'TIMEOUT';
+          reject(err);
+        }, timeoutMs);
+      });
+
+      Promise.race([call(model, ctrl.signal), deadline])
+        .then((result) => {
+          if (finished) return;
+          if (result === null || result === undefined) throw new Error('no usable answer');
+          outcomes.set(model, { model, status: 'ok', ms: Date.now() - started, result });
+          answered++;
+        })
+        .catch((e) => {
+          if (finished) return;
+          const status = e?.code === 'TIMEOUT' ? 'timeout' : 'error';
+          if (status === 'timeout') ctrl.abort();
+          outcomes.set(model, { model, status, ms: Date.now() - started, error: e?.message || String(e) });
+          console.warn(`⚠️ ${model} ${label} ${status}: ${e?.message || e}`);
+        })
+        .finally(() => {
+          clearTimeout(timer);
+          if (answered >= quorum || outcomes.size === models.length) finish();
+        });
+    }
+  });
+}
+
+// Multi-dimension rating used by SentimentAnalyzer: sentiment, viral and impact (0-100 each).
+async function analyzeTweetScores(content) {
+  const system = 'You are a crypto market analyst rating social posts. Reply with JSON only.';
+  const prompt = `Text:\n"""${content}"""\n\nReturn a JSON object with keys: sentiment (0-100, 0 very negative, 100 very positive), viral (0-100 likelihood of going viral), impact (0-100 expected market impact), explanation (one sentence).`;
+
+  const slots = resolveSlots('sentiment');
+  const outcomes = await fanOut(ensembleModels(slots), async (model, signal) => {
+    const j = await structured.request({ chat: callOpenRouter, model, system, user: prompt, schema: 'sentiment', signal });
+    return {
+      sentiment: Math.round(j.sentiment),
+      viral: Math.round(j.viral ?? 50),
+      impact: Math.round(j.impact ?? 50),
+      explanation: j.explanation || '',
+    };
+  }, 'tweet scoring');
+
+  const results = outcomes.filter(o => o.status === 'ok').map(o => ({ model: o.model, ...o.result }));
+  if (!results.length) throw new Error('All models failed for tweet scoring');
+
+  const field = (k) => vote(results.map(r => ({ model: r.model, value: r[k] })), slots.weights);
+  const sentiment = field('sentiment');
+  const spread = results.map(r => Math.abs(r.sentiment - sentiment)).reduce((a, b) => a + b, 0) / (results.length * 100);
+
+  return {
+    sentiment,
+    viral: field('viral'),
+    impact: field('impact'),
+    // SentimentAnalyzer works on 0-100 scales throughout
+    confidence: Math.round(Math.min(0.99, 1 - spread) * 100),
+    models: results.map(r => r.model),
+    details: outcomes.map(o => ({
+      model: o.model,
+      status: o.status,
+      ms: o.ms,
+      ...(o.status === 'ok' ? { sentiment: o.result.sentiment, viral: o.result.viral, impact: o.result.impact } : {}),
+      ...(o.error ? { error: o.error } : {}),
+    })),
+    timedOut: outcomes.filter(o => o.status === 'timeout').map(o => o.model),
+    explanation: results.find(r => r.model === slots.primary)?.explanation || results[0].explanation,
+  };
+}
+
+// ---- Launch decision
+const LAUNCH_SYSTEM = `Analyze this tweet for meme coin launch potential. Consider:
+- Viral potential and engagement likelihood
+- Crypto relevance and market impact
+- Author influence
+- Meme-ability and token name suggestions
+
+Return JSON with:
+{
+  "confidence": 0.0-1.0,
+  "shouldLaunch": boolean,
+  "tokenSuggestion": {"name": "TokenName", "symbol": "SYMBOL"},
+  "memeTheme": "ThemeDescription",
+  "viralScore": 0.0-1.0,
+  "reasoning": "Brief explanation"
+}`;
+
+function toLaunchVerdict(j) {
+  return {
+    confidence: j.confidence,
+    shouldLaunch: j.shouldLaunch,
+    viralScore: j.viralScore ?? j.confidence,
+    tokenSuggestion: j.tokenSuggestion,
+    memeTheme: j.memeTheme || 'Generic',
+    reasoning: j.reasoning || '',
+  };
+}
+
+// Combines per-model verdicts with ENSEMBLE_VOTING. The final confidence is confidence in the
+// winning verdict, so a dissenter sure of the opposite pulls it down, never up. Disagreement lowers
+// it further: it is scaled by the share of (weighted) votes backing the verdict and by the spread
+// of confidences.
+function combineLaunchVerdicts(results, weights) {
+  const w = (r) => (ENSEMBLE_VOTING === 'majority' ? 1 : modelWeight(r.model, weights));
+  const totalW = results.reduce((a, r) => a + w(r), 0) || 1;
+  const yesW = results.filter(r => r.shouldLaunch).reduce((a, r) => a + w(r), 0);
+  // ties never launch
+  const shouldLaunch = yesW / totalW > 0.5;
+  const backers = results.filter(r => r.shouldLaunch === shouldLaunch);
+  const agreement = backers.reduce((a, r) => a + w(r), 0) / totalW;
+
+  const avg = (list, value) => list.reduce((a, r) => a + value(r) * w(r), 0) / (list.reduce((a, r) => a + w(r), 0) || 1);
+  // majority: the winning side only; weighted: everyone by weight, a dissenter as 1 - its confidence
+  const rawConfidence = ENSEMBLE_VOTING === 'majority'
+    ? avg(backers, r => r.confidence)
+    : avg(results, r => (r.shouldLaunch === shouldLaunch ? r.confidence : 1 - r.confidence));
+  const viralScore = avg(backers, r => r.viralScore);
+
+  const mean = results.reduce((a, r) => a + r.confidence, 0) / results.length;
+  const spread = Math.sqrt(results.reduce((a, r) => a + (r.confidence - mean) ** 2, 0) / results.length);
+  const confidence = rawConfidence * agreement * (1 - Math.min(0.5, spread));
+
+  // Narrative fields come from the heaviest model on the winning side
+  const lead = [...backers].sort((a, b) => modelWeight(b.model, weights) - modelWeight(a.model, weights))[0];
+
+  return {
+    shouldLaunch,
+    confidence: parseFloat(confidence.toFixed(4)),
+    rawConfidence: parseFloat(rawConfidence.toFixed(4)),
+    viralScore: parseFloat(viralScore.toFixed(4)),
+    agreement: parseFloat(agreement.toFixed(4)),
+    spread: parseFloat(spread.toFixed(4)),
+    model: lead.model,
+    tokenSuggestion: lead.tokenSuggestion,
+    memeTheme: lead.memeTheme,
+    reasoning: lead.reasoning,
   };
 }
 
+// Prompt lines for the tweet's context (engagement, media, tags, quoted/replied-to/retweeted post)
+function describeMetadata(m = {}) {
+  const lines = [];
+  const x = m.metrics;
+  if (x) lines.push(`Engagement: ${x.likes} likes, ${x.retweets} retweets, ${x.replies} replies, ${x.quotes} quotes${x.views ? `, ${x.views} views` : ''}`);
+  if (m.created_at) lines.push(`Posted: ${m.created_at}`);
+  if (m.media?.length) lines.push(`Media: ${m.media.map(md => md.type).join(', ')}`);
+  if (m.hashtags?.length) lines.push(`Hashtags: ${m.hashtags.map(h => `#${h}`).join(' ')}`);
+  if (m.cashtags?.length) lines.push(`Cashtags: ${m.cashtags.map(c => `$${c}`).join(' ')}`);
+  if (m.mentions?.length) lines.push(`Mentions: ${m.mentions.map(u => `@${u}`).join(' ')}`);
+  const ref = (label, r) => r && lines.push(`${label}${r.author ? ` @${r.author}` : ''}${r.text ? `: "${r.text.slice(0, 280)}"` : ''}`);
+  ref('Replying to', m.isReply ? (m.repliedTo || {}) : null);
+  ref('Quoting', m.quoted);
+  ref('Retweet of', m.retweetOf);
+  return lines;
+}
+
+// AI_ENSEMBLE_MODE:
+//   primary_only — the primary slot alone
+//   weighted     — all four slots vote
+//   adaptive     — premium + primary first; secondary + backup are only asked when those two disagree
+async function analyzeLaunch(text, author = 'unknown', metadata = {}) {
+  const slots = resolveSlots('launch');
+  const user = [`Author: @${author}`, `Tweet: "${text}"`, ...describeMetadata(metadata)].join('\n');
+  const ask = (models, chat = callOpenRouter, timeoutMs = MODEL_TIMEOUT_MS) => fanOut(models, async (model, signal) => {
+    const j = await structured.request({ chat, model, system: LAUNCH_SYSTEM, user, schema: 'launch', signal });
+    return toLaunchVerdict(j);
+  }, 'launch analysis', { quorum: quorumFor(models.length), timeoutMs });
+
+  let outcomes;
+  if (ENSEMBLE_MODE === 'primary_only') {
+    // A lone model walks the failover chain, so give it room for several hops
+    outcomes = await ask([slots.primary], chatWithFailover, MODEL_TIMEOUT_MS * 4);
+  } else if (ENSEMBLE_MODE === 'adaptive') {
+    outcomes = await ask([...new Set([slots.premium, slots.primary])]);
+    const ok = outcomes.filter(o => o.status === 'ok');
+    const split = ok.length < 2
+      || ok[0].result.shouldLaunch !== ok[1].result.shouldLaunch
+      || Math.abs(ok[0].result.confidence - ok[1].result.confidence) > 0.2;
+    const rest = [slots.secondary, slots.backup].filter(m => !outcomes.some(o => o.model === m));
+    if (split && rest.length) outcomes = outcomes.concat(await ask([...new Set(rest)]));
+  } else {
+    outcomes = await ask(ensembleModels(slots));
+  }
+
+  const results = outcomes.filter(o => o.status === 'ok').map(o => ({ model: o.model, ...o.result }));
+  if (!results.length) throw new Error('No model returned a usable launch verdict');
+
+  return {
+    ...combineLaunchVerdicts(results, slots.weights),
+    mode: ENSEMBLE_MODE,
+    voting: ENSEMBLE_VOTING,
+    models: results.map(r => r.model),
+    details: outcomes.map(o => ({
+      model: o.model,
+      status: o.status,
+      ms: o.ms,
+      ...(o.status === 'ok' ? { shouldLaunch: o.result.shouldLaunch, confidence: o.result.confidence, viralScore: o.result.viralScore } : {}),
+      ...(o.error ? { error: o.error } : {}),
+    })),
+    timedOut: outcomes.filter(o => o.status === 'timeout').map(o => o.model),
+  };
+}
+
+// Entry point used by SentimentAnalyzer: analyze(text, 'sentiment' | 'general')
+async function analyze(content, task = 'sentiment') {
+  if (task === 'sentiment') return analyzeTweetScores(content);
+  if (task === 'general') return { summary: await generalAnalyze(content) };
+  throw new Error(`Unknown ensemble task: ${task}`);
+}
+
+// Short summary + trading signal for /api/ai/analyze (premium slot unless a model is given)
+async function summarize(content, model = resolveSlots('summary').premium) {
+  const system = 'Summarize the text briefly and estimate a trading signal in {HIGH, MEDIUM, LOW}. Return JSON with: summary, signal, keywords (array).';
+  const user = `Text: """${content}"""\nReturn JSON only.`;
+  const j = await structured.request({ chat: chatWithFailover, model, system, user, schema: 'summary' });
+  return { model, summary: j.summary, signal: j.signal, keywords: j.keywords || [] };
+}
+
 async function generalAnalyze(content) {
   const system = 'You are an expert crypto researcher. Provide a concise risk/impact summary. Keep it under 120 words.';
-  const out = await callOpenRouter(PRIMARY_MODEL, system, content);
+  const out = await chatWithFailover(resolveSlots('general').primary, system, content);
   return out;
 }
 
@@ -138,6 +427,11 @@ function status() {
     mode: ENSEMBLE_MODE,
     voting: ENSEMBLE_VOTING,
     threshold: CONFIDENCE_THRESHOLD,
+    modelTimeoutMs: MODEL_TIMEOUT_MS,
+    quorum: quorumFor(ENSEMBLE_MODE === 'primary_only' ? 1 : SLOTS.length),
+    weights: Object.fromEntries(SLOTS.map(s => [s.slot, s.weight])),
+    // unpinned slots are routed per call; `model` is then only the fallback
+    slots: Object.fromEntries(SLOTS.map(s => [s.slot, { model: s.model, pinned: s.pinned }])),
     models: {
       primary: PRIMARY_MODEL,
       secondary: SECONDARY_MODEL,
@@ -148,6 +442,12 @@ function status() {
 }
 
 module.exports = {
+  configure,
+  combineLaunchVerdicts,
+  summarize,
+  fanOut,
+  analyzeLaunch,
+  analyze,
   analyzeSentiment,
   generalAnalyze,
   status,
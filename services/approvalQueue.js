@@ -0,0 +1,156 @@
+// services/approvalQueue.js
+// Human-in-the-loop approval queue for launch candidates. Pending items expire after a window;
+// state is kept on disk (data/approvals.json) so a restart doesn't lose what is awaiting review.
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'approvals.json');
+const MAX_DECIDED = 500; // decided items kept for history
+
+class ApprovalQueue extends EventEmitter {
+  constructor({ filePath = DEFAULT_FILE, expiryMs = 15 * 60_000, sweepMs = 30_000 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.expiryMs = expiryMs;
+    this.sweepMs = sweepMs;
+    this.items = [];
+    this.sweepTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const obj = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.items = Array.isArray(obj) ? obj : [];
+    } catch {
+      this.items = [];
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.items, null, 2));
+    } catch (e) {
+      console.error('Failed to save approvals.json:', e.message || e);
+    }
+  }
+
+  start() {
+    if (this.sweepTimer) return;
+    this.sweep();
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepMs);
+    this.sweepTimer.unref?.();
+  }
+
+  stop() {
+    if (this.sweepTimer) clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  // Drops pending candidates whose window has passed.
+  sweep() {
+    const now = Date.now();
+    let changed = false;
+    for (const item of this.items) {
+      if (item.status === 'pending' && new Date(item.expiresAt).getTime() <= now) {
+        item.status = 'expired';
+        item.decidedAt = new Date(now).toISOString();
+        changed = true;
+        console.log(`⌛ Approval ${item.id} expired (${item.suggestedToken?.symbol || 'unknown'})`);
+        this.emit('expired', item);
+      }
+    }
+    if (changed) this.trim();
+  }
+
+  trim() {
+    const decided = this.items.filter(i => i.status !== 'pending');
+    if (decided.length > MAX_DECIDED) {
+      const drop = new Set(decided.slice(0, decided.length - MAX_DECIDED).map(i => i.id));
+      this.items = this.items.filter(i => !drop.has(i.id));
+    }
+    this.save();
+  }
+
+  enqueue({ tweet, analysis, mode, testMode }) {
+    // One pending entry per tweet — repeated detections of the same post don't stack up.
+    const existing = this.items.find(i => i.status === 'pending' && i.tweet?.id && i.tweet.id === tweet?.id);
+    if (existing) return existing;
+
+    const now = Date.now();
+    const item = {
+      id: uuidv4(),
+      status: 'pending',
+      tweet,
+      analysis,
+      suggestedToken: analysis?.tokenSuggestion || null,
+      confidence: analysis?.confidence ?? null,
+      mode,
+      testMode: !!testMode,
+      created: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiryMs).toISOString(),
+      decidedAt: null,
+      decidedBy: null,
+      reason: null,
+      launchId: null,
+    };
+    this.items.push(item);
+    this.save();
+    this.emit('pending', item);
+    return item;
+  }
+
+  get(id) {
+    return this.items.find(i => i.id === id) || null;
+  }
+
+  list(status) {
+    return this.items
+      .filter(i => !status || i.status === status)
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+
+  // Returns { ok, item } or { ok:false, code, error } when the item can't be decided.
+  decide(id, status, { by = null, reason = null } = {}) {
+    this.sweep();
+    const item = this.get(id);
+    if (!item) return { ok: false, code: 404, error: 'approval not found' };
+    if (item.status === 'expired') return { ok: false, code: 410, error: 'approval expired', item };
+    if (item.status !== 'pending') return { ok: false, code: 409, error: `approval already ${item.status}`, item };
+
+    item.status = status;
+    item.decidedAt = new Date().toISOString();
+    item.decidedBy = by;
+    item.reason = reason;
+    this.trim();
+    this.emit(status, item);
+    return { ok: true, item };
+  }
+
+  approve(id, opts) {
+    return this.decide(id, 'approved', opts);
+  }
+
+  reject(id, opts) {
+    return this.decide(id, 'rejected', opts);
+  }
+
+  attachLaunch(id, launchId) {
+    const item = this.get(id);
+    if (!item) return;
+    item.launchId = launchId;
+    this.save();
+  }
+
+  getStats() {
+    const byStatus = {};
+    for (const i of this.items) byStatus[i.status] = (byStatus[i.status] || 0) + 1;
+    return { pending: byStatus.pending || 0, byStatus, expiryMs: this.expiryMs };
+  }
+}
+
+module.exports = ApprovalQueue;
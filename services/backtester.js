@@ -0,0 +1,421 @@
+// services/backtester.js
+// Backtests of the launch decision: a stored tweet dataset (data/datasets) is replayed in timestamp
+// order through the launch analysis — or analyses cached from earlier runs and from the live
+// monitor — a decision policy picks what would have launched, and launched tweets are joined
+// against a price-outcome file to score the run (precision, hit rate, simulated PnL and cost).
+//
+// Outcome file (JSON array, or an object keyed by tweet id), one record per token:
+//   { "tweetId": "…", "symbol": "DOGE2", "entryPrice": 0.0001, "prices": { "1h": 0.0003, "24h": 0.00015 } }
+//   { "tweetId": "…", "multiple": 3.2 }   (exit price / entry price, when prices aren't known)
+// A launch "hits" when its multiple at `horizon` is >= successMultiple. Precision is hits over
+// launches with a known outcome; hit rate is hits caught over every hit in the outcome file.
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { loadDataset, resolveDatasetPath } = require('./tweetDataset');
+const { engagementOf } = require('./engagement');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'backtests.json');
+const DEFAULT_CACHE_FILE = path.join(__dirname, '..', 'data', 'analysisCache.json');
+const MAX_RUNS = 50;
+const ANALYSIS_MODES = ['auto', 'cache', 'live'];
+
+const round = (n, d = 4) => (Number.isFinite(n) ? parseFloat(n.toFixed(d)) : null);
+const ratio = (a, b) => (b > 0 ? round(a / b) : null);
+
+// ---- Analysis cache: tweet id -> compact verdict, shared by backtests and the live monitor
+class AnalysisCache {
+  constructor({ filePath = DEFAULT_CACHE_FILE, maxEntries = 5000 } = {}) {
+    this.filePath = filePath;
+    this.maxEntries = maxEntries;
+    this.entries = {};
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      const obj = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.entries = obj && typeof obj === 'object' ? obj : {};
+    } catch {
+      this.entries = {};
+    }
+  }
+
+  save() {
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.entries));
+    } catch (e) {
+      console.error('Failed to save analysisCache.json:', e.message || e);
+    }
+  }
+
+  get(tweetId) {
+    return this.entries[tweetId] || null;
+  }
+
+  // Only successful analyses are worth replaying; writes are batched
+  put(tweetId, analysis, { costUsd = null } = {}) {
+    if (!tweetId || !analysis?.ok) return;
+    delete this.entries[tweetId]; // re-insert so the oldest stay first
+    this.entries[tweetId] = {
+      ok: true,
+      confidence: analysis.confidence,
+      shouldLaunch: !!analysis.shouldLaunch,
+      tokenSuggestion: analysis.tokenSuggestion || null,
+      costUsd,
+      at: analysis.timestamp || new Date().toISOString(),
+    };
+    const ids = Object.keys(this.entries);
+    for (const id of ids.slice(0, Math.max(0, ids.length - this.maxEntries))) delete this.entries[id];
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), 1000);
+      this.saveTimer.unref?.();
+    }
+  }
+
+  size() {
+    return Object.keys(this.entries).length;
+  }
+}
+
+// ---- Outcomes
+function loadOutcomes(file) {
+  const obj = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const list = Array.isArray(obj) ? obj : Object.entries(obj || {}).map(([tweetId, o]) => ({ tweetId, ...o }));
+  const byTweet = new Map();
+  for (const o of list) if (o?.tweetId !== undefined) byTweet.set(String(o.tweetId), o);
+  return byTweet;
+}
+
+// exit / entry at `horizon`, else the record's own multiple; null when unknown
+function multipleOf(outcome, horizon) {
+  if (!outcome) return null;
+  const entry = Number(outcome.entryPrice);
+  const exit = Number(outcome.prices?.[horizon] ?? outcome.exitPrice);
+  if (entry > 0 && Number.isFinite(exit)) return exit / entry;
+  const m = Number(outcome.multiple);
+  return Number.isFinite(m) ? m : null;
+}
+
+// ---- Decision policy (mirrors the live rule: ok, shouldLaunch and confidence > threshold)
+function decide(tweet, analysis, policy, lastLaunchByAuthor) {
+  if (!analysis) return { launch: false, reason: 'no analysis' };
+  if (!analysis.ok) return { launch: false, reason: 'analysis failed' };
+  if (policy.authors && !policy.authors.includes(String(tweet.author).toLowerCase())) return { launch: false, reason: 'author not in policy' };
+  if (policy.requireShouldLaunch && !analysis.shouldLaunch) return { launch: false, reason: 'not recommended' };
+  if (!(analysis.confidence > policy.threshold)) return { launch: false, reason: 'below threshold' };
+  if (policy.minEngagement && engagementOf(tweet.metrics) < policy.minEngagement) return { launch: false, reason: 'low engagement' };
+  const last = lastLaunchByAuthor.get(tweet.author);
+  if (policy.cooldownMinutes && last && new Date(tweet.created_at) - last < policy.cooldownMinutes * 60_000) {
+    return { launch: false, reason: 'author cooldown' };
+  }
+  return { launch: true, reason: 'launch' };
+}
+
+// Scores one policy over already-analyzed tweets
+function score(rows, outcomes, policy, opts) {
+  const lastLaunchByAuthor = new Map();
+  const decisions = [];
+  let launched = 0, resolved = 0, hits = 0, pnlSol = 0, best = null, worst = null;
+
+  for (const { tweet, analysis } of rows) {
+    const verdict = decide(tweet, analysis, policy, lastLaunchByAuthor);
+    const outcome = outcomes.get(tweet.id);
+    const multiple = multipleOf(outcome, opts.horizon);
+    const row = {
+      tweetId: tweet.id,
+      author: tweet.author,
+      created_at: tweet.created_at,
+      text: tweet.text,
+      confidence: analysis?.confidence ?? null,
+      shouldLaunch: analysis ? !!analysis.shouldLaunch : null,
+      analysisSource: analysis?.source || null,
+      decision: verdict.launch ? 'launch' : 'skip',
+      reason: verdict.reason,
+      token: outcome?.symbol || analysis?.tokenSuggestion?.symbol || null,
+      multiple: multiple === null ? null : round(multiple),
+      hit: multiple === null ? null : multiple >= opts.successMultiple,
+      pnlSol: null,
+    };
+    if (verdict.launch) {
+      launched++;
+      lastLaunchByAuthor.set(tweet.author, new Date(tweet.created_at).getTime());
+      if (multiple !== null) {
+        resolved++;
+        if (row.hit) hits++;
+        const fees = opts.positionSol * (opts.feePercent / 100) * (1 + multiple);
+        row.pnlSol = round(opts.positionSol * (multiple - 1) - fees);
+        pnlSol += row.pnlSol;
+        if (best === null || row.pnlSol > best.pnlSol) best = { tweetId: tweet.id, token: row.token, pnlSol: row.pnlSol };
+        if (worst === null || row.pnlSol < worst.pnlSol) worst = { tweetId: tweet.id, token: row.token, pnlSol: row.pnlSol };
+      }
+    }
+    decisions.push(row);
+  }
+
+  const ids = new Set(rows.map(r => r.tweet.id));
+  const possibleHits = [...outcomes.entries()]
+    .filter(([id, o]) => ids.has(id) && (multipleOf(o, opts.horizon) ?? 0) >= opts.successMultiple).length;
+  const launchCostUsd = launched * opts.launchCostSol * opts.solPriceUsd;
+  const pnlUsd = pnlSol * opts.solPriceUsd;
+
+  return {
+    summary: {
+      threshold: policy.threshold,
+      launched,
+      resolved,
+      unresolved: launched - resolved,
+      hits,
+      misses: resolved - hits,
+      possibleHits,
+      precision: ratio(hits, resolved),
+      hitRate: ratio(hits, possibleHits),
+      pnl: {
+        sol: round(pnlSol),
+        usd: round(pnlUsd, 2),
+        avgSolPerLaunch: resolved ? round(pnlSol / resolved) : null,
+        best,
+        worst,
+      },
+      launchCostUsd: round(launchCostUsd, 2),
+    },
+    decisions,
+  };
+}
+
+class Backtester extends EventEmitter {
+  // analyze(tweet) → { analysis, costUsd } (live analysis); canAnalyze() → false to refuse live calls
+  constructor({
+    analyze,
+    cache = new AnalysisCache(),
+    filePath = DEFAULT_FILE,
+    canAnalyze = () => true,
+    defaults = {},
+  } = {}) {
+    super();
+    if (typeof analyze !== 'function') throw new Error('Backtester requires analyze(tweet)');
+    this.analyze = analyze;
+    this.cache = cache;
+    this.filePath = filePath;
+    this.canAnalyze = canAnalyze;
+    this.defaults = {
+      threshold: 0.85,
+      positionSol: 1,
+      feePercent: 1,
+      launchCostSol: 0.1,
+      solPriceUsd: 150,
+      horizon: '24h',
+      successMultiple: 2,
+      ...defaults,
+    };
+    this.runs = [];
+    this.queue = Promise.resolve(); // one backtest at a time: live analyses share the AI budget
+    this.load();
+  }
+
+  load() {
+    try {
+      const obj = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.runs = Array.isArray(obj) ? obj : [];
+    } catch {
+      this.runs = [];
+    }
+    for (const run of this.runs) {
+      if (run.status === 'queued' || run.status === 'running') {
+        Object.assign(run, { status: 'interrupted', error: 'server restarted during the run' });
+      }
+    }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.runs.slice(-MAX_RUNS), null, 2));
+    } catch (e) {
+      console.error('Failed to save backtests.json:', e.message || e);
+    }
+  }
+
+  // Validates a request body → { ok, params } | { ok: false, code, error }
+  parseRequest(body = {}) {
+    const d = this.defaults;
+    const bad = (error) => ({ ok: false, code: 400, error });
+    const names = [].concat(body.dataset || []);
+    if (!names.length) return bad('dataset required (file name in data/datasets)');
+    const files = names.map(n => resolveDatasetPath(n));
+    if (files.some(f => !f)) return bad('dataset must name files in data/datasets');
+    const missing = files.find(f => !fs.existsSync(f));
+    if (missing) return bad(`dataset not found: ${path.basename(missing)}`);
+
+    let outcomesFile = null;
+    if (body.outcomes) {
+      outcomesFile = resolveDatasetPath(body.outcomes);
+      if (!outcomesFile) return bad('outcomes must name a file in data/datasets');
+      if (!fs.existsSync(outcomesFile)) return bad(`outcomes not found: ${body.outcomes}`);
+    }
+
+    const analysis = String(body.analysis || 'auto').toLowerCase();
+    if (!ANALYSIS_MODES.includes(analysis)) return bad(`analysis must be one of ${ANALYSIS_MODES.join(', ')}`);
+
+    const p = body.policy || {};
+    const num = (v, def, min, max = Infinity) => {
+      if (v === undefined || v === null || v === '') return def;
+      const n = Number(v);
+      return Number.isFinite(n) && n >= min && n <= max ? n : NaN;
+    };
+    const policy = {
+      threshold: num(p.threshold, d.threshold, 0, 1),
+      requireShouldLaunch: p.requireShouldLaunch !== false,
+      authors: Array.isArray(p.authors) && p.authors.length ? p.authors.map(a => String(a).replace(/^@/, '').toLowerCase()) : null,
+      minEngagement: num(p.minEngagement, 0, 0),
+      cooldownMinutes: num(p.cooldownMinutes, 0, 0),
+    };
+    const thresholds = Array.isArray(p.thresholds) ? p.thresholds.map(t => num(t, NaN, 0, 1)) : [];
+    const opts = {
+      positionSol: num(body.positionSol, d.positionSol, 0),
+      feePercent: num(body.feePercent, d.feePercent, 0, 100),
+      launchCostSol: num(body.launchCostSol, d.launchCostSol, 0),
+      solPriceUsd: num(body.solPriceUsd, d.solPriceUsd, 0),
+      successMultiple: num(body.successMultiple, d.successMultiple, 0),
+      horizon: String(body.horizon || d.horizon),
+      maxTweets: num(body.maxTweets, 0, 0),
+    };
+    const invalid = [
+      ...Object.entries(policy).filter(([, v]) => Number.isNaN(v)).map(([k]) => `policy.${k}`),
+      ...(thresholds.some(Number.isNaN) ? ['policy.thresholds'] : []),
+      ...Object.entries(opts).filter(([, v]) => Number.isNaN(v)).map(([k]) => k),
+    ];
+    if (invalid.length) return bad(`invalid ${invalid.join(', ')}`);
+
+    return {
+      ok: true,
+      params: { dataset: names, files, outcomes: body.outcomes || null, outcomesFile, analysis, policy, thresholds, ...opts },
+    };
+  }
+
+  // → { ok, run } | { ok: false, code, error }; the run continues in the background
+  start(body) {
+    const parsed = this.parseRequest(body);
+    if (!parsed.ok) return parsed;
+    const { files, outcomesFile, ...params } = parsed.params;
+    const run = {
+      id: uuidv4(),
+      status: 'queued',
+      params,
+      progress: { total: 0, analyzed: 0, cached: 0, live: 0 },
+      report: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+    };
+    this.runs.push(run);
+    if (this.runs.length > MAX_RUNS) this.runs.splice(0, this.runs.length - MAX_RUNS);
+    this.save();
+
+    this.queue = this.queue
+      .then(() => this.execute(run, { files, outcomesFile }))
+      .catch(e => {
+        Object.assign(run, { status: 'failed', error: e.message || String(e), completedAt: new Date().toISOString() });
+        console.error(`❌ Backtest ${run.id} failed: ${run.error}`);
+      })
+      .finally(() => {
+        this.save();
+        this.emit('done', run);
+      });
+    return { ok: true, run };
+  }
+
+  async execute(run, { files, outcomesFile }) {
+    const { params } = run;
+    run.status = 'running';
+    run.startedAt = new Date().toISOString();
+
+    let { tweets } = loadDataset(files);
+    if (params.maxTweets) tweets = tweets.slice(0, params.maxTweets);
+    const outcomes = outcomesFile ? loadOutcomes(outcomesFile) : new Map();
+    run.progress.total = tweets.length;
+    console.log(`🧪 Backtest ${run.id}: ${tweets.length} tweets, analysis=${params.analysis}, threshold=${params.policy.threshold}`);
+
+    // Analyze once; every policy / threshold is scored over the same verdicts
+    const rows = [];
+    let analysisUsd = 0;
+    let spentUsd = 0;
+    for (const tweet of tweets) {
+      let analysis = params.analysis === 'live' ? null : this.cache.get(tweet.id);
+      if (analysis) {
+        analysis = { ...analysis, source: 'cache' };
+        run.progress.cached++;
+        analysisUsd += analysis.costUsd || 0;
+      } else if (params.analysis !== 'cache') {
+        if (!this.canAnalyze()) throw new Error('live analysis refused (budget emergency stop)');
+        const out = await this.analyze(tweet);
+        analysis = { ...out.analysis, source: 'live' };
+        run.progress.live++;
+        analysisUsd += out.costUsd || 0;
+        spentUsd += out.costUsd || 0;
+        this.cache.put(tweet.id, out.analysis, { costUsd: out.costUsd ?? null });
+      }
+      run.progress.analyzed++;
+      rows.push({ tweet, analysis });
+    }
+    this.cache.save();
+
+    const main = score(rows, outcomes, params.policy, params);
+    const sweep = params.thresholds
+      .map(threshold => score(rows, outcomes, { ...params.policy, threshold }, params).summary);
+
+    const launchCostUsd = main.summary.launchCostUsd;
+    run.report = {
+      tweets: tweets.length,
+      analyzed: rows.filter(r => r.analysis?.ok).length,
+      unanalyzed: rows.filter(r => !r.analysis).length,
+      failedAnalyses: rows.filter(r => r.analysis && !r.analysis.ok).length,
+      outcomes: outcomes.size,
+      ...main.summary,
+      cost: {
+        analysisUsd: round(analysisUsd, 4),
+        spentUsd: round(spentUsd, 4),
+        launchUsd: launchCostUsd,
+        totalUsd: round(analysisUsd + launchCostUsd, 2),
+      },
+      netUsd: round(main.summary.pnl.usd - analysisUsd - launchCostUsd, 2),
+      sweep,
+      decisions: main.decisions,
+    };
+    run.status = 'completed';
+    run.completedAt = new Date().toISOString();
+    const r = run.report;
+    console.log(`🧪 Backtest ${run.id} done: ${r.launched} launch(es), precision ${r.precision ?? 'n/a'}, hit rate ${r.hitRate ?? 'n/a'}, net $${r.netUsd}`);
+  }
+
+  get(id) {
+    return this.runs.find(r => r.id === id) || null;
+  }
+
+  // Newest first, without per-tweet decisions
+  list() {
+    return [...this.runs].reverse().map(r => this.summarize(r));
+  }
+
+  summarize(run) {
+    if (!run.report) return run;
+    const { decisions, ...report } = run.report;
+    return { ...run, report };
+  }
+}
+
+module.exports = {
+  Backtester,
+  AnalysisCache,
+  loadOutcomes,
+  multipleOf,
+  decide,
+  score,
+};
@@ -0,0 +1,188 @@
+// services/budgetGuard.js
+// Cost accounting + MONTHLY_BUDGET_LIMIT enforcement. Spend is recorded per UTC day and category
+// (openrouter | twitter | launch) in data/budget.json; crossing AUTO_THROTTLE_AT_PERCENT slows polling,
+// crossing EMERGENCY_STOP_AT_PERCENT refuses analyses and launches until the month rolls over.
+// Writes are batched (saveDelayMs) since every OpenRouter and tweet-source call records spend.
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'budget.json');
+const KEEP_DAYS = 120;
+
+// USD per 1M tokens [input, output]; override/extend with MODEL_PRICES='{"model":[in,out]}'
+const DEFAULT_MODEL_PRICES = {
+  'anthropic/claude-3.5-sonnet': [3, 15],
+  'anthropic/claude-3-haiku': [0.25, 1.25],
+  'deepseek/deepseek-r1': [0.55, 2.19],
+  'qwen/qwen-2.5-72b-instruct': [0.35, 0.4],
+  'openai/gpt-4o-mini': [0.15, 0.6],
+};
+const FALLBACK_MODEL_PRICE = [1, 3];
+
+const dayKey = (d = new Date()) => d.toISOString().slice(0, 10);
+const monthKey = (d = new Date()) => d.toISOString().slice(0, 7);
+
+class BudgetGuard extends EventEmitter {
+  constructor({
+    filePath = DEFAULT_FILE,
+    monthlyLimit = 50,
+    throttleAtPercent = 80,
+    emergencyStopAtPercent = 95,
+    throttleFactor = 2,
+    modelPrices = {},
+    saveDelayMs = 1000,
+  } = {}) {
+    super();
+    this.filePath = filePath;
+    this.monthlyLimit = monthlyLimit;
+    this.throttleAtPercent = throttleAtPercent;
+    this.emergencyStopAtPercent = emergencyStopAtPercent;
+    this.throttleFactor = throttleFactor;
+    this.modelPrices = { ...DEFAULT_MODEL_PRICES, ...modelPrices };
+    this.saveDelayMs = saveDelayMs;
+    this.saveTimer = null;
+    this.days = {};   // 'YYYY-MM-DD' -> { [category]: { usd, count } }
+    this.lastState = 'ok';
+    this.load();
+    this.lastState = this.state();
+  }
+
+  load() {
+    try {
+      const obj = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.days = obj?.days && typeof obj.days === 'object' ? obj.days : {};
+    } catch {
+      this.days = {};
+    }
+  }
+
+  save() {
+    if (this.saveTimer) clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const keys = Object.keys(this.days).sort();
+    for (const k of keys.slice(0, Math.max(0, keys.length - KEEP_DAYS))) delete this.days[k];
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ days: this.days }, null, 2));
+      fs.renameSync(tmp, this.filePath);
+    } catch (e) {
+      console.error('Failed to save budget.json:', e.message || e);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+    this.saveTimer.unref?.();
+  }
+
+  // ---- Pricing
+  modelCost(model, usage = {}) {
+    const [inPrice, outPrice] = this.modelPrices[model] || FALLBACK_MODEL_PRICE;
+    const prompt = Number(usage.prompt_tokens) || 0;
+    const completion = Number(usage.completion_tokens) || 0;
+    return (prompt * inPrice + completion * outPrice) / 1_000_000;
+  }
+
+  // ---- Recording
+  record(category, usd, count = 1) {
+    const amount = Math.max(0, Number(usd) || 0);
+    const day = dayKey();
+    const bucket = (this.days[day] = this.days[day] || {});
+    const entry = (bucket[category] = bucket[category] || { usd: 0, count: 0 });
+    entry.usd += amount;
+    entry.count += count;
+    this.scheduleSave();
+    this.checkThresholds();
+    return amount;
+  }
+
+  recordModelUsage(model, usage) {
+    return this.record('openrouter', this.modelCost(model, usage));
+  }
+
+  // ---- State
+  monthSpend(month = monthKey()) {
+    let total = 0;
+    for (const [day, cats] of Object.entries(this.days)) {
+      if (!day.startsWith(month)) continue;
+      for (const c of Object.values(cats)) total += c.usd;
+    }
+    return total;
+  }
+
+  percentUsed() {
+    if (!(this.monthlyLimit > 0)) return 0;
+    return (this.monthSpend() / this.monthlyLimit) * 100;
+  }
+
+  state() {
+    const pct = this.percentUsed();
+    if (pct >= this.emergencyStopAtPercent) return 'stopped';
+    if (pct >= this.throttleAtPercent) return 'throttled';
+    return 'ok';
+  }
+
+  checkThresholds() {
+    const next = this.state();
+    if (next === this.lastState) return;
+    const prev = this.lastState;
+    this.lastState = next;
+    this.save(); // a threshold crossing is written straight away
+    const pct = this.percentUsed().toFixed(1);
+    if (next === 'stopped') console.warn(`🛑 Budget ${pct}% used — emergency stop: analyses and launches refused`);
+    else if (next === 'throttled') console.warn(`🐢 Budget ${pct}% used — throttling polling x${this.throttleFactor}`);
+    else console.log(`💚 Budget back under thresholds (${pct}%)`);
+    this.emit('state', { state: next, previous: prev, percent: parseFloat(pct) });
+  }
+
+  // Multiplier applied to polling intervals.
+  intervalMultiplier() {
+    return this.state() === 'ok' ? 1 : this.throttleFactor;
+  }
+
+  // Throws when spending is frozen; `what` ends up in the error message.
+  assertCanSpend(what = 'request') {
+    if (this.state() !== 'stopped') return;
+    const err = new Error(`Budget emergency stop (${this.percentUsed().toFixed(1)}% of $${this.monthlyLimit}): ${what} refused`);
+    err.code = 'BUDGET_EXCEEDED';
+    throw err;
+  }
+
+  getReport({ days = 31 } = {}) {
+    const month = monthKey();
+    const byCategory = {};
+    for (const [day, cats] of Object.entries(this.days)) {
+      if (!day.startsWith(month)) continue;
+      for (const [cat, c] of Object.entries(cats)) {
+        const agg = (byCategory[cat] = byCategory[cat] || { usd: 0, count: 0 });
+        agg.usd += c.usd;
+        agg.count += c.count;
+      }
+    }
+    const byDay = Object.keys(this.days).sort().reverse().slice(0, days)
+      .map(day => ({
+        day,
+        total: Object.values(this.days[day]).reduce((a, c) => a + c.usd, 0),
+        categories: this.days[day],
+      }));
+
+    return {
+      month,
+      monthlyLimit: this.monthlyLimit,
+      spent: this.monthSpend(month),
+      percentUsed: parseFloat(this.percentUsed().toFixed(2)),
+      state: this.state(),
+      throttleAtPercent: this.throttleAtPercent,
+      emergencyStopAtPercent: this.emergencyStopAtPercent,
+      intervalMultiplier: this.intervalMultiplier(),
+      byCategory,
+      byDay,
+    };
+  }
+}
+
+module.exports = BudgetGuard;
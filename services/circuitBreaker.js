@@ -0,0 +1,74 @@
+// services/circuitBreaker.js
+// Per-model circuit breaker for LLM calls. After `failureThreshold` consecutive failures a model is
+// skipped (open) for `cooldownMs`; the first call after that is a trial (half_open) that either
+// closes the breaker again or re-opens it.
+
+class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 60_000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.models = {}; // model -> { failures, openedAt, trial, lastError, opens }
+  }
+
+  entry(model) {
+    if (!this.models[model]) {
+      this.models[model] = { failures: 0, openedAt: 0, trial: false, lastError: null, opens: 0 };
+    }
+    return this.models[model];
+  }
+
+  state(model) {
+    const e = this.entry(model);
+    if (!e.openedAt) return 'closed';
+    return Date.now() - e.openedAt >= this.cooldownMs ? 'half_open' : 'open';
+  }
+
+  // Whether a call may go to `model` now. In half_open only one trial call is let through.
+  canRequest(model) {
+    const st = this.state(model);
+    if (st === 'closed') return true;
+    if (st === 'open') return false;
+    const e = this.entry(model);
+    if (e.trial) return false;
+    e.trial = true;
+    return true;
+  }
+
+  recordSuccess(model) {
+    const e = this.entry(model);
+    if (e.openedAt) console.log(`🟢 Circuit closed for ${model}`);
+    e.failures = 0;
+    e.openedAt = 0;
+    e.trial = false;
+  }
+
+  recordFailure(model, error) {
+    const e = this.entry(model);
+    e.failures++;
+    e.lastError = error?.message || String(error || 'error');
+    const wasTrial = e.trial;
+    e.trial = false;
+    if (wasTrial || e.failures >= this.failureThreshold) {
+      e.openedAt = Date.now();
+      e.opens++;
+      console.warn(`🔴 Circuit open for ${model} (${e.failures} failures) — skipping for ${Math.round(this.cooldownMs / 1000)}s`);
+    }
+  }
+
+  getStatus() {
+    const out = {};
+    for (const [model, e] of Object.entries(this.models)) {
+      const state = this.state(model);
+      out[model] = {
+        state,
+        failures: e.failures,
+        opens: e.opens,
+        lastError: e.lastError,
+        reopensAt: state === 'open' ? new Date(e.openedAt + this.cooldownMs).toISOString() : null,
+      };
+    }
+    return out;
+  }
+}
+
+module.exports = CircuitBreaker;
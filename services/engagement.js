@@ -0,0 +1,11 @@
+// services/engagement.js
+// Weighted engagement of a tweet's metrics ({ likes, replies, retweets, quotes }): retweets and
+// quotes spread a tweet furthest, replies more than likes. Shared by sentiment scoring, velocity
+// tracking and backtest policies so they all rank tweets the same way.
+
+function engagementOf(metrics) {
+  if (!metrics) return 0;
+  return (metrics.likes || 0) + 2 * (metrics.replies || 0) + 3 * ((metrics.retweets || 0) + (metrics.quotes || 0));
+}
+
+module.exports = { engagementOf };
@@ -0,0 +1,170 @@
+// services/eventStream.js
+// Real-time push of platform events (new tweets, analyses, launch state changes, paper trades) to dashboards.
+// Events are kept in a ring buffer so clients can replay the last N on connect, and are delivered
+// over a WebSocket endpoint (attachWebSocket) and a Server-Sent Events handler (sseHandler).
+//
+// WebSocket: ws://host/ws?topics=tweets,launch&replay=20
+//   client → { "type": "subscribe" | "unsubscribe", "topics": ["analysis"] } | { "type": "replay", "limit": 50 }
+//   server → { "type": "welcome", topics, available } | { "type": "event", id, topic, at, data }
+// SSE:       GET /api/events?topics=tweets,launch&replay=20   (Last-Event-ID resumes after that id)
+// attachWebSocket's `authenticate(req)` → truthy to accept; refused upgrades get a 401.
+
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+
+const TOPICS = ['tweets', 'analysis', 'launch', 'paper'];
+const HEARTBEAT_MS = 25_000;
+
+// "tweets,launch" | ['tweets'] → valid topic list; empty/'*' → all
+function parseTopics(raw) {
+  const list = (Array.isArray(raw) ? raw : String(raw || '').split(','))
+    .map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  if (!list.length || list.includes('*')) return [...TOPICS];
+  return list.filter(t => TOPICS.includes(t));
+}
+
+class EventStream extends EventEmitter {
+  constructor({ bufferSize = 200, defaultReplay = 20 } = {}) {
+    super();
+    this.setMaxListeners(0); // one listener per connected client
+    this.bufferSize = bufferSize;
+    this.defaultReplay = defaultReplay;
+    this.buffer = [];
+    this.seq = 0;
+    this.clients = { ws: 0, sse: 0 };
+  }
+
+  publish(topic, data) {
+    const event = { id: ++this.seq, topic, at: new Date().toISOString(), data };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.emit('event', event);
+    return event;
+  }
+
+  // Last `limit` events on `topics`, or everything after `sinceId` when resuming.
+  replay({ topics = TOPICS, limit = this.defaultReplay, sinceId = null } = {}) {
+    const matching = this.buffer.filter(e => topics.includes(e.topic));
+    if (sinceId !== null && sinceId !== undefined && sinceId !== '') {
+      return matching.filter(e => e.id > Number(sinceId));
+    }
+    const n = Math.max(0, Math.min(parseInt(limit, 10) || 0, this.bufferSize));
+    return n ? matching.slice(-n) : [];
+  }
+
+  replayLimit(raw) {
+    return raw === undefined ? this.defaultReplay : raw;
+  }
+
+  // ---- WebSocket
+  attachWebSocket(server, { path = '/ws', authenticate = null } = {}) {
+    const wss = new WebSocketServer({
+      server,
+      path,
+      ...(authenticate ? { verifyClient: ({ req }, done) => (authenticate(req) ? done(true) : done(false, 401, 'Unauthorized')) } : {}),
+    });
+
+    wss.on('connection', (socket, req) => {
+      const url = new URL(req.url, 'http://localhost');
+      let topics = parseTopics(url.searchParams.get('topics'));
+      const send = (msg) => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(msg));
+      };
+      const onEvent = (e) => {
+        if (topics.includes(e.topic)) send({ type: 'event', ...e });
+      };
+
+      this.clients.ws++;
+      socket.isAlive = true;
+      socket.on('pong', () => { socket.isAlive = true; });
+
+      send({ type: 'welcome', topics, available: TOPICS });
+      const limit = this.replayLimit(url.searchParams.get('replay') ?? undefined);
+      for (const e of this.replay({ topics, limit })) send({ type: 'event', ...e });
+      this.on('event', onEvent);
+
+      socket.on('message', (raw) => {
+        let msg;
+        try { msg = JSON.parse(raw.toString()); } catch { return send({ type: 'error', error: 'invalid JSON' }); }
+        if (msg?.type === 'subscribe') {
+          topics = [...new Set([...topics, ...parseTopics(msg.topics)])];
+          send({ type: 'subscribed', topics });
+        } else if (msg?.type === 'unsubscribe') {
+          const drop = parseTopics(msg.topics);
+          topics = topics.filter(t => !drop.includes(t));
+          send({ type: 'subscribed', topics });
+        } else if (msg?.type === 'replay') {
+          for (const e of this.replay({ topics, limit: msg.limit })) send({ type: 'event', ...e });
+        } else {
+          send({ type: 'error', error: 'unknown message type' });
+        }
+      });
+
+      socket.on('close', () => {
+        this.clients.ws--;
+        this.off('event', onEvent);
+      });
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+      for (const socket of wss.clients) {
+        if (!socket.isAlive) {
+          socket.terminate();
+          continue;
+        }
+        socket.isAlive = false;
+        socket.ping();
+      }
+    }, HEARTBEAT_MS);
+    heartbeat.unref?.();
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+  }
+
+  // ---- Server-Sent Events (Express handler)
+  sseHandler() {
+    return (req, res) => {
+      const topics = parseTopics(req.query.topics);
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders?.();
+
+      const write = (e) => res.write(`id: ${e.id}\nevent: ${e.topic}\ndata: ${JSON.stringify(e)}\n\n`);
+      const onEvent = (e) => {
+        if (topics.includes(e.topic)) write(e);
+      };
+
+      this.clients.sse++;
+      res.write(`retry: 5000\n: topics ${topics.join(',')}\n\n`);
+      const sinceId = req.get('Last-Event-ID') || req.query.lastEventId;
+      for (const e of this.replay({ topics, limit: this.replayLimit(req.query.replay), sinceId })) write(e);
+      this.on('event', onEvent);
+
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        this.clients.sse--;
+        this.off('event', onEvent);
+      });
+    };
+  }
+
+  getStatus() {
+    return {
+      topics: TOPICS,
+      clients: { ...this.clients },
+      buffered: this.buffer.length,
+      bufferSize: this.bufferSize,
+      lastEventId: this.seq,
+    };
+  }
+}
+
+module.exports = EventStream;
+module.exports.TOPICS = TOPICS;
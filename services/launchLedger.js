@@ -0,0 +1,354 @@
+// services/launchLedger.js
+// Durable launch ledger: every pipeline run plus the running counters that used to live in systemStats.
+// File-backed by default (data/launches.json); set LEDGER_DRIVER=postgres to store in DATABASE_URL instead.
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'launches.json');
+
+// Launch lifecycle: queued → token_created → website_ready → trading_live → completed,
+// or failed_at_<step> when a step runs out of retries (resumable).
+const LAUNCH_STATES = ['queued', 'token_created', 'website_ready', 'trading_live', 'completed'];
+const ACTIVE_STATES = ['queued', 'token_created', 'website_ready', 'trading_live'];
+const isFailedState = (status) => /^failed_at_/.test(String(status || ''));
+
+const DEFAULT_COUNTERS = {
+  tweetsAnalyzed: 0,
+  confidenceSamples: 0,
+  avgConfidence: 0,
+  tokensCreated: 0,
+  websitesGenerated: 0,
+  activeTrades: 0,
+  totalInvested: 0,
+};
+
+// ---- Filtering (shared by the file store and the ledger)
+function matchesFilter(rec, filter = {}) {
+  if (filter.status && rec.status !== filter.status) return false;
+  if (filter.statuses && !filter.statuses.includes(rec.status)) return false;
+  if (filter.mode && rec.mode !== filter.mode) return false;
+  if (filter.author && String(rec.author || '').toLowerCase() !== String(filter.author).toLowerCase()) return false;
+  const started = new Date(rec.started).getTime();
+  if (filter.from && started < new Date(filter.from).getTime()) return false;
+  if (filter.to && started > new Date(filter.to).getTime()) return false;
+  return true;
+}
+
+// ---- File store (single JSON document, rewritten atomically on every change)
+class FileLedgerStore {
+  constructor(filePath = DEFAULT_FILE) {
+    this.filePath = filePath;
+    this.launches = [];
+    this.counters = {};
+  }
+
+  async init() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const obj = JSON.parse(raw);
+      this.launches = Array.isArray(obj?.launches) ? obj.launches : [];
+      this.counters = obj?.counters && typeof obj.counters === 'object' ? obj.counters : {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`⚠️ Ledger file unreadable, starting empty: ${e.message}`);
+      this.launches = [];
+      this.counters = {};
+    }
+  }
+
+  flush() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ counters: this.counters, launches: this.launches }, null, 2));
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  async put(record) {
+    const i = this.launches.findIndex(l => l.id === record.id);
+    if (i === -1) this.launches.push(record);
+    else this.launches[i] = record;
+    this.flush();
+    return record;
+  }
+
+  async get(id) {
+    return this.launches.find(l => l.id === id) || null;
+  }
+
+  async list(filter = {}) {
+    const out = this.launches
+      .filter(l => matchesFilter(l, filter))
+      .sort((a, b) => new Date(b.started) - new Date(a.started));
+    const offset = Math.max(0, filter.offset || 0);
+    return filter.limit ? out.slice(offset, offset + filter.limit) : out.slice(offset);
+  }
+
+  async summary() {
+    const byStatus = {};
+    let totalCosts = 0;
+    for (const l of this.launches) {
+      byStatus[l.status] = (byStatus[l.status] || 0) + 1;
+      totalCosts += Number(l.cost) || 0;
+    }
+    return { total: this.launches.length, byStatus, totalCosts };
+  }
+
+  async loadCounters() {
+    return { ...this.counters };
+  }
+
+  async saveCounters(counters) {
+    this.counters = { ...counters };
+    this.flush();
+  }
+}
+
+// ---- Postgres store (needs the optional `pg` package); filtering and stats run in SQL
+class PostgresLedgerStore {
+  constructor(connectionString = process.env.DATABASE_URL) {
+    this.connectionString = connectionString;
+    this.pool = null;
+  }
+
+  async init() {
+    let pg;
+    try {
+      pg = require('pg');
+    } catch {
+      throw new Error('LEDGER_DRIVER=postgres requires the "pg" package (npm install pg)');
+    }
+    if (!this.connectionString) throw new Error('LEDGER_DRIVER=postgres requires DATABASE_URL');
+
+    this.pool = new pg.Pool({ connectionString: this.connectionString });
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS launches (
+        id      TEXT PRIMARY KEY,
+        status  TEXT NOT NULL,
+        mode    TEXT,
+        author  TEXT,
+        started TIMESTAMPTZ NOT NULL,
+        record  JSONB NOT NULL
+      )`);
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS ledger_counters (
+        id   INT PRIMARY KEY,
+        data JSONB NOT NULL
+      )`);
+  }
+
+  async put(record) {
+    await this.pool.query(
+      `INSERT INTO launches (id, status, mode, author, started, record)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (id) DO UPDATE
+         SET status = EXCLUDED.status, mode = EXCLUDED.mode, author = EXCLUDED.author, record = EXCLUDED.record`,
+      [record.id, record.status, record.mode, record.author, record.started, record]
+    );
+    return record;
+  }
+
+  async get(id) {
+    const { rows } = await this.pool.query('SELECT record FROM launches WHERE id = $1', [id]);
+    return rows[0]?.record || null;
+  }
+
+  async list(filter = {}) {
+    const where = [];
+    const params = [];
+    const add = (sql, value) => { params.push(value); where.push(sql.replace('?', `$${params.length}`)); };
+    if (filter.status) add('status = ?', filter.status);
+    if (filter.statuses) add('status = ANY(?)', filter.statuses);
+    if (filter.mode) add('mode = ?', filter.mode);
+    if (filter.author) add('LOWER(author) = LOWER(?)', filter.author);
+    if (filter.from) add('started >= ?', new Date(filter.from).toISOString());
+    if (filter.to) add('started <= ?', new Date(filter.to).toISOString());
+
+    let sql = `SELECT record FROM launches${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY started DESC`;
+    if (filter.limit) { params.push(filter.limit); sql += ` LIMIT $${params.length}`; }
+    if (filter.offset) { params.push(filter.offset); sql += ` OFFSET $${params.length}`; }
+
+    const { rows } = await this.pool.query(sql, params);
+    return rows.map(r => r.record);
+  }
+
+  async summary() {
+    const { rows } = await this.pool.query(
+      `SELECT status, COUNT(*)::int AS n, COALESCE(SUM((record->>'cost')::numeric), 0)::float AS cost
+       FROM launches GROUP BY status`
+    );
+    const byStatus = {};
+    let total = 0;
+    let totalCosts = 0;
+    for (const r of rows) {
+      byStatus[r.status] = r.n;
+      total += r.n;
+      totalCosts += r.cost;
+    }
+    return { total, byStatus, totalCosts };
+  }
+
+  async loadCounters() {
+    const { rows } = await this.pool.query('SELECT data FROM ledger_counters WHERE id = 1');
+    return rows[0]?.data || {};
+  }
+
+  async saveCounters(counters) {
+    await this.pool.query(
+      `INSERT INTO ledger_counters (id, data) VALUES (1, $1)
+       ON CONFLICT (id) DO UPDATE SET data = EXCLUDED.data`,
+      [counters]
+    );
+  }
+}
+
+function createLedgerStore(driver = process.env.LEDGER_DRIVER || 'file') {
+  switch (String(driver).toLowerCase()) {
+    case 'file':
+      return new FileLedgerStore(process.env.LEDGER_FILE || DEFAULT_FILE);
+    case 'postgres':
+    case 'pg':
+      return new PostgresLedgerStore(process.env.DATABASE_URL);
+    default:
+      throw new Error(`Unknown LEDGER_DRIVER: ${driver}`);
+  }
+}
+
+// ---- Ledger
+// Emits 'transition' (record, previousStatus) whenever a launch is created or changes state.
+class LaunchLedger extends EventEmitter {
+  // `store` may be any object implementing init/put/get/list/summary/loadCounters/saveCounters
+  constructor(store = createLedgerStore()) {
+    super();
+    this.store = store;
+    this.counters = { ...DEFAULT_COUNTERS };
+  }
+
+  async init() {
+    await this.store.init();
+    this.counters = { ...DEFAULT_COUNTERS, ...(await this.store.loadCounters()) };
+
+    // Runs that were in flight when the process died stay in their last state and can be resumed.
+    const stale = (await this.store.list({ statuses: [...ACTIVE_STATES, 'processing'] }))
+      .filter(l => !l.interrupted);
+    for (const rec of stale) {
+      await this.update(rec.id, {
+        status: rec.status === 'processing' ? 'queued' : rec.status,
+        interrupted: true,
+      });
+    }
+    if (stale.length) console.warn(`⚠️ Ledger: ${stale.length} launch(es) interrupted by restart (POST /api/launches/:id/resume)`);
+  }
+
+  async createLaunch({ tweet, analysis, mode, testMode }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: uuidv4(),
+      status: 'queued',
+      mode,
+      testMode: !!testMode,
+      author: tweet?.author || analysis?.author || null,
+      confidence: analysis?.confidence ?? null,
+      tweet,
+      analysis,
+      steps: { token: null, website: null, trading: null },
+      attempts: { token: 0, website: 0, trading: 0 },
+      history: [{ status: 'queued', at: now }],
+      interrupted: false,
+      cost: 0,
+      error: null,
+      started: now,
+      updated: now,
+    };
+    const saved = await this.store.put(record);
+    this.emit('transition', saved, null);
+    return saved;
+  }
+
+  async update(id, patch) {
+    const rec = await this.store.get(id);
+    if (!rec) throw new Error(`Launch ${id} not found`);
+    return this.store.put({ ...rec, ...patch, updated: new Date().toISOString() });
+  }
+
+  // Moves a launch to a new state and appends it to the record's history.
+  async transition(id, status, patch = {}) {
+    const rec = await this.store.get(id);
+    if (!rec) throw new Error(`Launch ${id} not found`);
+    const at = new Date().toISOString();
+    const saved = await this.store.put({
+      ...rec,
+      ...patch,
+      status,
+      history: [...(rec.history || []), { status, at, ...(patch.error ? { error: patch.error } : {}) }],
+      updated: at,
+    });
+    this.emit('transition', saved, rec.status);
+    return saved;
+  }
+
+  async recordStep(id, step, result) {
+    const rec = await this.store.get(id);
+    if (!rec) throw new Error(`Launch ${id} not found`);
+    return this.store.put({
+      ...rec,
+      steps: { ...rec.steps, [step]: result },
+      attempts: { ...rec.attempts, [step]: ((rec.attempts || {})[step] || 0) + 1 },
+      updated: new Date().toISOString(),
+    });
+  }
+
+  getLaunch(id) {
+    return this.store.get(id);
+  }
+
+  listLaunches(filter = {}) {
+    return this.store.list(filter);
+  }
+
+  // ---- Counters
+  incrementCounter(name, by = 1) {
+    this.counters[name] = (this.counters[name] || 0) + by;
+    return this.persistCounters();
+  }
+
+  recordConfidence(confidence) {
+    const c = Number(confidence);
+    if (!Number.isFinite(c)) return Promise.resolve();
+    const n = this.counters.confidenceSamples + 1;
+    this.counters.avgConfidence = (this.counters.avgConfidence * (n - 1) + c) / n;
+    this.counters.confidenceSamples = n;
+    return this.persistCounters();
+  }
+
+  persistCounters() {
+    return this.store.saveCounters(this.counters)
+      .catch(e => console.error('Ledger counter save failed:', e?.message || e));
+  }
+
+  async getStats() {
+    const { total, byStatus, totalCosts } = await this.store.summary();
+    const successfulLaunches = byStatus.completed || 0;
+    const { confidenceSamples, ...counters } = this.counters;
+    return {
+      ...counters,
+      launchQueue: await this.store.list({ statuses: ACTIVE_STATES }),
+      totalLaunches: total,
+      successfulLaunches,
+      successRate: total > 0 ? successfulLaunches / total : 0,
+      totalCosts,
+      byStatus,
+    };
+  }
+}
+
+module.exports = {
+  LAUNCH_STATES,
+  ACTIVE_STATES,
+  isFailedState,
+  LaunchLedger,
+  FileLedgerStore,
+  PostgresLedgerStore,
+  createLedgerStore,
+};
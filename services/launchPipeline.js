@@ -0,0 +1,94 @@
+// services/launchPipeline.js
+// Staged launch state machine on top of the launch ledger: per-step retries, explicit states, resume.
+
+const { isFailedState } = require('./launchLedger');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+class LaunchPipeline {
+  // steps: [{ name, doneState, run: async (launch) => ({ ok, error?, ... }), cost?: (result) => SOL }]
+  // in execution order. A step's cost is added to the launch as soon as it succeeds, so launches that
+  // fail further on still account for what they spent.
+  // retries: { [stepName]: number } extra attempts after the first failure
+  constructor(ledger, steps, { retries = {}, retryDelayMs = 2000 } = {}) {
+    this.ledger = ledger;
+    this.steps = steps;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.running = new Set();
+  }
+
+  isRunning(id) {
+    return this.running.has(id);
+  }
+
+  // First step without a successful result; null once every step has succeeded.
+  nextStep(launch) {
+    return this.steps.find(s => !launch.steps?.[s.name]?.ok) || null;
+  }
+
+  async start({ tweet, analysis, mode, testMode }) {
+    const launch = await this.ledger.createLaunch({ tweet, analysis, mode, testMode });
+    return this.run(launch.id);
+  }
+
+  async resume(id) {
+    const launch = await this.ledger.getLaunch(id);
+    if (!launch) return { ok: false, code: 404, error: 'launch not found' };
+    if (this.isRunning(id)) return { ok: false, code: 409, error: 'launch is already running' };
+    if (launch.status === 'completed') return { ok: false, code: 409, error: 'launch already completed' };
+    if (!isFailedState(launch.status) && !launch.interrupted) {
+      return { ok: false, code: 409, error: `launch is not resumable from ${launch.status}` };
+    }
+    await this.ledger.update(id, { interrupted: false, error: null, resumedAt: new Date().toISOString() });
+    return this.run(id);
+  }
+
+  async run(id) {
+    if (this.isRunning(id)) return { ok: false, launchId: id, code: 409, error: 'launch is already running' };
+    this.running.add(id);
+    try {
+      let launch = await this.ledger.getLaunch(id);
+
+      for (let step = this.nextStep(launch); step; step = this.nextStep(launch)) {
+        const result = await this.runStep(id, step, launch);
+        if (!result.ok) {
+          launch = await this.ledger.transition(id, `failed_at_${step.name}`, {
+            error: `${step.name} failed: ${result.error || 'unknown error'}`,
+            failed: new Date().toISOString(),
+          });
+          return { ok: false, launchId: id, status: launch.status, error: launch.error, failed: launch.failed };
+        }
+        const cost = step.cost ? (Number(launch.cost) || 0) + (Number(step.cost(result)) || 0) : launch.cost;
+        launch = await this.ledger.transition(id, step.doneState, { cost });
+      }
+
+      launch = await this.ledger.transition(id, 'completed', { completed: new Date().toISOString() });
+      return { ok: true, launchId: id, status: launch.status, launch };
+    } finally {
+      this.running.delete(id);
+    }
+  }
+
+  async runStep(id, step, launch) {
+    const attempts = 1 + Math.max(0, this.retries[step.name] ?? 0);
+    let result = { ok: false, error: 'not attempted' };
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      if (attempt > 1) {
+        console.warn(`🔁 Launch ${id}: retrying ${step.name} (${attempt}/${attempts})`);
+        await sleep(this.retryDelayMs * (attempt - 1));
+      }
+      try {
+        result = await step.run(launch);
+      } catch (e) {
+        result = { ok: false, error: e?.message || String(e) };
+      }
+      await this.ledger.recordStep(id, step.name, result);
+      if (result.ok) break;
+    }
+    return result;
+  }
+}
+
+module.exports = LaunchPipeline;
@@ -0,0 +1,202 @@
+// services/launchServices.js
+// HTTP clients for the launch microservices from docker-compose — token-creator (:3003),
+// website-generator (:3004) and trading-agent (:3005). A service is used only when its URL is set
+// (TOKEN_CREATOR_URL, WEBSITE_GENERATOR_URL, TRADING_AGENT_URL). Every create call carries an
+// Idempotency-Key derived from the launch id and step, so a pipeline retry after a timeout gets the
+// original result back instead of a second token / site / pool. mocks/launchServiceStubs.js
+// implements the same contract locally.
+//
+//   POST /tokens    { name, symbol, description, decimals, supply, tweet }
+//                   → { mintAddress, tokenAddress, transactionSignature, metadataAddress, costs: { total }, status }
+//   POST /websites  { token, theme, tweet }           → { url, status, template, createdAt }
+//   POST /trading   { tokenAddress, symbol, initialLiquiditySol } → { pair, initialLiquidity, status, startedAt }
+//   GET  /health    → { status: 'healthy' }
+
+const axios = require('axios');
+
+const SERVICES = {
+  tokenCreator: { name: 'token-creator', env: 'TOKEN_CREATOR_URL' },
+  websiteGenerator: { name: 'website-generator', env: 'WEBSITE_GENERATOR_URL' },
+  tradingAgent: { name: 'trading-agent', env: 'TRADING_AGENT_URL' },
+};
+
+class ServiceClient {
+  constructor({ name, envName = null, baseURL = null, timeoutMs = 30_000, healthTimeoutMs = 2000, healthTtlMs = 15_000 }) {
+    this.name = name;
+    this.envName = envName;
+    this.baseURL = baseURL ? baseURL.replace(/\/+$/, '') : null;
+    this.timeoutMs = timeoutMs;
+    this.healthTimeoutMs = healthTimeoutMs;
+    this.healthTtlMs = healthTtlMs;
+    this.http = this.baseURL ? axios.create({ baseURL: this.baseURL, timeout: timeoutMs }) : null;
+    this.lastHealth = null;
+    this.healthInFlight = null;
+  }
+
+  get configured() {
+    return !!this.baseURL;
+  }
+
+  describeError(e, timeoutMs = this.timeoutMs) {
+    if (e?.response) {
+      const d = e.response.data || {};
+      return { code: e.response.status, error: `${this.name} responded ${e.response.status}: ${d.error || d.details || e.message}` };
+    }
+    if (e?.code === 'ECONNABORTED' || e?.code === 'ETIMEDOUT') return { code: 504, error: `${this.name} timed out after ${timeoutMs}ms` };
+    if (e?.code === 'ECONNREFUSED' || e?.code === 'ENOTFOUND') return { code: 503, error: `${this.name} unreachable at ${this.baseURL}` };
+    return { code: 502, error: `${this.name} request failed: ${e?.message || e}` };
+  }
+
+  // → { ok, data, replayed } | { ok: false, code, error }
+  async post(path, body, { idempotencyKey = null, launchId = null } = {}) {
+    if (!this.http) return { ok: false, code: 503, error: `${this.name} not configured${this.envName ? ` (${this.envName} unset)` : ''}` };
+    const headers = {};
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+    if (launchId) headers['X-Launch-Id'] = launchId;
+    try {
+      const res = await this.http.post(path, body, { headers });
+      return { ok: true, data: res.data || {}, replayed: res.headers?.['idempotent-replayed'] === 'true' };
+    } catch (e) {
+      return { ok: false, ...this.describeError(e) };
+    }
+  }
+
+  // Cached for healthTtlMs; concurrent callers share one probe
+  async health({ force = false } = {}) {
+    if (!this.configured) return { configured: false, ok: false };
+    if (!force && this.lastHealth && Date.now() - this.lastHealth.checkedAtMs < this.healthTtlMs) return this.publicHealth();
+    if (!this.healthInFlight) {
+      this.healthInFlight = (async () => {
+        const t0 = Date.now();
+        let result;
+        try {
+          const res = await this.http.get('/health', { timeout: this.healthTimeoutMs });
+          const status = res.data?.status || 'ok';
+          result = { ok: status === 'healthy' || status === 'ok', status, latencyMs: Date.now() - t0 };
+        } catch (e) {
+          result = { ok: false, status: 'down', latencyMs: Date.now() - t0, error: this.describeError(e, this.healthTimeoutMs).error };
+        }
+        this.lastHealth = { ...result, checkedAtMs: Date.now() };
+      })().finally(() => { this.healthInFlight = null; });
+    }
+    await this.healthInFlight;
+    return this.publicHealth();
+  }
+
+  publicHealth() {
+    const { checkedAtMs, ...h } = this.lastHealth;
+    return { configured: true, url: this.baseURL, ...h, checkedAt: new Date(checkedAtMs).toISOString() };
+  }
+}
+
+class LaunchServices {
+  constructor(clients) {
+    this.tokenCreator = clients.tokenCreator;
+    this.websiteGenerator = clients.websiteGenerator;
+    this.tradingAgent = clients.tradingAgent;
+  }
+
+  // Maps the token-creator result onto the token shape the pipeline stores (see splTokenAdapter)
+  async createToken(tokenData, tweetData, { decimals, supply, idempotencyKey, launchId } = {}) {
+    const out = await this.tokenCreator.post('/tokens', {
+      name: tokenData.name,
+      symbol: tokenData.symbol,
+      description: tokenData.description || null,
+      decimals,
+      supply,
+      tweet: tweetData ? { id: tweetData.id, author: tweetData.author, url: tweetData.url || null } : null,
+    }, { idempotencyKey, launchId });
+    if (!out.ok) return out;
+    const d = out.data;
+    if (d.status === 'failed' || !d.mintAddress) return { ok: false, code: 502, error: `token-creator: ${d.error || 'no mint address returned'}` };
+    return {
+      ok: true,
+      replayed: out.replayed,
+      token: {
+        address: d.mintAddress,
+        name: d.name || tokenData.name,
+        symbol: d.symbol || tokenData.symbol,
+        supply: d.supply ?? supply,
+        decimals: d.decimals ?? decimals,
+        tokenAccount: d.tokenAddress || null,
+        signature: d.transactionSignature || null,
+        network: d.network || this.tokenCreator.name,
+        created: d.createdAt || new Date().toISOString(),
+        cost: d.costs?.total ?? 0,
+        status: 'deployed',
+        metadata: d.metadataAddress ? { status: 'created', address: d.metadataAddress } : null,
+      },
+    };
+  }
+
+  async generateWebsite(token, theme, tweetData, { idempotencyKey, launchId } = {}) {
+    const out = await this.websiteGenerator.post('/websites', {
+      token: { address: token.address, name: token.name, symbol: token.symbol },
+      theme,
+      tweet: tweetData ? { id: tweetData.id, author: tweetData.author, text: tweetData.text } : null,
+    }, { idempotencyKey, launchId });
+    if (!out.ok) return out;
+    const d = out.data;
+    if (!d.url) return { ok: false, code: 502, error: `website-generator: ${d.error || 'no url returned'}` };
+    return {
+      ok: true,
+      replayed: out.replayed,
+      website: { url: d.url, status: d.status || 'deployed', template: d.template || theme, created: d.createdAt || new Date().toISOString() },
+    };
+  }
+
+  async setupTrading(token, { initialLiquiditySol, idempotencyKey, launchId } = {}) {
+    const out = await this.tradingAgent.post('/trading', {
+      tokenAddress: token.address,
+      symbol: token.symbol || null,
+      initialLiquiditySol,
+    }, { idempotencyKey, launchId });
+    if (!out.ok) return out;
+    const d = out.data;
+    if (!d.pair) return { ok: false, code: 502, error: `trading-agent: ${d.error || 'no pair returned'}` };
+    return {
+      ok: true,
+      replayed: out.replayed,
+      trading: { pair: d.pair, initialLiquidity: d.initialLiquidity ?? initialLiquiditySol, status: d.status || 'active', started: d.startedAt || new Date().toISOString() },
+    };
+  }
+
+  // Env vars a live launch is missing. Tokens can be minted without token-creator (splTokenAdapter);
+  // sites and trading pools have no fallback, so a launch without them fails after minting.
+  missingForLaunch() {
+    return [this.websiteGenerator, this.tradingAgent].filter(c => !c.configured).map(c => c.envName || c.name);
+  }
+
+  // { tokenCreator: {...}, websiteGenerator: {...}, tradingAgent: {...} }
+  async health(opts) {
+    const keys = Object.keys(SERVICES);
+    const results = await Promise.all(keys.map(k => this[k].health(opts)));
+    return Object.fromEntries(keys.map((k, i) => [k, results[i]]));
+  }
+}
+
+function createLaunchServices(env = process.env) {
+  const timeoutMs = Math.max(1000, parseInt(env.SERVICE_TIMEOUT_MS || '30000', 10));
+  const healthTimeoutMs = Math.max(250, parseInt(env.SERVICE_HEALTH_TIMEOUT_MS || '2000', 10));
+  const healthTtlMs = Math.max(0, parseInt(env.SERVICE_HEALTH_TTL_MS || '15000', 10));
+  const clients = {};
+  for (const [key, { name, env: envName }] of Object.entries(SERVICES)) {
+    const perService = parseInt(env[`${envName.replace(/_URL$/, '')}_TIMEOUT_MS`] || '', 10);
+    clients[key] = new ServiceClient({
+      name,
+      envName,
+      baseURL: env[envName] || null,
+      timeoutMs: perService > 0 ? perService : timeoutMs,
+      healthTimeoutMs,
+      healthTtlMs,
+    });
+  }
+  return new LaunchServices(clients);
+}
+
+module.exports = {
+  SERVICES,
+  ServiceClient,
+  LaunchServices,
+  createLaunchServices,
+};
@@ -1,5 +1,40 @@
+const fs = require('fs');
+
+// Built-in catalogue: the OpenRouter models index.js is configured with by default.
+// cost = blended USD per 1K tokens (used for ranking); prices = USD per 1M tokens [input, output].
+const DEFAULT_MODELS = {
+  'deepseek/deepseek-r1': {
+    cost: 0.0014,
+    prices: [0.55, 2.19],
+    speed: 'slow',
+    accuracy: 'high',
+    specialty: 'reasoning'
+  },
+  'anthropic/claude-3-haiku': {
+    cost: 0.00075,
+    prices: [0.25, 1.25],
+    speed: 'fast',
+    accuracy: 'medium',
+    specialty: 'classification'
+  },
+  'anthropic/claude-3.5-sonnet': {
+    cost: 0.009,
+    prices: [3, 15],
+    speed: 'medium',
+    accuracy: 'high',
+    specialty: 'general'
+  },
+  'qwen/qwen-2.5-72b-instruct': {
+    cost: 0.000375,
+    prices: [0.35, 0.4],
+    speed: 'medium',
+    accuracy: 'medium',
+    specialty: 'chat'
+  }
+};
+
 class ModelRouter {
-  constructor() {
+  constructor({ models, strategy } = {}) {
     this.stats = {
       totalRequests: 0,
       modelSelections: {},
@@ -8,32 +43,7 @@ class ModelRouter {
       totalCost: 0
     };
     
-    this.models = {
-      'anthropic/claude-3-haiku': {
-        cost: 0.00025,
-        speed: 'fast',
-        accuracy: 'high',
-        specialty: 'general'
-      },
-      'openai/gpt-3.5-turbo': {
-        cost: 0.002,
-        speed: 'fast',
-        accuracy: 'medium',
-        specialty: 'chat'
-      },
-      'google/gemma-7b-it': {
-        cost: 0.0001,
-        speed: 'medium',
-        accuracy: 'medium',
-        specialty: 'instruct'
-      },
-      'meta-llama/llama-2-70b-chat': {
-        cost: 0.0008,
-        speed: 'slow',
-        accuracy: 'high',
-        specialty: 'reasoning'
-      }
-    };
+    this.models = { ...(models || DEFAULT_MODELS) };
 
     this.routingStrategies = {
       cost_optimized: this.selectCheapestModel.bind(this),
@@ -43,20 +53,54 @@ class ModelRouter {
       adaptive: this.selectAdaptiveModel.bind(this)
     };
 
-    this.currentStrategy = 'balanced';
+    this.currentStrategy = this.routingStrategies[strategy] ? strategy : 'balanced';
+  }
+
+  // Replaces the catalogue from a JSON file: { "models": { "<id>": { cost, prices, speed, accuracy, specialty } }, "strategy"?: "..." }
+  loadCatalogue(filePath) {
+    const obj = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const models = obj && typeof obj.models === 'object' ? obj.models : null;
+    if (!models || !Object.keys(models).length) {
+      throw new Error(`Model catalogue ${filePath} has no models`);
+    }
+    this.models = models;
+    if (obj.strategy) this.setRoutingStrategy(obj.strategy);
+    console.log(`Model catalogue loaded from ${filePath} (${Object.keys(models).length} models)`);
+    return this.models;
+  }
+
+  // Ensures ad-hoc models (e.g. env overrides not in the catalogue) can still be tracked.
+  registerModel(model, config = {}) {
+    if (this.models[model]) return;
+    this.models[model] = DEFAULT_MODELS[model]
+      ? { ...DEFAULT_MODELS[model], ...config }
+      : { cost: 0.001, speed: 'medium', accuracy: 'medium', specialty: 'general', ...config };
   }
 
-  selectModel(requestType = 'general', strategy = null) {
+  // USD per 1M tokens [input, output] for every catalogue entry that declares prices
+  getPriceTable() {
+    return Object.fromEntries(
+      Object.entries(this.models)
+        .filter(([, c]) => Array.isArray(c.prices))
+        .map(([m, c]) => [m, c.prices])
+    );
+  }
+
+  // `exclude`: models that must not be picked (e.g. already voting in the same ensemble call).
+  // model is null when every catalogue entry is excluded.
+  selectModel(requestType = 'general', strategy = null, { exclude = [] } = {}) {
     try {
       const selectedStrategy = strategy || this.currentStrategy;
       const routingFunction = this.routingStrategies[selectedStrategy];
+      const candidates = Object.entries(this.models).filter(([model]) => !exclude.includes(model));
+      if (!candidates.length) return { model: null, strategy: selectedStrategy, metadata: null };
       
       if (!routingFunction) {
         console.warn(`Unknown routing strategy: ${selectedStrategy}, using balanced`);
-        return this.selectBalancedModel(requestType);
+        return this.selectBalancedModel(requestType, candidates);
       }
 
-      const selectedModel = routingFunction(requestType);
+      const selectedModel = routingFunction(requestType, candidates);
       
       // Update selection stats
       this.updateSelectionStats(selectedModel, selectedStrategy);
@@ -68,27 +112,29 @@ class ModelRouter {
       };
     } catch (error) {
       console.error('Model selection failed:', error);
+      const fallback = Object.keys(this.models)[0];
       return {
-        model: 'openai/gpt-3.5-turbo',
+        model: fallback,
         strategy: 'fallback',
-        metadata: this.models['openai/gpt-3.5-turbo']
+        metadata: this.models[fallback]
       };
     }
   }
 
-  selectCheapestModel(requestType) {
-    const sortedModels = Object.entries(this.models)
+  // Strategies pick from `candidates` ([model, config] pairs; default: the whole catalogue)
+  selectCheapestModel(requestType, candidates = Object.entries(this.models)) {
+    const sortedModels = [...candidates]
       .sort(([,a], [,b]) => a.cost - b.cost);
     
     return sortedModels[0][0];
   }
 
-  selectFastestModel(requestType) {
-    const fastModels = Object.entries(this.models)
+  selectFastestModel(requestType, candidates = Object.entries(this.models)) {
+    const fastModels = candidates
       .filter(([,config]) => config.speed === 'fast');
     
     if (fastModels.length === 0) {
-      return Object.keys(this.models)[0];
+      return candidates[0][0];
     }
     
     // Among fast models, prefer the most accurate
@@ -101,8 +147,8 @@ class ModelRouter {
     return sortedFastModels[0][0];
   }
 
-  selectMostAccurateModel(requestType) {
-    const sortedModels = Object.entries(this.models)
+  selectMostAccurateModel(requestType, candidates = Object.entries(this.models)) {
+    const sortedModels = [...candidates]
       .sort(([,a], [,b]) => {
         const accuracyScore = { 'high': 3, 'medium': 2, 'low': 1 };
         return accuracyScore[b.accuracy] - accuracyScore[a.accuracy];
@@ -111,9 +157,9 @@ class ModelRouter {
     return sortedModels[0][0];
   }
 
-  selectBalancedModel(requestType) {
+  selectBalancedModel(requestType, candidates = Object.entries(this.models)) {
     // Score models based on cost, speed, and accuracy
-    const scoredModels = Object.entries(this.models).map(([model, config]) => {
+    const scoredModels = candidates.map(([model, config]) => {
       let score = 0;
       
       // Cost score (lower cost = higher score)
@@ -139,13 +185,16 @@ class ModelRouter {
     return scoredModels[0].model;
   }
 
-  selectAdaptiveModel(requestType) {
+  selectAdaptiveModel(requestType, candidates = Object.entries(this.models)) {
     // Use performance history to make intelligent decisions
-    const modelPerformance = this.getModelPerformanceScores();
+    const allowed = new Set(candidates.map(([model]) => model));
+    const modelPerformance = Object.fromEntries(
+      Object.entries(this.getModelPerformanceScores()).filter(([model]) => allowed.has(model))
+    );
     
-    if (Object.keys(modelPerformance).length === 0) {
+    if (!Object.values(modelPerformance).some(score => score > 0)) {
       // No performance history, use balanced selection
-      return this.selectBalancedModel(requestType);
+      return this.selectBalancedModel(requestType, candidates);
     }
     
     // Select model with best performance score
@@ -168,7 +217,7 @@ class ModelRouter {
       // Calculate composite performance score
       const successRate = metrics.successful / (metrics.successful + metrics.failed);
       const speedScore = 1000 / (metrics.averageResponseTime || 1000); // Invert response time
-      const costScore = 1 / (this.models[model].cost * 1000); // Invert cost
+      const costScore = 1 / Math.max(0.0001, this.models[model].cost * 1000); // Invert cost
       
       scores[model] = (successRate * 0.5) + (speedScore * 0.3) + (costScore * 0.2);
     });
@@ -308,9 +357,9 @@ class ModelRouter {
       'sentiment_analysis': this.selectBalancedModel('sentiment'),
       'text_generation': this.selectMostAccurateModel('generation'),
       'classification': this.selectFastestModel('classification'),
-      'reasoning': () => 'meta-llama/llama-2-70b-chat',
-      'chat': () => 'openai/gpt-3.5-turbo',
-      'cost_sensitive': this.selectCheapestModel
+      'reasoning': () => this.findBySpecialty('reasoning') || this.selectMostAccurateModel('reasoning'),
+      'chat': () => this.findBySpecialty('chat') || this.selectBalancedModel('chat'),
+      'cost_sensitive': () => this.selectCheapestModel('cost_sensitive')
     };
     
     const selector = useCaseMapping[useCase];
@@ -323,6 +372,11 @@ class ModelRouter {
     }
   }
 
+  findBySpecialty(specialty) {
+    const hit = Object.entries(this.models).find(([, config]) => config.specialty === specialty);
+    return hit ? hit[0] : null;
+  }
+
   // Reset statistics
   resetStats() {
     this.stats = {
@@ -367,3 +421,4 @@ class ModelRouter {
 }
 
 module.exports = ModelRouter;
+module.exports.DEFAULT_MODELS = DEFAULT_MODELS;
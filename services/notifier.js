@@ -0,0 +1,266 @@
+// services/notifier.js
+// Outbound notifications for detections, launches, 402 suspensions and budget thresholds. Each
+// channel — a generic webhook signed with HMAC-SHA256, a Telegram bot chat or a Discord webhook —
+// formats the same notification its own way and only receives the events in its filter.
+// Failed deliveries (network errors, 429, 5xx) are retried with exponential backoff; every
+// delivery is kept in a bounded in-memory log (GET /api/notifications).
+//
+// Webhook headers: X-MemesMachine-Event, X-MemesMachine-Delivery, X-MemesMachine-Timestamp and
+// X-MemesMachine-Signature: sha256=HMAC(secret, `${timestamp}.${body}`) when a secret is set.
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const EVENTS = ['detection', 'launch_started', 'launch_completed', 'launch_failed', 'monitor_suspended', 'budget_threshold'];
+const COLORS = {
+  detection: 0xf1c40f,
+  launch_started: 0x3498db,
+  launch_completed: 0x2ecc71,
+  launch_failed: 0xe74c3c,
+  monitor_suspended: 0xe67e22,
+  budget_threshold: 0x9b59b6,
+  test: 0x95a5a6,
+};
+
+// "detection,launch_failed" → event list; empty/'*' → all
+function parseEvents(raw) {
+  const list = String(raw || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (!list.length || list.includes('*')) return [...EVENTS];
+  const unknown = list.filter(e => !EVENTS.includes(e));
+  if (unknown.length) console.warn(`⚠️ Unknown notification event(s): ${unknown.join(', ')} (expected ${EVENTS.join(', ')})`);
+  return list.filter(e => EVENTS.includes(e));
+}
+
+const clip = (s, n) => (String(s ?? '').length > n ? `${String(s).slice(0, n - 1)}…` : String(s ?? ''));
+const sleep = (ms) => new Promise(r => setTimeout(r, ms).unref?.());
+
+// Hides tokens in URLs shown by getStatus
+function maskUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}${u.pathname.length > 1 ? '/…' : ''}`;
+  } catch {
+    return 'invalid url';
+  }
+}
+
+// Seconds from Retry-After or the provider's body (Telegram parameters.retry_after, Discord retry_after)
+function retryAfterMs(res) {
+  const s = res?.headers?.['retry-after'] ?? res?.data?.parameters?.retry_after ?? res?.data?.retry_after;
+  const n = parseFloat(s);
+  return Number.isFinite(n) && n >= 0 ? Math.ceil(n * 1000) : null;
+}
+
+// ---- Channels: build(notification) → { url, data, headers }
+function webhookChannel({ url, secret, events }) {
+  return {
+    name: 'webhook',
+    target: maskUrl(url),
+    events,
+    signed: !!secret,
+    build(n) {
+      const body = JSON.stringify({ id: n.id, event: n.event, at: n.at, title: n.title, text: n.text, data: n.data });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-MemesMachine-Event': n.event,
+        'X-MemesMachine-Delivery': n.id,
+        'X-MemesMachine-Timestamp': timestamp,
+      };
+      if (secret) {
+        headers['X-MemesMachine-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      }
+      return { url, data: body, headers };
+    },
+  };
+}
+
+function telegramChannel({ botToken, chatId, apiBase = 'https://api.telegram.org', events }) {
+  return {
+    name: 'telegram',
+    target: `chat ${chatId}`,
+    events,
+    build(n) {
+      const lines = [n.title, n.text, ...n.fields.map(f => `${f.name}: ${f.value}`)].filter(Boolean);
+      return {
+        url: `${apiBase.replace(/\/$/, '')}/bot${botToken}/sendMessage`,
+        data: { chat_id: chatId, text: clip(lines.join('\n'), 4096), disable_web_page_preview: true },
+        headers: { 'Content-Type': 'application/json' },
+      };
+    },
+  };
+}
+
+function discordChannel({ url, username = 'MemesMachine', events }) {
+  return {
+    name: 'discord',
+    target: maskUrl(url),
+    events,
+    build(n) {
+      return {
+        url,
+        data: {
+          username,
+          embeds: [{
+            title: clip(n.title, 256),
+            description: clip(n.text, 4096),
+            color: COLORS[n.event] ?? COLORS.test,
+            fields: n.fields.slice(0, 25).map(f => ({ name: clip(f.name, 256), value: clip(f.value, 1024) || '-', inline: true })),
+            timestamp: n.at,
+          }],
+        },
+        headers: { 'Content-Type': 'application/json' },
+      };
+    },
+  };
+}
+
+class Notifier extends EventEmitter {
+  constructor({ channels = [], maxAttempts = 4, backoffMs = 2000, maxBackoffMs = 60_000, timeoutMs = 10_000, logSize = 200 } = {}) {
+    super();
+    this.channels = channels;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.logSize = logSize;
+    this.http = axios.create({ timeout: timeoutMs });
+    this.log = []; // newest first
+    this.stats = {}; // channel -> { delivered, failed }
+  }
+
+  get configured() {
+    return this.channels.length > 0;
+  }
+
+  // notification: { event, title, text?, fields?: [{ name, value }], data? }
+  // Fire-and-forget: returns the delivery log entries, deliveries continue in the background.
+  notify(event, { title, text = '', fields = [], data = {} } = {}, { only = null } = {}) {
+    const n = { id: uuidv4(), event, at: new Date().toISOString(), title, text, fields, data };
+    const targets = this.channels.filter(c => (only ? c.name === only : event === 'test' || c.events.includes(event)));
+    return targets.map(channel => {
+      const entry = {
+        id: uuidv4(),
+        notificationId: n.id,
+        event,
+        channel: channel.name,
+        title,
+        status: 'pending',
+        attempts: 0,
+        statusCode: null,
+        error: null,
+        createdAt: n.at,
+        updatedAt: n.at,
+        deliveredAt: null,
+      };
+      this.log.unshift(entry);
+      if (this.log.length > this.logSize) this.log.length = this.logSize;
+      this.deliver(channel, n, entry).catch(e => console.error('Notification error:', e?.message || e));
+      return entry;
+    });
+  }
+
+  async deliver(channel, n, entry) {
+    const stats = this.stats[channel.name] || (this.stats[channel.name] = { delivered: 0, failed: 0 });
+    while (entry.attempts < this.maxAttempts) {
+      entry.attempts++;
+      let res = null;
+      try {
+        const { url, data, headers } = channel.build(n);
+        res = await this.http.post(url, data, { headers });
+        Object.assign(entry, { status: 'delivered', statusCode: res.status, error: null, deliveredAt: new Date().toISOString() });
+        entry.updatedAt = entry.deliveredAt;
+        stats.delivered++;
+        this.emit('delivery', entry);
+        return entry;
+      } catch (e) {
+        res = e?.response || null;
+        entry.statusCode = res?.status || null;
+        entry.error = res ? `HTTP ${res.status}` : (e?.code || e?.message || String(e));
+        entry.updatedAt = new Date().toISOString();
+      }
+
+      // Client errors other than 429 won't succeed on retry
+      const retryable = !res || res.status === 429 || res.status >= 500;
+      if (!retryable || entry.attempts >= this.maxAttempts) break;
+
+      const wait = Math.min(this.maxBackoffMs, retryAfterMs(res) ?? this.backoffMs * 2 ** (entry.attempts - 1));
+      entry.status = 'retrying';
+      entry.nextAttemptAt = new Date(Date.now() + wait).toISOString();
+      await sleep(wait);
+      delete entry.nextAttemptAt;
+    }
+
+    entry.status = 'failed';
+    stats.failed++;
+    console.warn(`⚠️ ${channel.name} notification "${entry.event}" failed after ${entry.attempts} attempt(s): ${entry.error}`);
+    this.emit('delivery', entry);
+    return entry;
+  }
+
+  deliveries({ status, event, channel, limit = 50 } = {}) {
+    const n = Math.max(1, Math.min(parseInt(limit, 10) || 50, this.logSize));
+    return this.log
+      .filter(e => (!status || e.status === status) && (!event || e.event === event) && (!channel || e.channel === channel))
+      .slice(0, n);
+  }
+
+  getStatus() {
+    return {
+      configured: this.configured,
+      events: EVENTS,
+      channels: this.channels.map(c => ({
+        name: c.name,
+        target: c.target,
+        events: c.events,
+        ...(c.signed !== undefined ? { signed: c.signed } : {}),
+        ...(this.stats[c.name] || { delivered: 0, failed: 0 }),
+      })),
+      maxAttempts: this.maxAttempts,
+      backoffMs: this.backoffMs,
+      logged: this.log.length,
+    };
+  }
+}
+
+function createNotifier(env = process.env) {
+  const channels = [];
+  if (env.NOTIFY_WEBHOOK_URL) {
+    channels.push(webhookChannel({
+      url: env.NOTIFY_WEBHOOK_URL,
+      secret: env.NOTIFY_WEBHOOK_SECRET,
+      events: parseEvents(env.NOTIFY_WEBHOOK_EVENTS),
+    }));
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    channels.push(telegramChannel({
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      chatId: env.TELEGRAM_CHAT_ID,
+      apiBase: env.TELEGRAM_API_BASE || undefined,
+      events: parseEvents(env.TELEGRAM_EVENTS),
+    }));
+  } else if (env.TELEGRAM_BOT_TOKEN || env.TELEGRAM_CHAT_ID) {
+    console.warn('⚠️ Telegram notifications need both TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+  }
+  if (env.DISCORD_WEBHOOK_URL) {
+    channels.push(discordChannel({
+      url: env.DISCORD_WEBHOOK_URL,
+      events: parseEvents(env.DISCORD_EVENTS),
+    }));
+  }
+
+  return new Notifier({
+    channels,
+    maxAttempts: Math.max(1, parseInt(env.NOTIFY_MAX_ATTEMPTS || '4', 10)),
+    backoffMs: Math.max(100, parseInt(env.NOTIFY_BACKOFF_MS || '2000', 10)),
+    timeoutMs: Math.max(1000, parseInt(env.NOTIFY_TIMEOUT_MS || '10000', 10)),
+    logSize: Math.max(10, parseInt(env.NOTIFY_LOG_SIZE || '200', 10)),
+  });
+}
+
+module.exports = {
+  EVENTS,
+  Notifier,
+  createNotifier,
+};
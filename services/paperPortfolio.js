@@ -0,0 +1,313 @@
+// services/paperPortfolio.js
+// Virtual SOL portfolio for paper_trading mode. Launched tokens are bought for a fixed SOL amount;
+// fills pay slippage (buys above, sells below the feed price) and a fee in SOL. Open positions are
+// marked to market from a price feed and closed on take-profit / stop-loss / max-hold, or by hand.
+// State is kept on disk (data/paper.json). Emits:
+//   'trade' (trade)
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'paper.json');
+const MAX_TRADES = 1000;
+
+const round = (n, d = 9) => (Number.isFinite(n) ? parseFloat(n.toFixed(d)) : null);
+
+class PaperPortfolio extends EventEmitter {
+  constructor({
+    filePath = DEFAULT_FILE,
+    priceFeed = null,
+    startingSol = 10,
+    positionSol = 0.5,
+    slippagePercent = 2,
+    feePercent = 1,
+    takeProfitMultiple = 0,
+    stopLossMultiple = 0,
+    maxHoldMs = 0,
+    markIntervalMs = 30_000,
+    solPriceUsd = 150,
+  } = {}) {
+    super();
+    this.filePath = filePath;
+    this.priceFeed = priceFeed;
+    this.startingSol = startingSol;
+    this.positionSol = positionSol;
+    this.slippagePercent = slippagePercent;
+    this.feePercent = feePercent;
+    this.takeProfitMultiple = takeProfitMultiple;
+    this.stopLossMultiple = stopLossMultiple;
+    this.maxHoldMs = maxHoldMs;
+    this.markIntervalMs = markIntervalMs;
+    this.solPriceUsd = solPriceUsd;
+    this.timer = null;
+    this.marking = false;
+    this.reservedSol = 0; // held by buys waiting on a price, so concurrent buys can't overspend
+    this.buying = new Set(); // addresses with a buy in flight
+    this.generation = 0; // bumped by reset(); buys started before it are dropped
+    this.load();
+  }
+
+  load() {
+    let obj = null;
+    try {
+      obj = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch {
+      obj = null;
+    }
+    this.state = obj && typeof obj === 'object' ? obj : this.emptyState();
+  }
+
+  emptyState() {
+    return {
+      startingSol: this.startingSol,
+      cashSol: this.startingSol,
+      realizedPnlSol: 0,
+      feesSol: 0,
+      positions: {}, // address -> position
+      trades: [],
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+    } catch (e) {
+      console.error('Failed to save paper.json:', e.message || e);
+    }
+  }
+
+  reset() {
+    this.generation++;
+    this.reservedSol = 0;
+    this.buying.clear();
+    this.state = this.emptyState();
+    this.save();
+    console.log(`📒 Paper portfolio reset to ${this.startingSol} SOL`);
+    return this.getPortfolio();
+  }
+
+  start() {
+    if (this.timer || !this.priceFeed) return;
+    this.timer = setInterval(() => {
+      this.markToMarket().catch(e => console.error('Paper mark error:', e?.message || e));
+    }, this.markIntervalMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async priceOf(position) {
+    if (!this.priceFeed) return null;
+    try {
+      return await this.priceFeed.getPrice(position);
+    } catch (e) {
+      console.warn(`⚠️ Price feed failed for ${position.symbol || position.address}: ${e?.response?.status || e?.message || e}`);
+      return null;
+    }
+  }
+
+  record(trade) {
+    this.state.trades.push(trade);
+    if (this.state.trades.length > MAX_TRADES) this.state.trades.splice(0, this.state.trades.length - MAX_TRADES);
+    this.save();
+    this.emit('trade', trade);
+    return trade;
+  }
+
+  // token: { address, symbol, name, launchId, tweetId } → { ok, trade } | { ok: false, code, error }
+  async buy(token, { sol = this.positionSol, reason = 'launch' } = {}) {
+    if (!token?.address) return { ok: false, code: 400, error: 'token address required' };
+    if (this.state.positions[token.address] || this.buying.has(token.address)) {
+      return { ok: false, code: 409, error: `already holding ${token.symbol || token.address}` };
+    }
+    if (!(sol > 0)) return { ok: false, code: 400, error: 'position size must be > 0' };
+    const available = this.state.cashSol - this.reservedSol;
+    if (sol > available + 1e-12) {
+      return { ok: false, code: 409, error: `insufficient paper balance: ${round(available, 4)} SOL < ${sol} SOL` };
+    }
+
+    const openedAt = new Date().toISOString();
+    const { generation } = this;
+    this.reservedSol += sol;
+    this.buying.add(token.address);
+    let marketPrice;
+    try {
+      marketPrice = await this.priceOf({ ...token, openedAt });
+    } finally {
+      if (this.generation === generation) {
+        this.reservedSol -= sol;
+        this.buying.delete(token.address);
+      }
+    }
+    if (this.generation !== generation) return { ok: false, code: 409, error: 'paper portfolio was reset during the buy' };
+    if (!marketPrice) return { ok: false, code: 503, error: `no price for ${token.symbol || token.address}` };
+
+    const feeSol = sol * (this.feePercent / 100);
+    const fillPrice = marketPrice * (1 + this.slippagePercent / 100);
+    const quantity = (sol - feeSol) / fillPrice;
+
+    this.state.cashSol -= sol;
+    this.state.feesSol += feeSol;
+    this.state.positions[token.address] = {
+      address: token.address,
+      symbol: token.symbol || null,
+      name: token.name || null,
+      launchId: token.launchId || null,
+      tweetId: token.tweetId || null,
+      quantity,
+      entryPrice: fillPrice,
+      costSol: sol,
+      openedAt,
+      lastPrice: marketPrice,
+      lastPricedAt: openedAt,
+    };
+    const trade = this.record({
+      id: uuidv4(),
+      side: 'buy',
+      address: token.address,
+      symbol: token.symbol || null,
+      launchId: token.launchId || null,
+      quantity,
+      marketPrice,
+      fillPrice,
+      slippagePercent: this.slippagePercent,
+      feeSol,
+      solAmount: -sol,
+      realizedPnlSol: null,
+      reason,
+      at: openedAt,
+    });
+    console.log(`📒 Paper BUY ${token.symbol || token.address}: ${sol} SOL @ ${fillPrice.toPrecision(4)} (fee ${round(feeSol, 4)} SOL)`);
+    return { ok: true, trade };
+  }
+
+  async sell(address, { reason = 'manual', price = null } = {}) {
+    const pos = this.state.positions[address];
+    if (!pos) return { ok: false, code: 404, error: 'no open position for that token' };
+
+    const marketPrice = price || (await this.priceOf(pos));
+    // Closed while the price was fetched (exit rule, another sell, reset): don't credit it twice
+    if (this.state.positions[address] !== pos) return { ok: false, code: 404, error: 'no open position for that token' };
+    if (!marketPrice) return { ok: false, code: 503, error: `no price for ${pos.symbol || address}` };
+
+    const fillPrice = marketPrice * (1 - this.slippagePercent / 100);
+    const gross = pos.quantity * fillPrice;
+    const feeSol = gross * (this.feePercent / 100);
+    const proceeds = gross - feeSol;
+    const realized = proceeds - pos.costSol;
+
+    this.state.cashSol += proceeds;
+    this.state.feesSol += feeSol;
+    this.state.realizedPnlSol += realized;
+    delete this.state.positions[address];
+
+    const trade = this.record({
+      id: uuidv4(),
+      side: 'sell',
+      address,
+      symbol: pos.symbol,
+      launchId: pos.launchId,
+      quantity: pos.quantity,
+      marketPrice,
+      fillPrice,
+      slippagePercent: this.slippagePercent,
+      feeSol,
+      solAmount: proceeds,
+      realizedPnlSol: realized,
+      reason,
+      at: new Date().toISOString(),
+    });
+    console.log(`📒 Paper SELL ${pos.symbol || address} (${reason}): ${round(proceeds, 4)} SOL, PnL ${realized >= 0 ? '+' : ''}${round(realized, 4)} SOL`);
+    return { ok: true, trade };
+  }
+
+  // Re-prices open positions and applies the exit rules
+  async markToMarket() {
+    if (this.marking) return;
+    this.marking = true;
+    try {
+      let changed = false;
+      for (const pos of Object.values(this.state.positions)) {
+        const price = await this.priceOf(pos);
+        if (!price || this.state.positions[pos.address] !== pos) continue;
+        pos.lastPrice = price;
+        pos.lastPricedAt = new Date().toISOString();
+        changed = true;
+
+        const multiple = price / pos.entryPrice;
+        let reason = null;
+        if (this.takeProfitMultiple > 0 && multiple >= this.takeProfitMultiple) reason = 'take_profit';
+        else if (this.stopLossMultiple > 0 && multiple <= this.stopLossMultiple) reason = 'stop_loss';
+        else if (this.maxHoldMs > 0 && Date.now() - new Date(pos.openedAt).getTime() >= this.maxHoldMs) reason = 'max_hold';
+        if (reason) await this.sell(pos.address, { reason, price });
+      }
+      if (changed) this.save();
+    } finally {
+      this.marking = false;
+    }
+  }
+
+  // Unrealized PnL is at the last marked price, before exit slippage and fees
+  getPortfolio() {
+    const positions = Object.values(this.state.positions).map(p => {
+      const valueSol = p.quantity * p.lastPrice;
+      return {
+        ...p,
+        valueSol: round(valueSol),
+        unrealizedPnlSol: round(valueSol - p.costSol),
+        multiple: round(p.lastPrice / p.entryPrice, 4),
+      };
+    });
+    const positionsSol = positions.reduce((sum, p) => sum + p.valueSol, 0);
+    const unrealized = positions.reduce((sum, p) => sum + p.unrealizedPnlSol, 0);
+    const equity = this.state.cashSol + positionsSol;
+    const usd = (sol) => round(sol * this.solPriceUsd, 2);
+    return {
+      startingSol: this.state.startingSol,
+      cashSol: round(this.state.cashSol),
+      positionsSol: round(positionsSol),
+      equitySol: round(equity),
+      realizedPnlSol: round(this.state.realizedPnlSol),
+      unrealizedPnlSol: round(unrealized),
+      totalPnlSol: round(equity - this.state.startingSol),
+      feesSol: round(this.state.feesSol),
+      usd: {
+        solPrice: this.solPriceUsd,
+        equity: usd(equity),
+        realizedPnl: usd(this.state.realizedPnlSol),
+        unrealizedPnl: usd(unrealized),
+        totalPnl: usd(equity - this.state.startingSol),
+      },
+      openPositions: positions.length,
+      positions,
+      settings: {
+        positionSol: this.positionSol,
+        slippagePercent: this.slippagePercent,
+        feePercent: this.feePercent,
+        takeProfitMultiple: this.takeProfitMultiple,
+        stopLossMultiple: this.stopLossMultiple,
+        maxHoldMs: this.maxHoldMs,
+        priceFeed: this.priceFeed?.name || null,
+      },
+      since: this.state.createdAt,
+    };
+  }
+
+  // Newest first
+  getTrades({ limit = 100, address = null, side = null } = {}) {
+    const n = Math.max(1, Math.min(parseInt(limit, 10) || 100, MAX_TRADES));
+    return this.state.trades
+      .filter(t => (!address || t.address === address) && (!side || t.side === side))
+      .slice(-n)
+      .reverse();
+  }
+}
+
+module.exports = PaperPortfolio;
@@ -0,0 +1,86 @@
+// services/priceFeeds.js
+// Token price feeds for paper trading — getPrice({ address, symbol, openedAt }) → SOL per token, or
+// null when the feed has no price for it.
+//
+//   FilePriceFeed  JSON file keyed by token address or symbol ("*" = any token). A value is either a
+//                  fixed price or a curve of [minutesSinceOpen, price] points (the last point at or
+//                  before now applies), so a paper run against the same file is reproducible.
+//                  The file is re-read when it changes.
+//                    { "MOON": 0.00012, "So1…": [[0, 0.0001], [5, 0.0003], [60, 0.00008]] }
+//   HttpPriceFeed  GET <url>/price/<address>?symbol=<symbol> → { "price": 0.00012 }
+//                  (mocks/priceFeedServer.js serves this locally)
+
+const fs = require('fs');
+const axios = require('axios');
+
+const validPrice = (v) => {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+};
+
+class FilePriceFeed {
+  constructor({ filePath }) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.prices = {};
+    this.mtimeMs = 0;
+  }
+
+  reload() {
+    try {
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs === this.mtimeMs) return;
+      this.prices = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      this.mtimeMs = mtimeMs;
+    } catch (e) {
+      console.warn(`⚠️ Price file ${this.filePath} not loaded: ${e.message}`);
+    }
+  }
+
+  async getPrice({ address, symbol, openedAt } = {}) {
+    this.reload();
+    const entry = this.prices[address] ?? this.prices[symbol] ?? this.prices[String(symbol || '').toUpperCase()] ?? this.prices['*'];
+    if (!Array.isArray(entry)) return validPrice(entry);
+
+    const minutes = openedAt ? (Date.now() - new Date(openedAt).getTime()) / 60_000 : 0;
+    let price = null;
+    for (const [at, p] of entry) {
+      if (Number(at) > minutes) break;
+      price = p;
+    }
+    return validPrice(price ?? entry[0]?.[1]);
+  }
+}
+
+class HttpPriceFeed {
+  constructor({ baseURL, timeoutMs = 5000 }) {
+    this.name = 'http';
+    this.baseURL = baseURL;
+    this.http = axios.create({ baseURL, timeout: timeoutMs });
+  }
+
+  async getPrice({ address, symbol } = {}) {
+    const res = await this.http.get(`/price/${encodeURIComponent(address || symbol)}`, { params: { symbol } });
+    return validPrice(res.data?.price);
+  }
+}
+
+// PRICE_FEED=file|http (default: whichever of PRICE_FEED_FILE / PRICE_FEED_URL is set); null when neither
+function createPriceFeed(env = process.env) {
+  const kind = (env.PRICE_FEED || (env.PRICE_FEED_FILE ? 'file' : env.PRICE_FEED_URL ? 'http' : '')).toLowerCase();
+  if (kind === 'file' && env.PRICE_FEED_FILE) return new FilePriceFeed({ filePath: env.PRICE_FEED_FILE });
+  if (kind === 'http' && env.PRICE_FEED_URL) {
+    return new HttpPriceFeed({
+      baseURL: env.PRICE_FEED_URL,
+      timeoutMs: Math.max(500, parseInt(env.PRICE_FEED_TIMEOUT_MS || '5000', 10)),
+    });
+  }
+  if (kind) console.warn(`⚠️ PRICE_FEED=${kind} needs ${kind === 'file' ? 'PRICE_FEED_FILE' : kind === 'http' ? 'PRICE_FEED_URL' : 'file or http'}`);
+  return null;
+}
+
+module.exports = {
+  FilePriceFeed,
+  HttpPriceFeed,
+  createPriceFeed,
+};
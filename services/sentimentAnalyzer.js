@@ -1,3 +1,5 @@
+const { engagementOf } = require('./engagement');
+
 class SentimentAnalyzer {
   constructor(aiEnsemble) {
     this.aiEnsemble = aiEnsemble;
@@ -62,11 +64,9 @@ class SentimentAnalyzer {
         ...baseAnalysis,
         author,
         tweetLength: text.length,
-        hasHashtags: text.includes('#'),
-        hasMentions: text.includes('@'),
-        hasLinks: text.includes('http'),
-        estimatedReach: this.estimateReach(author, text),
-        viralPotential: this.calculateViralPotential(text, author),
+        ...this.describeTweet(text, metadata),
+        estimatedReach: this.estimateReach(author, text, metadata),
+        viralPotential: this.calculateViralPotential(text, author, metadata),
         marketImpact: this.estimateMarketImpact(text, author, baseAnalysis.sentiment),
         timestamp: new Date().toISOString(),
         metadata
@@ -79,6 +79,42 @@ class SentimentAnalyzer {
     }
   }
 
+  // Folds a tweet analysis into an ensemble launch verdict ({ confidence: 0-1, ... }). Confidence moves
+  // towards the read's launch score (mean of ensemble sentiment and viral, 0-1) by `weight`, scaled by
+  // the read's own confidence. A fallback read (ensemble unavailable) leaves the verdict as it is.
+  applyToVerdict(verdict, analysis, weight = 0.25) {
+    if (!analysis || analysis.fallback || !(weight > 0)) return { ...verdict, verdictConfidence: verdict.confidence };
+    const score = (this.normalizeSentiment(analysis.sentiment) + this.normalizeScore(analysis.viral)) / 200;
+    const w = Math.min(1, weight) * (this.normalizeScore(analysis.confidence) / 100);
+    const confidence = verdict.confidence * (1 - w) + score * w;
+    return {
+      ...verdict,
+      confidence: parseFloat(confidence.toFixed(4)),
+      verdictConfidence: verdict.confidence,
+      sentimentScore: parseFloat(score.toFixed(4)),
+    };
+  }
+
+  // Structural flags; prefers the normalized tweet metadata and falls back to scanning the text
+  describeTweet(text, metadata = {}) {
+    return {
+      hasHashtags: metadata.hashtags ? metadata.hashtags.length > 0 : text.includes('#'),
+      hasCashtags: metadata.cashtags ? metadata.cashtags.length > 0 : /\$[A-Za-z]/.test(text),
+      hasMentions: metadata.mentions ? metadata.mentions.length > 0 : text.includes('@'),
+      hasLinks: text.includes('http'),
+      hasMedia: (metadata.media || []).length > 0,
+      isReply: !!metadata.isReply,
+      isQuote: !!metadata.quoted,
+      isRetweet: !!metadata.retweetOf,
+      engagement: this.engagementScore(metadata.metrics)
+    };
+  }
+
+  // Weighted interactions (see services/engagement.js)
+  engagementScore(metrics) {
+    return engagementOf(metrics);
+  }
+
   enhanceAnalysis(baseAnalysis, text) {
     try {
       return {
@@ -195,7 +231,10 @@ class SentimentAnalyzer {
     return Math.max(0, Math.min(100, credibilityScore));
   }
 
-  estimateReach(author, text) {
+  estimateReach(author, text, metadata = {}) {
+    // Measured views beat any estimate
+    if (metadata.metrics?.views) return metadata.metrics.views;
+
     // Simplified reach estimation based on author and content
     const baseReach = 1000; // Base reach for unknown authors
     
@@ -219,8 +258,15 @@ class SentimentAnalyzer {
     return Math.floor(authorReach * multiplier);
   }
 
-  calculateViralPotential(text, author) {
+  calculateViralPotential(text, author, metadata = {}) {
     let viralScore = 30; // Base score
+
+    // Engagement already picked up, and attached media
+    const engagement = this.engagementScore(metadata.metrics);
+    if (engagement >= 10000) viralScore += 25;
+    else if (engagement >= 1000) viralScore += 15;
+    else if (engagement >= 100) viralScore += 5;
+    if ((metadata.media || []).length) viralScore += 10;
     
     // Author influence
     const topInfluencers = ['elonmusk', 'vitalikbuterin', 'michael_saylor'];
@@ -337,11 +383,9 @@ class SentimentAnalyzer {
       ...this.getFallbackAnalysis(text),
       author,
       tweetLength: text.length,
-      hasHashtags: text.includes('#'),
-      hasMentions: text.includes('@'),
-      hasLinks: text.includes('http'),
-      estimatedReach: this.estimateReach(author, text),
-      viralPotential: this.calculateViralPotential(text, author),
+      ...this.describeTweet(text, tweetData.metadata || {}),
+      estimatedReach: this.estimateReach(author, text, tweetData.metadata || {}),
+      viralPotential: this.calculateViralPotential(text, author, tweetData.metadata || {}),
       marketImpact: this.estimateMarketImpact(text, author, 50),
       metadata: tweetData.metadata || {}
     };
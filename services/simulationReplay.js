@@ -0,0 +1,126 @@
+// services/simulationReplay.js
+// Replays a dataset (oldest first) in original timestamp order: a tweet posted N seconds after the
+// first replayed one is emitted N / speed seconds after start, and tweets falling due together go
+// out as one batch. Gaps longer than maxGapMs (dataset time) are shortened to maxGapMs.
+// With randomizeStart the replay begins at an index drawn from a seeded PRNG, so the same seed
+// and dataset always give the same run. Emits:
+//   'tweets' (batch, { simulatedAt })
+//   'end'    ()                         after the last tweet
+
+const EventEmitter = require('events');
+
+// mulberry32: small, fast, and good enough to pick a start index reproducibly
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Numbers are used as is; any other string is hashed (FNV-1a) so "demo-1" works as a seed
+function toSeed(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value))) return Number(value) >>> 0;
+  let h = 0x811c9dc5;
+  for (const ch of String(value)) h = Math.imul(h ^ ch.codePointAt(0), 0x01000193) >>> 0;
+  return h;
+}
+
+class SimulationReplay extends EventEmitter {
+  constructor({ tweets = [], speed = 1, maxGapMs = 0, randomizeStart = false, seed = null } = {}) {
+    super();
+    this.tweets = tweets;
+    this.speed = speed;
+    this.maxGapMs = maxGapMs;
+    this.randomizeStart = randomizeStart;
+    this.seed = toSeed(seed) ?? Math.floor(Math.random() * 2 ** 32);
+    this.startIndex = randomizeStart && tweets.length ? Math.floor(seededRandom(this.seed)() * tweets.length) : 0;
+    this.offsets = this.computeOffsets();
+    this.index = this.startIndex;
+    this.startedAt = null;
+    this.timer = null;
+    this.emitted = 0;
+    this.simulatedAt = null;
+  }
+
+  // Wall-clock offset (ms after start) of each tweet from startIndex on
+  computeOffsets() {
+    const offsets = [];
+    let offset = 0;
+    for (let i = this.startIndex; i < this.tweets.length; i++) {
+      if (i > this.startIndex) {
+        let gap = new Date(this.tweets[i].created_at) - new Date(this.tweets[i - 1].created_at);
+        if (this.maxGapMs > 0) gap = Math.min(gap, this.maxGapMs);
+        offset += Math.max(0, gap) / this.speed;
+      }
+      offsets.push(offset);
+    }
+    return offsets;
+  }
+
+  get running() {
+    return !!this.timer;
+  }
+
+  start() {
+    if (this.running || this.index >= this.tweets.length) return;
+    this.startedAt = Date.now() - (this.offsets[this.index - this.startIndex] || 0);
+    this.schedule();
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  schedule() {
+    const due = this.startedAt + this.offsets[this.index - this.startIndex];
+    this.timer = setTimeout(() => this.step(), Math.max(0, due - Date.now()));
+    this.timer.unref?.();
+  }
+
+  step() {
+    const elapsed = Date.now() - this.startedAt;
+    const batch = [];
+    while (this.index < this.tweets.length && this.offsets[this.index - this.startIndex] <= elapsed) {
+      batch.push(this.tweets[this.index++]);
+    }
+    if (batch.length) {
+      this.emitted += batch.length;
+      this.simulatedAt = batch[batch.length - 1].created_at;
+      this.emit('tweets', batch, { simulatedAt: this.simulatedAt });
+    }
+    if (this.index >= this.tweets.length) {
+      this.timer = null;
+      this.emit('end');
+      return;
+    }
+    this.schedule();
+  }
+
+  getStatus() {
+    const total = this.tweets.length - this.startIndex;
+    return {
+      running: this.running,
+      seed: this.seed,
+      speed: this.speed,
+      maxGapMs: this.maxGapMs,
+      datasetSize: this.tweets.length,
+      startIndex: this.startIndex,
+      index: this.index,
+      emitted: this.emitted,
+      remaining: this.tweets.length - this.index,
+      simulatedAt: this.simulatedAt,
+      durationMs: total ? Math.round(this.offsets[total - 1]) : 0,
+      elapsedMs: this.startedAt ? Math.min(Date.now() - this.startedAt, total ? Math.round(this.offsets[total - 1]) : 0) : 0,
+    };
+  }
+}
+
+module.exports = SimulationReplay;
+module.exports.seededRandom = seededRandom;
+module.exports.toSeed = toSeed;
@@ -0,0 +1,404 @@
+// services/splTokenAdapter.js
+// SPL token creation for launches. Live launches mint a real SPL token against SOLANA_RPC_URL
+// (default: a local solana-test-validator on :8899): create the mint, mint the supply to the
+// wallet's associated token account, write Metaplex metadata, then revoke the mint and freeze
+// authorities. Test launches get mockToken(): same shape, base58 addresses, no RPC.
+//
+// A launch's mint is resumable, also after a restart: the two transactions that can't be repeated
+// are checkpointed before they are sent — the mint keypair (address and secret, until the mint
+// exists) and the signed mintTo's signature. A retry re-sends the same mint, waits out a mintTo
+// that may still land, and skips whatever the chain shows is already done (metadata written,
+// authorities revoked), so a retried token step never creates a second token or mints twice.
+//
+// The Solana SDKs (@solana/web3.js, @solana/spl-token, @metaplex-foundation/mpl-token-metadata@2
+// for metadata) are optional dependencies, loaded on first use; sdkStatus() reports what's missing.
+// Wallet: SOLANA_WALLET_PRIVATE_KEY as a JSON byte array or base58 string, or SOLANA_KEYPAIR_PATH
+// (solana-keygen file). Against a local validator without a configured wallet, a keypair is
+// generated once into SOLANA_LOCAL_KEYPAIR_FILE (data/solana-local-keypair.json) and airdropped, so
+// it keeps the mint authority of interrupted launches. npm run e2e:spl runs the whole flow against
+// solana-test-validator.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LAMPORTS_PER_SOL = 1_000_000_000;
+const DEFAULT_RPC = 'http://127.0.0.1:8899';
+const DEFAULT_LOCAL_KEYPAIR = path.join(__dirname, '..', 'data', 'solana-local-keypair.json');
+const SDK_PACKAGES = ['@solana/web3.js', '@solana/spl-token'];
+const METADATA_PACKAGE = '@metaplex-foundation/mpl-token-metadata';
+
+// ---- base58 (Bitcoin alphabet, as used for Solana keys and signatures)
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Encode(bytes) {
+  let n = BigInt('0x' + (Buffer.from(bytes).toString('hex') || '0'));
+  let out = '';
+  while (n > 0n) {
+    out = ALPHABET[Number(n % 58n)] + out;
+    n /= 58n;
+  }
+  for (const b of bytes) {
+    if (b !== 0) break;
+    out = '1' + out;
+  }
+  return out;
+}
+
+function base58Decode(str) {
+  let n = 0n;
+  for (const ch of str) {
+    const i = ALPHABET.indexOf(ch);
+    if (i < 0) throw new Error(`invalid base58 character "${ch}"`);
+    n = n * 58n + BigInt(i);
+  }
+  let hex = n.toString(16);
+  if (hex.length % 2) hex = '0' + hex;
+  const body = n > 0n ? Buffer.from(hex, 'hex') : Buffer.alloc(0);
+  const zeros = str.match(/^1*/)[0].length;
+  return Buffer.concat([Buffer.alloc(zeros), body]);
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const isInstalled = (name) => {
+  try {
+    require.resolve(name);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isLocalRpc = (url) => /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?/i.test(url);
+
+// Solana-shaped stand-in for test launches: base58 mint/account addresses and signature
+function mockToken({ name, symbol, decimals = 9, supply = 1_000_000_000 } = {}) {
+  return {
+    address: base58Encode(crypto.randomBytes(32)),
+    name,
+    symbol,
+    supply,
+    decimals,
+    tokenAccount: base58Encode(crypto.randomBytes(32)),
+    signature: base58Encode(crypto.randomBytes(64)),
+    network: 'mock',
+    created: new Date().toISOString(),
+    cost: 0.1, // SOL, roughly rent + fees of a real mint
+    status: 'deployed',
+    authorities: { mint: null, freeze: null },
+    metadata: null,
+  };
+}
+
+function loadSdk() {
+  try {
+    return { web3: require('@solana/web3.js'), spl: require('@solana/spl-token') };
+  } catch {
+    throw new Error(`${SDK_PACKAGES.join(' and ')} are not installed (optional dependencies: npm install ${SDK_PACKAGES.join(' ')})`);
+  }
+}
+
+class SplTokenAdapter {
+  constructor({
+    rpcUrl = DEFAULT_RPC,
+    commitment = 'confirmed',
+    secretKey = null,
+    keypairPath = null,
+    localKeypairPath = DEFAULT_LOCAL_KEYPAIR,
+    airdropSol = 2,
+    decimals = 9,
+    supply = 1_000_000_000,
+    revokeMintAuthority = true,
+    revokeFreezeAuthority = true,
+    metadata = true,
+  } = {}) {
+    this.rpcUrl = rpcUrl;
+    this.commitment = commitment;
+    this.secretKey = secretKey;
+    this.keypairPath = keypairPath;
+    this.localKeypairPath = localKeypairPath;
+    this.airdropSol = airdropSol;
+    this.decimals = decimals;
+    this.supply = supply;
+    this.revokeMintAuthority = revokeMintAuthority;
+    this.revokeFreezeAuthority = revokeFreezeAuthority;
+    this.metadata = metadata;
+    this.local = isLocalRpc(rpcUrl);
+    this.sdk = null;
+    this.connection = null;
+    this.payer = null;
+  }
+
+  get configured() {
+    return !!(this.secretKey || this.keypairPath || this.local);
+  }
+
+  // { missing: [packages live minting needs], metadata: whether metadata can be written }
+  sdkStatus() {
+    return { missing: SDK_PACKAGES.filter(p => !isInstalled(p)), metadata: isInstalled(METADATA_PACKAGE) };
+  }
+
+  walletBytes() {
+    if (this.keypairPath) return Uint8Array.from(JSON.parse(fs.readFileSync(this.keypairPath, 'utf8')));
+    const raw = String(this.secretKey).trim();
+    return raw.startsWith('[') ? Uint8Array.from(JSON.parse(raw)) : Uint8Array.from(base58Decode(raw));
+  }
+
+  async init() {
+    if (this.connection) return;
+    this.sdk = loadSdk();
+    const { web3 } = this.sdk;
+    this.connection = new web3.Connection(this.rpcUrl, this.commitment);
+    if (this.secretKey || this.keypairPath) {
+      try {
+        this.payer = web3.Keypair.fromSecretKey(this.walletBytes());
+      } catch (e) {
+        this.connection = null;
+        throw new Error(`invalid Solana wallet key: ${e.message}`);
+      }
+    } else if (this.local) {
+      try {
+        this.payer = this.localWallet();
+      } catch (e) {
+        this.connection = null;
+        throw e;
+      }
+    } else {
+      this.connection = null;
+      throw new Error('SOLANA_WALLET_PRIVATE_KEY or SOLANA_KEYPAIR_PATH required for a remote RPC');
+    }
+  }
+
+  // Local validator without a configured wallet: generated once and kept in localKeypairPath
+  // (solana-keygen format), so a launch resumed after a restart still holds its mint's authority
+  localWallet() {
+    const { web3 } = this.sdk;
+    try {
+      return web3.Keypair.fromSecretKey(Uint8Array.from(JSON.parse(fs.readFileSync(this.localKeypairPath, 'utf8'))));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`local wallet ${this.localKeypairPath} unreadable: ${e.message}`);
+    }
+    const payer = web3.Keypair.generate();
+    fs.mkdirSync(path.dirname(this.localKeypairPath), { recursive: true });
+    fs.writeFileSync(this.localKeypairPath, JSON.stringify(Array.from(payer.secretKey)), { mode: 0o600 });
+    console.log(`🔑 Local validator: generated wallet ${payer.publicKey.toBase58()} (${this.localKeypairPath})`);
+    return payer;
+  }
+
+  // Local validator only: tops the wallet up so end-to-end runs need no funded key
+  async ensureFunds() {
+    if (!this.local || !(this.airdropSol > 0)) return;
+    const balance = await this.connection.getBalance(this.payer.publicKey);
+    if (balance >= (this.airdropSol * LAMPORTS_PER_SOL) / 2) return;
+    const sig = await this.connection.requestAirdrop(this.payer.publicKey, Math.round(this.airdropSol * LAMPORTS_PER_SOL));
+    const latest = await this.connection.getLatestBlockhash();
+    await this.connection.confirmTransaction({ signature: sig, ...latest }, this.commitment);
+    console.log(`💧 Airdropped ${this.airdropSol} SOL to ${this.payer.publicKey.toBase58()}`);
+  }
+
+  // The checkpointed mint if it is on chain; otherwise creates it, checkpointing the keypair first.
+  // A retry re-sends the same keypair (from the checkpoint, so also after a restart): a createMint
+  // whose confirmation timed out can't leave a second token behind. The secret is dropped from the
+  // checkpoint once the mint exists; it carries no authority after that.
+  async ensureMint(progress, decimals, save) {
+    const { web3, spl } = this.sdk;
+    if (progress.mint && (await this.connection.getAccountInfo(new web3.PublicKey(progress.mint)))) {
+      if (progress.mintSecret) await save({ mintSecret: null });
+      console.log(`↩️ Resuming SPL token at mint ${progress.mint}`);
+      return new web3.PublicKey(progress.mint);
+    }
+    const keypair = progress.mint && progress.mintSecret
+      ? web3.Keypair.fromSecretKey(Uint8Array.from(base58Decode(progress.mintSecret)))
+      : web3.Keypair.generate();
+    await save({ mint: keypair.publicKey.toBase58(), mintSecret: base58Encode(keypair.secretKey) });
+    // Freeze authority is set so it can be revoked explicitly later, like the mint authority
+    await spl.createMint(this.connection, this.payer, this.payer.publicKey, this.payer.publicKey, decimals, keypair);
+    await save({ mintSecret: null });
+    return keypair.publicKey;
+  }
+
+  // Mints the supply once. The transaction is signed first and its signature checkpointed before it
+  // is sent, so a retry that still sees no supply waits for that signature instead of minting again,
+  // and only re-mints once the earlier transaction failed or its blockhash expired.
+  async mintSupply(mint, account, amount, progress, save) {
+    const { web3, spl } = this.sdk;
+    if (progress.mintSignature && (await this.landed(progress.mintSignature, progress.mintValidUntil))) {
+      return progress.mintSignature;
+    }
+    const latest = await this.connection.getLatestBlockhash(this.commitment);
+    const tx = new web3.Transaction({ feePayer: this.payer.publicKey, ...latest })
+      .add(spl.createMintToInstruction(mint, account, this.payer.publicKey, amount));
+    tx.sign(this.payer);
+    const signature = base58Encode(tx.signature);
+    await save({ mintSignature: signature, mintValidUntil: latest.lastValidBlockHeight });
+    await web3.sendAndConfirmRawTransaction(this.connection, tx.serialize(), { signature, ...latest }, { commitment: this.commitment });
+    return signature;
+  }
+
+  // Whether a sent transaction succeeded. While its blockhash is still valid it may yet land, so this
+  // waits; false once it failed or can no longer land.
+  async landed(signature, lastValidBlockHeight) {
+    for (;;) {
+      const expired = !lastValidBlockHeight || (await this.connection.getBlockHeight(this.commitment)) > lastValidBlockHeight;
+      const { value } = await this.connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+      if (value?.err) return false;
+      if (value && value.confirmationStatus !== 'processed') return true;
+      if (expired && !value) return false;
+      await sleep(1000);
+    }
+  }
+
+  // Metaplex metadata; skipped (with the reason) when the library or on-chain program is missing.
+  // An existing metadata account (written by an earlier attempt) is returned as is.
+  async writeMetadata(mint, { name, symbol, uri }) {
+    let mpl;
+    try {
+      mpl = require(METADATA_PACKAGE);
+    } catch {
+      return { status: 'skipped', reason: `${METADATA_PACKAGE}@2 not installed` };
+    }
+    const { web3 } = this.sdk;
+    const programId = mpl.PROGRAM_ID;
+    const program = await this.connection.getAccountInfo(programId);
+    if (!program?.executable) {
+      return { status: 'skipped', reason: `metadata program ${programId.toBase58()} not deployed on this cluster` };
+    }
+    const [address] = web3.PublicKey.findProgramAddressSync(
+      [Buffer.from('metadata'), programId.toBuffer(), mint.toBuffer()],
+      programId
+    );
+    if (await this.connection.getAccountInfo(address)) return { status: 'created', address: address.toBase58(), uri: uri || null, signature: null };
+    const ix = mpl.createCreateMetadataAccountV3Instruction(
+      { metadata: address, mint, mintAuthority: this.payer.publicKey, payer: this.payer.publicKey, updateAuthority: this.payer.publicKey },
+      {
+        createMetadataAccountArgsV3: {
+          data: { name: name.slice(0, 32), symbol: symbol.slice(0, 10), uri: (uri || '').slice(0, 200), sellerFeeBasisPoints: 0, creators: null, collection: null, uses: null },
+          isMutable: false,
+          collectionDetails: null,
+        },
+      }
+    );
+    const signature = await web3.sendAndConfirmTransaction(this.connection, new web3.Transaction().add(ix), [this.payer]);
+    return { status: 'created', address: address.toBase58(), uri: uri || null, signature };
+  }
+
+  // → { ok, token } | { ok: false, error }, same shape as mockToken()
+  // resume: the last checkpoint of an earlier attempt for the same launch. checkpoint(progress) is
+  // awaited with { mint, mintSecret, mintSignature, mintValidUntil, metadata, spentSol }: before the
+  // mint and the mintTo are sent, after metadata is written and when an attempt fails. The token's
+  // cost includes what earlier attempts spent.
+  async createToken({ name, symbol, uri = null, decimals = this.decimals, supply = this.supply, resume = null, checkpoint = null }) {
+    let progress = { mint: null, spentSol: 0, ...(resume || {}) };
+    const save = async (patch) => {
+      progress = { ...progress, ...patch };
+      if (checkpoint) await checkpoint(progress);
+    };
+    let before = null;
+    try {
+      await this.init();
+      await this.ensureFunds();
+      const { spl } = this.sdk;
+      const conn = this.connection;
+      const payer = this.payer;
+      before = await conn.getBalance(payer.publicKey);
+
+      const mint = await this.ensureMint(progress, decimals, save);
+      let info = await spl.getMint(conn, mint);
+      for (const [kind, authority] of [['mint', info.mintAuthority], ['freeze', info.freezeAuthority]]) {
+        if (authority && !authority.equals(payer.publicKey)) {
+          throw new Error(`${kind} authority of ${mint.toBase58()} is ${authority.toBase58()}, not this wallet (${payer.publicKey.toBase58()})`);
+        }
+      }
+      const account = await spl.getOrCreateAssociatedTokenAccount(conn, payer, mint, payer.publicKey);
+      if (info.supply === 0n) {
+        await this.mintSupply(mint, account.address, BigInt(supply) * 10n ** BigInt(decimals), progress, save);
+      }
+
+      // Metadata needs the mint authority; once that's revoked an earlier attempt got past this
+      let metadata = progress.metadata || null;
+      if (this.metadata && info.mintAuthority) {
+        metadata = await this.writeMetadata(mint, { name, symbol, uri });
+        if (metadata.status === 'skipped') console.warn(`⚠️ Token metadata skipped: ${metadata.reason}`);
+        await save({ metadata });
+      }
+
+      info = await spl.getMint(conn, mint);
+      if (this.revokeMintAuthority && info.mintAuthority) {
+        await spl.setAuthority(conn, payer, mint, payer, spl.AuthorityType.MintTokens, null);
+      }
+      if (this.revokeFreezeAuthority && info.freezeAuthority) {
+        await spl.setAuthority(conn, payer, mint, payer, spl.AuthorityType.FreezeAccount, null);
+      }
+
+      const after = await conn.getBalance(payer.publicKey);
+      const cost = progress.spentSol + Math.max(0, before - after) / LAMPORTS_PER_SOL;
+      const token = {
+        address: mint.toBase58(),
+        name,
+        symbol,
+        supply,
+        decimals,
+        tokenAccount: account.address.toBase58(),
+        signature: progress.mintSignature || null,
+        network: this.rpcUrl,
+        created: new Date().toISOString(),
+        cost,
+        status: 'deployed',
+        authorities: {
+          mint: this.revokeMintAuthority ? null : payer.publicKey.toBase58(),
+          freeze: this.revokeFreezeAuthority ? null : payer.publicKey.toBase58(),
+        },
+        metadata,
+      };
+      console.log(`🪙 SPL token ${symbol} minted: ${token.address} (${supply} @ ${decimals} decimals, ${token.cost.toFixed(5)} SOL)`);
+      return { ok: true, token };
+    } catch (e) {
+      // Keep what this attempt spent, so the launch's cost covers failed attempts too
+      if (before !== null) {
+        try {
+          const after = await this.connection.getBalance(this.payer.publicKey);
+          await save({ spentSol: progress.spentSol + Math.max(0, before - after) / LAMPORTS_PER_SOL });
+        } catch { /* checkpoint is best effort here */ }
+      }
+      return { ok: false, error: `SPL token creation failed: ${e?.message || e}` };
+    }
+  }
+
+  getStatus() {
+    return {
+      rpcUrl: this.rpcUrl,
+      localValidator: this.local,
+      configured: this.configured,
+      wallet: this.payer ? this.payer.publicKey.toBase58() : null,
+      decimals: this.decimals,
+      sdk: this.sdkStatus(),
+      revokeMintAuthority: this.revokeMintAuthority,
+      revokeFreezeAuthority: this.revokeFreezeAuthority,
+    };
+  }
+}
+
+function createSplTokenAdapter(env = process.env) {
+  return new SplTokenAdapter({
+    rpcUrl: env.SOLANA_RPC_URL || DEFAULT_RPC,
+    commitment: env.SOLANA_COMMITMENT || 'confirmed',
+    secretKey: env.SOLANA_WALLET_PRIVATE_KEY || env.SOLANA_PRIVATE_KEY || null,
+    keypairPath: env.SOLANA_KEYPAIR_PATH || null,
+    localKeypairPath: env.SOLANA_LOCAL_KEYPAIR_FILE || DEFAULT_LOCAL_KEYPAIR,
+    airdropSol: Math.max(0, parseFloat(env.SOLANA_AIRDROP_SOL || '2')),
+    decimals: Math.min(9, Math.max(0, parseInt(env.TOKEN_DECIMALS || '9', 10))),
+    supply: Math.max(1, parseInt(env.TOKEN_SUPPLY || '1000000000', 10)),
+    revokeMintAuthority: !/^false$/i.test(env.TOKEN_REVOKE_MINT_AUTHORITY || 'true'),
+    revokeFreezeAuthority: !/^false$/i.test(env.TOKEN_REVOKE_FREEZE_AUTHORITY || 'true'),
+    metadata: !/^false$/i.test(env.TOKEN_METADATA || 'true'),
+  });
+}
+
+module.exports = {
+  SplTokenAdapter,
+  createSplTokenAdapter,
+  mockToken,
+  base58Encode,
+  base58Decode,
+};
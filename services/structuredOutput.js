@@ -0,0 +1,211 @@
+// services/structuredOutput.js
+// Structured (JSON) output for LLM calls: pulls JSON out of fenced or prose-wrapped replies,
+// validates it against a per-task schema, re-prompts once with the validation errors,
+// and keeps parse-failure counts per model.
+
+// ---- Schemas
+// Minimal declarative shape: { type, required?, properties?, items?, min?, max?, enum?, maxLength? }
+const SCHEMAS = {
+  launch: {
+    type: 'object',
+    required: ['confidence', 'shouldLaunch', 'tokenSuggestion'],
+    properties: {
+      confidence: { type: 'number', min: 0, max: 1 },
+      shouldLaunch: { type: 'boolean' },
+      tokenSuggestion: {
+        type: 'object',
+        required: ['name', 'symbol'],
+        properties: {
+          name: { type: 'string', maxLength: 64 },
+          symbol: { type: 'string', maxLength: 16 },
+        },
+      },
+      memeTheme: { type: 'string' },
+      viralScore: { type: 'number', min: 0, max: 1 },
+      reasoning: { type: 'string' },
+    },
+  },
+  sentiment: {
+    type: 'object',
+    required: ['sentiment'],
+    properties: {
+      sentiment: { type: 'number', min: 0, max: 100 },
+      viral: { type: 'number', min: 0, max: 100 },
+      impact: { type: 'number', min: 0, max: 100 },
+      explanation: { type: 'string' },
+    },
+  },
+  sentimentScore: {
+    type: 'object',
+    required: ['score'],
+    properties: {
+      score: { type: 'number', min: 0, max: 100 },
+      explanation: { type: 'string' },
+    },
+  },
+  summary: {
+    type: 'object',
+    required: ['summary', 'signal'],
+    properties: {
+      summary: { type: 'string' },
+      signal: { type: 'string', enum: ['HIGH', 'MEDIUM', 'LOW'] },
+      keywords: { type: 'array', items: { type: 'string' } },
+    },
+  },
+};
+
+// ---- Stats (per model)
+const stats = {};
+
+function bump(model, key) {
+  const s = (stats[model] = stats[model] || { calls: 0, parseFailures: 0, repaired: 0, invalid: 0 });
+  s[key]++;
+}
+
+function getStats() {
+  return JSON.parse(JSON.stringify(stats));
+}
+
+// ---- Extraction
+// Accepts raw JSON, ```json fenced blocks, or JSON embedded in prose ("Sure! Here it is: {...}").
+function extractJson(text) {
+  const src = String(text || '').trim();
+  if (!src) return undefined;
+
+  const candidates = [src];
+  const fence = src.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) candidates.unshift(fence[1].trim());
+
+  for (const c of candidates) {
+    try { return JSON.parse(c); } catch { /* keep looking */ }
+  }
+
+  // First balanced {...} or [...] block, string-aware
+  for (let start = 0; start < src.length; start++) {
+    const open = src[start];
+    if (open !== '{' && open !== '[') continue;
+    const close = open === '{' ? '}' : ']';
+    let depth = 0;
+    let inStr = false;
+    for (let i = start; i < src.length; i++) {
+      const ch = src[i];
+      if (inStr) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inStr = false;
+        continue;
+      }
+      if (ch === '"') inStr = true;
+      else if (ch === open) depth++;
+      else if (ch === close && --depth === 0) {
+        try { return JSON.parse(src.slice(start, i + 1)); } catch { break; }
+      }
+    }
+  }
+  return undefined;
+}
+
+// ---- Validation
+// Returns { value, errors }. Numeric and boolean strings are coerced ("0.8" → 0.8, "true" → true).
+function validate(value, schema, at = '$') {
+  const errors = [];
+  let v = value;
+
+  switch (schema.type) {
+    case 'number':
+      if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) v = Number(v);
+      if (typeof v !== 'number' || !Number.isFinite(v)) errors.push(`${at} must be a number`);
+      else {
+        if (schema.min !== undefined && v < schema.min) errors.push(`${at} must be >= ${schema.min}`);
+        if (schema.max !== undefined && v > schema.max) errors.push(`${at} must be <= ${schema.max}`);
+      }
+      break;
+    case 'boolean':
+      if (v === 'true' || v === 'false') v = v === 'true';
+      if (typeof v !== 'boolean') errors.push(`${at} must be a boolean`);
+      break;
+    case 'string':
+      if (typeof v !== 'string') errors.push(`${at} must be a string`);
+      else {
+        if (schema.enum && !schema.enum.includes(v)) errors.push(`${at} must be one of ${schema.enum.join(', ')}`);
+        if (schema.maxLength && v.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(v)) errors.push(`${at} must be an array`);
+      else if (schema.items) {
+        v = v.map((item, i) => {
+          const r = validate(item, schema.items, `${at}[${i}]`);
+          errors.push(...r.errors);
+          return r.value;
+        });
+      }
+      break;
+    case 'object':
+      if (!v || typeof v !== 'object' || Array.isArray(v)) {
+        errors.push(`${at} must be an object`);
+        break;
+      }
+      v = { ...v };
+      for (const key of schema.required || []) {
+        if (v[key] === undefined || v[key] === null) errors.push(`${at}.${key} is required`);
+      }
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        if (v[key] === undefined || v[key] === null) continue;
+        const r = validate(v[key], sub, `${at}.${key}`);
+        errors.push(...r.errors);
+        v[key] = r.value;
+      }
+      break;
+    default:
+      break;
+  }
+  return { value: v, errors };
+}
+
+function parseAndValidate(text, schema) {
+  const json = extractJson(text);
+  if (json === undefined) return { value: null, errors: ['reply contained no JSON'] };
+  return validate(json, schema);
+}
+
+// ---- Request
+// chat(model, system, user, { signal }) → string. Resolves to the validated object or throws
+// (err.code = 'SCHEMA_INVALID') when the repair prompt also comes back invalid.
+async function request({ chat, model, system, user, schema, signal }) {
+  const shape = typeof schema === 'string' ? SCHEMAS[schema] : schema;
+  if (!shape) throw new Error(`Unknown output schema: ${schema}`);
+
+  bump(model, 'calls');
+  const first = await chat(model, system, user, { signal });
+  const r1 = parseAndValidate(first, shape);
+  if (!r1.errors.length) return r1.value;
+
+  bump(model, 'parseFailures');
+  const repairPrompt = `${user}
+
+Your previous reply was:
+${String(first).slice(0, 2000)}
+
+It was rejected: ${r1.errors.join('; ')}.
+Reply again with ONLY the corrected JSON object, no prose and no code fences.`;
+
+  const second = await chat(model, system, repairPrompt, { signal });
+  const r2 = parseAndValidate(second, shape);
+  if (!r2.errors.length) {
+    bump(model, 'repaired');
+    return r2.value;
+  }
+
+  bump(model, 'invalid');
+  const err = new Error(`${model} returned invalid ${typeof schema === 'string' ? schema : 'structured'} output: ${r2.errors.join('; ')}`);
+  err.code = 'SCHEMA_INVALID';
+  throw err;
+}
+
+module.exports = {
+  SCHEMAS,
+  extractJson,
+  validate,
+  request,
+  getStats,
+};
@@ -0,0 +1,71 @@
+// services/tweetBuffer.js
+// Recent tweets for the API, newest first, indexed by id so a tweet seen twice is buffered once.
+// An edited version (new id whose editHistory names a buffered tweet) is merged into the original
+// object and re-keyed under the new id, so references held elsewhere (velocity tracking, a pending
+// launch) stay valid and the velocity curve and last analysis carry over; deleted tweets stay in,
+// flagged. Emits:
+//   'tweet'  (tweet)               a tweet not seen before
+//   'edited' (tweet, originalId)
+
+const EventEmitter = require('events');
+const { compareIds } = require('./tweetIds');
+
+class TweetBuffer extends EventEmitter {
+  constructor({ max = 300 } = {}) {
+    super();
+    this.max = max;
+    this.tweets = []; // newest first
+    this.index = new Map(); // id -> buffered tweet
+  }
+
+  get size() {
+    return this.tweets.length;
+  }
+
+  get(id) {
+    return this.index.get(id) || null;
+  }
+
+  recent(limit = 20) {
+    return this.tweets.slice(0, limit);
+  }
+
+  // Returns the tweets not seen before. Edits are not returned, so an edit doesn't trigger a
+  // second analysis.
+  push(list) {
+    if (!Array.isArray(list) || !list.length) return [];
+    const added = [];
+    // oldest first, so the newest ends up on top
+    for (const t of [...list].sort((a, b) => compareIds(a.id, b.id))) {
+      if (this.index.has(t.id)) continue;
+
+      const originalId = (t.editHistory || []).find(id => this.index.has(id));
+      if (originalId) {
+        // fresh tweets carry no velocity / lastAnalysis, so the original's are kept
+        const original = Object.assign(this.index.get(originalId), t, { edited: true });
+        this.index.delete(originalId);
+        this.index.set(t.id, original);
+        console.log(`✏️ @${t.author} edited ${originalId} → ${t.id}`);
+        this.emit('edited', original, originalId);
+        continue;
+      }
+
+      this.tweets.unshift(t);
+      this.index.set(t.id, t);
+      added.push(t);
+      this.emit('tweet', t);
+    }
+    while (this.tweets.length > this.max) this.index.delete(this.tweets.pop().id);
+    return added;
+  }
+
+  markDeleted(ids) {
+    const at = new Date().toISOString();
+    for (const id of ids) {
+      const t = this.index.get(id);
+      if (t && !t.deleted) Object.assign(t, { deleted: true, deletedAt: at });
+    }
+  }
+}
+
+module.exports = TweetBuffer;
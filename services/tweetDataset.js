@@ -0,0 +1,151 @@
+// services/tweetDataset.js
+// Recorded tweet datasets for offline simulation and backtests. A dataset is a JSON file (an array,
+// or { "tweets": [...] }) or NDJSON (one tweet per line). Records may be normalized tweets — what
+// the monitor emits and DatasetRecorder writes — or raw provider tweets, which go through
+// normalizeTweets. Tweets come back in original timestamp order; records without a usable
+// timestamp are skipped so a replay never depends on the time it runs.
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeTweets } = require('./tweetSources');
+const { compareIds } = require('./tweetIds');
+
+const DATASET_DIR = path.join(__dirname, '..', 'data', 'datasets');
+const RUNTIME_FIELDS = ['velocity', 'lastAnalysis', 'deleted', 'deletedAt', 'edited'];
+
+const timeOf = (t) => new Date(t.created_at).getTime();
+
+// Oldest first; same-second tweets by id
+function sortChronological(tweets) {
+  return tweets.sort((a, b) => (timeOf(a) - timeOf(b)) || compareIds(a.id, b.id));
+}
+
+function hasTimestamp(r) {
+  const at = r?.created_at ?? r?.createdAt;
+  return at !== undefined && at !== null && at !== '' && Number.isFinite(new Date(at).getTime());
+}
+
+// Normalized records (string author + created_at) are kept as they are, with missing fields filled
+function normalizeRecord(r) {
+  if (typeof r?.author === 'string' && r.created_at !== undefined && r.id !== undefined) {
+    const id = String(r.id);
+    return {
+      ...r,
+      id,
+      created_at: new Date(r.created_at).toISOString(),
+      url: r.url || `https://x.com/${r.author}/status/${id}`,
+      editHistory: r.editHistory || [],
+      metrics: r.metrics || {},
+      media: r.media || [],
+      hashtags: r.hashtags || [],
+      cashtags: r.cashtags || [],
+      mentions: r.mentions || [],
+    };
+  }
+  return normalizeTweets([r])[0] || null;
+}
+
+function parseRecords(raw, file) {
+  const trimmed = raw.trim();
+  if (!trimmed) return [];
+  if (!/\.(ndjson|jsonl)$/i.test(file)) {
+    try {
+      const obj = JSON.parse(trimmed);
+      if (Array.isArray(obj)) return obj;
+      if (Array.isArray(obj?.tweets)) return obj.tweets;
+      return [obj];
+    } catch (e) {
+      if (/\.json$/i.test(file)) throw new Error(`${path.basename(file)}: ${e.message}`);
+    }
+  }
+  const records = [];
+  trimmed.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (e) {
+      throw new Error(`${path.basename(file)}:${i + 1}: ${e.message}`);
+    }
+  });
+  return records;
+}
+
+// → { tweets (oldest first, deduped by id), files, skipped }
+function loadDataset(files) {
+  const list = (Array.isArray(files) ? files : [files]).filter(Boolean);
+  const byId = new Map();
+  let skipped = 0;
+  for (const file of list) {
+    for (const r of parseRecords(fs.readFileSync(file, 'utf8'), file)) {
+      const t = hasTimestamp(r) ? normalizeRecord(r) : null;
+      if (!t?.id) {
+        skipped++;
+        continue;
+      }
+      byId.set(t.id, t);
+    }
+  }
+  return { tweets: sortChronological([...byId.values()]), files: list, skipped };
+}
+
+// Dataset names from the API resolve inside data/datasets only
+function resolveDatasetPath(name, dir = DATASET_DIR) {
+  if (!name) return null;
+  const file = path.resolve(dir, String(name));
+  const rel = path.relative(dir, file);
+  return !rel || rel.startsWith('..') || path.isAbsolute(rel) ? null : file;
+}
+
+function listDatasets(dir = DATASET_DIR) {
+  try {
+    return fs.readdirSync(dir)
+      .filter(f => /\.(json|ndjson|jsonl)$/i.test(f))
+      .map(f => {
+        const st = fs.statSync(path.join(dir, f));
+        return { name: f, bytes: st.size, modified: st.mtime.toISOString() };
+      });
+  } catch {
+    return [];
+  }
+}
+
+// Appends monitor output to an NDJSON file that loadDataset can replay later.
+class DatasetRecorder {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.recorded = 0;
+    this.lastError = null;
+    this.queue = Promise.resolve(); // keeps appends in arrival order
+  }
+
+  // Serialized right away: the live tweet objects pick up runtime fields (velocity, analyses) later
+  record(tweets, extra = {}) {
+    if (!tweets?.length) return;
+    const lines = tweets.map(t => {
+      const copy = { ...t, ...extra };
+      for (const f of RUNTIME_FIELDS) delete copy[f];
+      return JSON.stringify(copy);
+    }).join('\n') + '\n';
+    this.queue = this.queue
+      .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+      .then(() => fs.promises.appendFile(this.filePath, lines))
+      .then(() => { this.recorded += tweets.length; })
+      .catch(e => {
+        this.lastError = e.message;
+        console.error(`Failed to record tweets to ${this.filePath}:`, e.message);
+      });
+  }
+
+  getStatus() {
+    return { file: this.filePath, recorded: this.recorded, lastError: this.lastError };
+  }
+}
+
+module.exports = {
+  DATASET_DIR,
+  loadDataset,
+  resolveDatasetPath,
+  listDatasets,
+  sortChronological,
+  DatasetRecorder,
+};
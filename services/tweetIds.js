@@ -0,0 +1,51 @@
+// services/tweetIds.js
+// Tweet (snowflake) id helpers. Ids are 64-bit integers carried as strings; comparing them as
+// strings misorders ids of different lengths ("999" > "1000") and Number() loses precision past
+// 2^53, so ordering goes through BigInt. Cases that used to go wrong: data/fixtures/tweetIds.json
+// (replayed by test/tweetIds.test.js)
+
+const ID_RE = /^\d+$/;
+
+function toBigInt(id) {
+  const s = String(id ?? '').trim();
+  return ID_RE.test(s) ? BigInt(s) : null;
+}
+
+// <0, 0, >0 like a sort comparator; non-numeric ids sort before numeric ones, then as strings.
+function compareIds(a, b) {
+  const x = toBigInt(a);
+  const y = toBigInt(b);
+  if (x !== null && y !== null) return x < y ? -1 : x > y ? 1 : 0;
+  if (x === null && y === null) return String(a).localeCompare(String(b));
+  return x === null ? -1 : 1;
+}
+
+function isNewer(id, than) {
+  if (than === undefined || than === null || than === '') return true;
+  return compareIds(id, than) > 0;
+}
+
+function maxId(ids) {
+  let best = null;
+  for (const id of ids) if (best === null || compareIds(id, best) > 0) best = String(id);
+  return best;
+}
+
+function minId(ids) {
+  let best = null;
+  for (const id of ids) if (best === null || compareIds(id, best) < 0) best = String(id);
+  return best;
+}
+
+// Newest first (in place), matching how timelines are returned.
+function sortNewestFirst(tweets) {
+  return tweets.sort((a, b) => compareIds(b.id, a.id));
+}
+
+module.exports = {
+  compareIds,
+  isNewer,
+  maxId,
+  minId,
+  sortNewestFirst,
+};
@@ -0,0 +1,424 @@
+// services/tweetSources.js
+// Tweet source providers behind one interface — fetchUserTweets(handle, { userId }) → normalized
+// tweets, newest first, lookupUser(handle) → user id and, where the provider has a batch lookup,
+// fetchTweetsByIds(ids) → normalized tweets with current metrics — plus a TweetSourceChain that falls
+// through to the next provider when one answers 402/429, and sidelines a provider after repeated
+// 402/429s. Providers that can fetch by user id do so when one is given, so renames don't matter.
+// Errors keep the axios shape (e.response.status) whatever the underlying client.
+// Normalized tweets carry engagement metrics, media, hashtags/cashtags/mentions and the
+// quoted / replied-to / retweeted tweet, whichever provider shape (TwitterAPI.io camelCase,
+// v1.1-style snake_case from RapidAPI, X API v2 with includes) they came from.
+
+const axios = require('axios');
+const { compareIds } = require('./tweetIds');
+
+// ---- Helpers
+// Ids of earlier versions of an edited tweet, oldest first ([] when never edited)
+function editHistory(t, id) {
+  const ids = t.edit_history_tweet_ids || t.editHistoryTweetIds || [];
+  return ids.map(String).filter(x => x !== id).sort(compareIds);
+}
+
+// First value that is a finite number, else 0
+function num(...vals) {
+  for (const v of vals) {
+    if (v !== undefined && v !== null && v !== '' && Number.isFinite(Number(v))) return Number(v);
+  }
+  return 0;
+}
+
+const uniq = (arr) => [...new Set(arr.filter(Boolean))];
+
+function metricsOf(t) {
+  const pm = t.public_metrics || {};
+  return {
+    likes: num(t.likeCount, t.favorite_count, pm.like_count),
+    retweets: num(t.retweetCount, t.retweet_count, pm.retweet_count),
+    replies: num(t.replyCount, t.reply_count, pm.reply_count),
+    quotes: num(t.quoteCount, t.quote_count, pm.quote_count),
+    views: num(t.viewCount, t.views?.count, pm.impression_count),
+    bookmarks: num(t.bookmarkCount, t.bookmark_count, pm.bookmark_count),
+  };
+}
+
+function mediaOf(t) {
+  const list = t.extendedEntities?.media || t.extended_entities?.media || t.entities?.media || t.media || [];
+  return list
+    .map(m => ({ type: m.type || 'photo', url: m.media_url_https || m.media_url || m.url || m.preview_image_url || null }))
+    .filter(m => m.url);
+}
+
+// From provider entities when present, otherwise parsed out of the text
+function entitiesOf(t, text) {
+  const e = t.entities || {};
+  const pick = (list, ...keys) => (list || []).map(x => keys.map(k => x?.[k]).find(Boolean));
+  const scan = (re) => [...text.matchAll(re)].map(m => m[1]);
+  return {
+    hashtags: uniq(e.hashtags ? pick(e.hashtags, 'text', 'tag') : scan(/(?:^|[^\w&])#(\w+)/g)),
+    cashtags: uniq((e.symbols || e.cashtags) ? pick(e.symbols || e.cashtags, 'text', 'tag') : scan(/(?:^|[^\w])\$([A-Za-z][A-Za-z0-9_]{0,9})\b/g))
+      .map(s => s.toUpperCase()),
+    mentions: uniq((e.user_mentions || e.mentions) ? pick(e.user_mentions || e.mentions, 'screen_name', 'username') : scan(/(?:^|[^\w])@(\w{1,15})/g)),
+  };
+}
+
+// Referenced tweet, one level deep
+function refOf(r) {
+  if (!r) return null;
+  return {
+    id: String(r.id ?? r.id_str ?? ''),
+    author: r.author?.userName || r.user?.screen_name || r.author_username || null,
+    text: r.text || r.full_text || null,
+  };
+}
+
+// `author` defaults to the handle carried by each raw tweet (lookups by id span several users)
+function normalizeTweets(raw, author) {
+  return (raw || []).map(t => {
+    const id = String(t.id ?? t.id_str ?? '');
+    const text = t.text || t.full_text || '';
+    const replyId = t.inReplyToId || t.in_reply_to_status_id_str || t.replied_tweet?.id || null;
+    const by = author || refOf(t).author || 'unknown';
+    return {
+      id,
+      text,
+      created_at: t.createdAt || t.created_at || new Date().toISOString(),
+      author: by,
+      url: t.url || `https://x.com/${by}/status/${id}`,
+      editHistory: editHistory(t, id),
+      metrics: metricsOf(t),
+      media: mediaOf(t),
+      ...entitiesOf(t, text),
+      isReply: !!(t.isReply || replyId),
+      repliedTo: replyId ? {
+        id: String(replyId),
+        author: t.inReplyToUsername || t.in_reply_to_screen_name || t.replied_tweet?.author_username || null,
+        text: t.replied_tweet?.text || null,
+      } : null,
+      quoted: refOf(t.quoted_tweet || t.quoted_status),
+      retweetOf: refOf(t.retweeted_tweet || t.retweeted_status),
+    };
+  }).filter(t => t.id);
+}
+
+// The part of a normalized tweet analysis cares about beyond text/author
+function tweetMetadata(t = {}) {
+  return {
+    id: t.id || null,
+    url: t.url || null,
+    created_at: t.created_at || null,
+    metrics: t.metrics || null,
+    media: t.media || [],
+    hashtags: t.hashtags || [],
+    cashtags: t.cashtags || [],
+    mentions: t.mentions || [],
+    isReply: !!t.isReply,
+    repliedTo: t.repliedTo || null,
+    quoted: t.quoted || null,
+    retweetOf: t.retweetOf || null,
+  };
+}
+
+const statusOf = (e) => e?.response?.status;
+const isQuotaError = (e) => statusOf(e) === 402 || statusOf(e) === 429;
+
+function notFound(handle) {
+  const err = new Error(`@${handle} not found`);
+  err.response = { status: 404 };
+  return err;
+}
+
+// ---- TwitterAPI.io
+class TwitterApiIoSource {
+  constructor({ apiKey, baseURL = 'https://api.twitterapi.io', costPerRequest = 0.003, timeout = 12000 } = {}) {
+    this.name = 'twitterapi.io';
+    this.costPerRequest = costPerRequest;
+    this.configured = !!apiKey;
+    this.http = axios.create({ baseURL, headers: { 'X-API-Key': apiKey || '' }, timeout });
+  }
+
+  async fetchUserTweets(handle, { userId } = {}) {
+    const params = userId ? { userId, includeReplies: false } : { userName: handle, includeReplies: false };
+    const res = await this.http.get('/twitter/user/last_tweets', { params });
+    return normalizeTweets(res?.data?.tweets || [], handle);
+  }
+
+  async fetchTweetsByIds(ids) {
+    const res = await this.http.get('/twitter/tweets', { params: { tweet_ids: ids.join(',') } });
+    return normalizeTweets(res?.data?.tweets || []);
+  }
+
+  async lookupUser(handle) {
+    const res = await this.http.get('/twitter/user/info', { params: { userName: handle } });
+    const id = res?.data?.data?.id;
+    if (!id) throw notFound(handle);
+    return String(id);
+  }
+}
+
+// ---- RapidAPI (twttr-api)
+class RapidApiSource {
+  constructor({ apiKey, host = 'twttr-api.p.rapidapi.com', costPerRequest = 0.001, timeout = 15000 } = {}) {
+    this.name = 'rapidapi';
+    this.costPerRequest = costPerRequest;
+    this.configured = !!apiKey;
+    this.http = axios.create({
+      baseURL: `https://${host}`,
+      headers: { 'X-RapidAPI-Key': apiKey || '', 'X-RapidAPI-Host': host },
+      timeout,
+    });
+  }
+
+  // by handle only
+  async fetchUserTweets(handle) {
+    const res = await this.http.get('/v2/user/tweets', { params: { username: handle, count: 20 } });
+    return normalizeTweets(res?.data?.data || [], handle);
+  }
+
+  async lookupUser(handle) {
+    const res = await this.http.get('/v2/user/by/username', { params: { username: handle } });
+    const u = res?.data?.data || res?.data || {};
+    const id = u.id_str || u.rest_id || u.id;
+    if (!id) throw notFound(handle);
+    return String(id);
+  }
+}
+
+// ---- Official X API v2 (twitter-api-v2, app-only bearer token)
+class OfficialXSource {
+  constructor({ bearerToken, costPerRequest = 0.013 } = {}) {
+    this.name = 'official';
+    this.costPerRequest = costPerRequest;
+    this.configured = !!bearerToken;
+    this.bearerToken = bearerToken;
+    this.client = null;
+    this.userIds = {}; // handle -> user id; saves a lookup per poll
+  }
+
+  api() {
+    if (!this.client) {
+      const { TwitterApi } = require('twitter-api-v2');
+      this.client = new TwitterApi(this.bearerToken).readOnly.v2;
+    }
+    return this.client;
+  }
+
+  // twitter-api-v2 errors carry the HTTP status in `code`
+  wrap(e) {
+    if (typeof e?.code !== 'number') return e;
+    const err = new Error(e.message);
+    err.response = { status: e.code, data: e.data };
+    return err;
+  }
+
+  async lookupUser(handle) {
+    const key = handle.toLowerCase();
+    if (this.userIds[key]) return this.userIds[key];
+    try {
+      const user = await this.api().userByUsername(handle);
+      if (!user?.data?.id) throw notFound(handle);
+      this.userIds[key] = user.data.id;
+      return user.data.id;
+    } catch (e) {
+      throw this.wrap(e);
+    }
+  }
+
+  // Inlines media and referenced tweets from the v2 `includes` block
+  withIncludes(tweet, includes) {
+    const refs = tweet.referenced_tweets || [];
+    const ref = (type) => {
+      const r = refs.find(x => x.type === type);
+      if (!r) return null;
+      const rt = includes.tweets.find(x => x.id === r.id) || { id: r.id };
+      return { ...rt, author_username: includes.users.find(u => u.id === rt.author_id)?.username };
+    };
+    return {
+      ...tweet,
+      media: includes.medias(tweet),
+      quoted_tweet: ref('quoted'),
+      retweeted_tweet: ref('retweeted'),
+      replied_tweet: ref('replied_to'),
+    };
+  }
+
+  async fetchTweetsByIds(ids) {
+    try {
+      const { TwitterV2IncludesHelper } = require('twitter-api-v2');
+      const res = await this.api().tweets(ids, {
+        'tweet.fields': ['created_at', 'public_metrics', 'entities', 'referenced_tweets', 'attachments'],
+        expansions: ['author_id', 'attachments.media_keys', 'referenced_tweets.id', 'referenced_tweets.id.author_id'],
+        'media.fields': ['type', 'url', 'preview_image_url'],
+        'user.fields': ['username'],
+      });
+      const includes = new TwitterV2IncludesHelper(res);
+      return normalizeTweets((res?.data || []).map(t => ({
+        ...this.withIncludes(t, includes),
+        author_username: includes.users.find(u => u.id === t.author_id)?.username,
+      })));
+    } catch (e) {
+      throw this.wrap(e);
+    }
+  }
+
+  async fetchUserTweets(handle, { userId } = {}) {
+    try {
+      const id = userId || await this.lookupUser(handle);
+      const timeline = await this.api().userTimeline(id, {
+        max_results: 20,
+        exclude: ['replies'],
+        'tweet.fields': ['created_at', 'edit_history_tweet_ids', 'public_metrics', 'entities', 'referenced_tweets', 'attachments'],
+        expansions: ['attachments.media_keys', 'referenced_tweets.id', 'referenced_tweets.id.author_id'],
+        'media.fields': ['type', 'url', 'preview_image_url'],
+        'user.fields': ['username'],
+      });
+      return normalizeTweets((timeline?.tweets || []).map(t => this.withIncludes(t, timeline.includes)), handle);
+    } catch (e) {
+      throw this.wrap(e);
+    }
+  }
+}
+
+const SOURCE_TYPES = {
+  'twitterapi.io': TwitterApiIoSource,
+  rapidapi: RapidApiSource,
+  official: OfficialXSource,
+};
+
+// ---- Chain
+class TweetSourceChain {
+  constructor({ sources = [], failoverThreshold = 3, cooldownMs = 30 * 60_000, onResponse = () => {} } = {}) {
+    this.sources = sources.filter(s => s.configured);
+    this.failoverThreshold = failoverThreshold;
+    this.cooldownMs = cooldownMs;
+    this.onResponse = onResponse; // (source) after every answered request — billing hook
+    this.health = {}; // name -> { strikes, sidelinedUntil, requests, failures, lastError }
+    for (const s of this.sources) {
+      this.health[s.name] = { strikes: 0, sidelinedUntil: 0, requests: 0, failures: 0, lastError: null };
+    }
+  }
+
+  get configured() {
+    return this.sources.length > 0;
+  }
+
+  // Providers in try order: healthy ones first, sidelined ones only as a last resort.
+  ordered() {
+    const now = Date.now();
+    const healthy = this.sources.filter(s => this.health[s.name].sidelinedUntil <= now);
+    const sidelined = this.sources.filter(s => this.health[s.name].sidelinedUntil > now);
+    return [...healthy, ...sidelined];
+  }
+
+  active() {
+    return this.ordered()[0] || null;
+  }
+
+  fetchUserTweets(handle, opts = {}) {
+    return this.call('fetchUserTweets', handle, opts);
+  }
+
+  lookupUser(handle) {
+    return this.call('lookupUser', handle);
+  }
+
+  fetchTweetsByIds(ids) {
+    return this.call('fetchTweetsByIds', ids);
+  }
+
+  // Providers without `method` are skipped.
+  async call(method, ...args) {
+    const candidates = this.ordered().filter(s => typeof s[method] === 'function');
+    if (!candidates.length) throw new Error(this.configured ? `no tweet source supports ${method}` : 'no tweet source configured');
+    let lastError;
+    for (const source of candidates) {
+      const h = this.health[source.name];
+      h.requests++;
+      try {
+        const out = await source[method](...args);
+        h.strikes = 0;
+        this.onResponse(source);
+        return out;
+      } catch (e) {
+        h.failures++;
+        h.lastError = e?.message || String(e);
+        if (!isQuotaError(e)) throw e; // 404s, network errors etc. are not the provider's quota
+        lastError = e;
+        if (++h.strikes >= this.failoverThreshold && h.sidelinedUntil <= Date.now()) {
+          h.sidelinedUntil = Date.now() + this.cooldownMs;
+          console.warn(`🔀 Tweet source ${source.name} returned ${statusOf(e)} ${h.strikes}x — falling back until ${new Date(h.sidelinedUntil).toISOString()}`);
+        }
+      }
+    }
+    throw lastError; // every provider is out of quota
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      active: this.active()?.name || null,
+      order: this.sources.map(s => s.name),
+      providers: Object.fromEntries(this.sources.map(s => {
+        const h = this.health[s.name];
+        return [s.name, {
+          strikes: h.strikes,
+          requests: h.requests,
+          failures: h.failures,
+          lastError: h.lastError,
+          sidelinedUntil: h.sidelinedUntil > now ? new Date(h.sidelinedUntil).toISOString() : null,
+        }];
+      })),
+    };
+  }
+}
+
+// Builds the chain from env. TWEET_SOURCES picks and orders providers
+// (default: every configured one, in the order twitterapi.io, rapidapi, official).
+function createTweetSources(env = process.env, { onResponse } = {}) {
+  const options = {
+    'twitterapi.io': {
+      apiKey: env.TWITTERAPI_IO_KEY || env.TWITTER_API_KEY,
+      baseURL: env.TWITTERAPI_IO_HOST || undefined,
+      costPerRequest: Math.max(0, parseFloat(env.TWITTER_COST_PER_REQUEST || '0.003')),
+    },
+    rapidapi: {
+      apiKey: env.RAPIDAPI_KEY,
+      host: env.RAPIDAPI_HOST || undefined,
+      costPerRequest: Math.max(0, parseFloat(env.RAPIDAPI_COST_PER_REQUEST || '0.001')),
+    },
+    official: {
+      bearerToken: env.TWITTER_BEARER_TOKEN,
+      costPerRequest: Math.max(0, parseFloat(env.X_API_COST_PER_REQUEST || '0.013')),
+    },
+  };
+
+  const names = (env.TWEET_SOURCES || Object.keys(SOURCE_TYPES).join(','))
+    .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  const sources = [];
+  for (const name of names) {
+    const Type = SOURCE_TYPES[name];
+    if (!Type) {
+      console.warn(`⚠️ Unknown tweet source "${name}" (expected ${Object.keys(SOURCE_TYPES).join(', ')})`);
+      continue;
+    }
+    const source = new Type(options[name]);
+    if (!source.configured && env.TWEET_SOURCES) console.warn(`⚠️ Tweet source ${name} selected but not configured`);
+    sources.push(source);
+  }
+
+  return new TweetSourceChain({
+    sources,
+    failoverThreshold: Math.max(1, parseInt(env.TWEET_SOURCE_FAILOVER_THRESHOLD || '3', 10)),
+    cooldownMs: Math.max(60_000, parseInt(env.TWEET_SOURCE_COOLDOWN_MS || '1800000', 10)),
+    onResponse,
+  });
+}
+
+module.exports = {
+  normalizeTweets,
+  tweetMetadata,
+  TwitterApiIoSource,
+  RapidApiSource,
+  OfficialXSource,
+  TweetSourceChain,
+  createTweetSources,
+};
@@ -1,233 +1,352 @@
 // services/twitterMonitor.js
-// TwitterAPI.io monitor with Priority/Base tiers, Burst-on-Activity, Credit Guard, Quiet logs.
-
-const axios = require('axios');
-
-// ---- ENV (with guardrails)
-const API_KEY = process.env.TWITTER_API_KEY || '';
-
-const PRIORITY = (process.env.PRIORITY_ACCOUNTS || '')
-  .split(',').map(s => s.trim()).filter(Boolean).slice(0, 3); // cap: 3
-const BASE = (process.env.TWITTER_ACCOUNTS || '')
-  .split(',').map(s => s.trim()).filter(Boolean)
-  .filter(h => !PRIORITY.includes(h)).slice(0, 5 - PRIORITY.length); // total cap: 5
-
-// intervals (ms)
-const PRIORITY_INTERVAL = Math.max(60_000, parseInt(process.env.PRIORITY_INTERVAL_MS || '60000', 10)); // >= 60s
-const BASE_INTERVAL     = Math.max(600_000, parseInt(process.env.BASE_INTERVAL_MS || '600000', 10));   // >= 10m
-const GAP_MS            = Math.max(10_000,  parseInt(process.env.PER_REQUEST_GAP_MS || '15000', 10));  // >= 10s
-const BURST_WINDOW_MS   = Math.max(300_000, parseInt(process.env.BURST_WINDOW_MS || '600000', 10));     // default 10m
-const CREDIT_SUSPEND_THRESHOLD = Math.max(0, parseInt(process.env.CREDIT_SUSPEND_THRESHOLD || '2000', 10)); // heuristic only
-const SUSPEND_COOLDOWN_MS = Math.max(15 * 60_000, parseInt(process.env.SUSPEND_COOLDOWN_MS || '1800000', 10)); // default 30m
-const DEBUG = /^true$/i.test(process.env.DEBUG_LOGS || 'false');
-
-if (!API_KEY) console.error('❌ Missing TWITTER_API_KEY');
-if (PRIORITY.length + BASE.length === 0) console.error('❌ No accounts configured');
-
-// ---- HTTP client
-const http = axios.create({
-  baseURL: 'https://api.twitterapi.io',
-  headers: { 'X-API-Key': API_KEY },
-  timeout: 12000,
-});
-
-// ---- State
-const lastSeenByHandle = {};  // handle -> last tweet id (string)
-const tweetsBuffer = [];      // newest-first for UI
-const MAX_TWEETS = 300;
-
-let priorityTimer = null;
-let baseTimer = null;
-const burstTimers = new Map();   // handle -> interval timer
-const burstUntil = {};           // handle -> epoch ms
-let suspendedUntil = 0;          // epoch ms when polling may resume
-let lastPollAtPriority = null;
-let lastPollAtBase = null;
-let isMonitoring = false;
+// Tweet monitor engine with Priority/Base tiers, Burst-on-Activity, Credit Guard, Quiet logs.
+// Instantiable with its own account lists and intervals; accounts can be swapped at runtime with
+// setAccounts(). Handles with an entry in `intervals` are polled on their own timer instead of
+// their tier's. With resolveUserId(handle) → id, per-account state is keyed by the stable user id
+// and timelines are fetched by id, so a handle rename doesn't reset or break tracking.
+// Consumers subscribe to events:
+//   'tweets'      (fresh[], { handle, tier })   tier: priority | base | burst
+//   'suspended'   ({ handle, until })           402 — all polling paused for suspendCooldownMs
+//   'rateLimited' ({ handle, until })           429 — that handle is skipped until `until`
+//   'burst'       ({ handle, active, until })
+//   'deleted'     (ids[], { handle })           tweets seen earlier that vanished from the timeline
+
+const EventEmitter = require('events');
+const { isNewer, minId, sortNewestFirst } = require('./tweetIds');
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
-const dlog = (...a) => { if (DEBUG) console.log(...a); };
-
-// ---- Helpers
-function mapTweets(raw, author) {
-  return (raw || []).map(t => ({
-    id: String(t.id ?? t.id_str ?? ''),
-    text: t.text || '',
-    created_at: t.createdAt || t.created_at || new Date().toISOString(),
-    author,
-    url: t.url || `https://x.com/${author}/status/${t.id}`,
-  })).filter(t => t.id);
-}
 
-function pushTweets(list) {
-  if (!Array.isArray(list) || !list.length) return;
-  list.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-  for (const t of list) {
-    if (!tweetsBuffer.find(x => x.id === t.id)) {
-      tweetsBuffer.unshift({
-        id: t.id, author: t.author, text: t.text,
-        created_at: t.created_at, url: t.url
-      });
-    }
+class TwitterMonitor extends EventEmitter {
+  // fetchTimeline(handle, { userId }) → normalized tweets, newest first; throws axios-style errors
+  // (e.response.status). resolveUserId(handle) → user id or null (optional).
+  constructor({
+    fetchTimeline,
+    resolveUserId = null,
+    priority = [],
+    base = [],
+    intervals = {},
+    priorityIntervalMs = 60_000,
+    baseIntervalMs = 600_000,
+    gapMs = 10_000,
+    burstWindowMs = 300_000,
+    suspendCooldownMs = 30 * 60_000,
+    rateLimitBackoffMs = baseIntervalMs,
+    intervalMultiplier = () => 1,
+    debug = false,
+  } = {}) {
+    super();
+    if (typeof fetchTimeline !== 'function') throw new Error('TwitterMonitor requires fetchTimeline(handle)');
+    this.fetchTimeline = fetchTimeline;
+    this.resolveUserId = resolveUserId;
+    this.priority = [...priority];
+    this.base = [...base];
+    this.intervals = { ...intervals }; // handle -> per-account interval override (ms)
+    this.priorityIntervalMs = priorityIntervalMs;
+    this.baseIntervalMs = baseIntervalMs;
+    this.gapMs = gapMs;
+    this.burstWindowMs = burstWindowMs;
+    this.suspendCooldownMs = suspendCooldownMs;
+    this.rateLimitBackoffMs = rateLimitBackoffMs;
+    this.intervalMultiplier = intervalMultiplier;
+    this.debug = debug;
+
+    // ---- State
+    this.userIds = {};           // handle -> { id, at } resolved user ids
+    this.lastSeenByKey = {};     // user id (or lowercased handle) -> last tweet id (string)
+    this.backoffUntil = {};      // user id (or lowercased handle) -> epoch ms (429)
+    this.timelineIds = {};       // user id (or lowercased handle) -> ids in the last fetched timeline
+    this.burstTimers = new Map(); // handle -> interval timer
+    this.burstUntil = {};        // handle -> epoch ms
+    this.burstLastAt = {};       // handle -> epoch ms of last burst poll
+    this.accountTimers = new Map(); // handle -> interval timer (per-account overrides)
+    this.lastPollAtHandle = {};  // handle -> ISO time of last own-timer poll
+    this.suspendedUntil = 0;     // epoch ms when polling may resume
+    this.priorityTimer = null;
+    this.baseTimer = null;
+    this.lastPollAtPriority = null;
+    this.lastPollAtBase = null;
+    this.running = false;
   }
-  if (tweetsBuffer.length > MAX_TWEETS) tweetsBuffer.length = MAX_TWEETS;
-}
 
-function logNewTweets(handle, fresh) {
-  if (!fresh || !fresh.length) return;
-  const first = fresh[0];
-  const preview = first.text.replace(/\s+/g, ' ').slice(0, 120) + (first.text.length > 120 ? '…' : '');
-  const ts = new Date(first.created_at).toISOString();
-  console.log(`🆕 ${ts} @${handle} — ${fresh.length} tweet(s). First: ${preview}`);
-}
+  dlog(...a) {
+    if (this.debug) console.log('[DEBUG]', ...a);
+  }
 
-// ---- Core fetch
-async function fetchLastTweets(handle) {
-  const params = { userName: handle, includeReplies: false };
-  try {
-    const res = await http.get('/twitter/user/last_tweets', { params });
-    const tweets = mapTweets(res?.data?.tweets || [], handle);
-    const since = lastSeenByHandle[handle];
-    const fresh = since ? tweets.filter(t => t.id > since) : tweets;
-    if (fresh.length) lastSeenByHandle[handle] = fresh[0].id;
-    return fresh;
-  } catch (e) {
-    const st = e?.response?.status;
-    // 402: payment required — suspend globally
-    if (st === 402) {
-      suspendedUntil = Date.now() + SUSPEND_COOLDOWN_MS;
-      console.warn(`⚠️ 402 for @${handle}. Suspending all polling until ${new Date(suspendedUntil).toISOString()}`);
-      return [];
+  isSuspended() {
+    return Date.now() < this.suspendedUntil;
+  }
+
+  // Timers tick at the configured cadence; while intervalMultiplier() > 1 (e.g. budget throttle),
+  // ticks are skipped until intervalMs × multiplier has passed since the last poll.
+  dueForPoll(lastAt, intervalMs) {
+    if (!lastAt) return true;
+    return Date.now() - new Date(lastAt).getTime() >= intervalMs * this.intervalMultiplier() - 1000;
+  }
+
+  // ---- Identity
+  // Resolved ids are re-checked every base interval (picks up manual remaps; retries misses).
+  async userIdOf(handle) {
+    if (!this.resolveUserId) return null;
+    const cached = this.userIds[handle];
+    if (cached && Date.now() - cached.at < this.baseIntervalMs) return cached.id;
+    let id = cached?.id || null;
+    try {
+      id = (await this.resolveUserId(handle)) || id;
+    } catch (e) {
+      this.dlog(`Could not resolve @${handle}: ${e?.message || e}`);
     }
-    // 429: rate limit — back off at account level
-    if (st === 429) {
-      dlog(`429 @${handle} — backing off ${BASE_INTERVAL}ms`);
-      await sleep(BASE_INTERVAL);
+    this.userIds[handle] = { id, at: Date.now() };
+    return id;
+  }
+
+  // ---- Core fetch
+  async fetchFresh(handle) {
+    const userId = await this.userIdOf(handle);
+    const key = userId || handle.toLowerCase();
+    if ((this.backoffUntil[key] || 0) > Date.now()) {
+      this.dlog(`@${handle} backing off until ${new Date(this.backoffUntil[key]).toISOString()}`);
       return [];
     }
-    if (st && st !== 404) {
-      console.error(`❌ TwitterAPI.io ${st} for @${handle}: ${e?.message || 'error'}`);
+    try {
+      const tweets = await this.fetchTimeline(handle, { userId });
+      const since = this.lastSeenByKey[key];
+      const fresh = sortNewestFirst(tweets.filter(t => isNewer(t.id, since)));
+      if (fresh.length) this.lastSeenByKey[key] = fresh[0].id;
+      this.detectDeletions(handle, key, tweets);
+      return fresh;
+    } catch (e) {
+      const st = e?.response?.status;
+      // 402: payment required — suspend globally
+      if (st === 402) {
+        this.suspendedUntil = Date.now() + this.suspendCooldownMs;
+        const until = new Date(this.suspendedUntil).toISOString();
+        console.warn(`⚠️ 402 for @${handle}. Suspending polling until ${until}`);
+        this.emit('suspended', { handle, until });
+        return [];
+      }
+      // 429: rate limit — back off at account level without stalling the other handles
+      if (st === 429) {
+        this.backoffUntil[key] = Date.now() + this.rateLimitBackoffMs;
+        const until = new Date(this.backoffUntil[key]).toISOString();
+        console.warn(`⏳ 429 @${handle}. Backing off until ${until}`);
+        this.emit('rateLimited', { handle, until });
+        return [];
+      }
+      if (st && st !== 404) {
+        console.error(`❌ Tweet source ${st} for @${handle}: ${e?.message || 'error'}`);
+      } else if (!st) {
+        console.error(`❌ Tweet source error for @${handle}: ${e?.message || e}`);
+      }
+      return [];
     }
-    return [];
   }
-}
 
-// ---- Burst control
-function ensureBurst(handle) {
-  const now = Date.now();
-  burstUntil[handle] = Math.max(burstUntil[handle] || 0, now + BURST_WINDOW_MS);
-  if (burstTimers.has(handle)) return; // already running
-
-  const t = setInterval(async () => {
-    if (Date.now() < suspendedUntil) return;
-    if ((burstUntil[handle] || 0) <= Date.now()) {
-      clearInterval(t);
-      burstTimers.delete(handle);
-      dlog(`Burst ended for @${handle}`);
-      return;
-    }
-    const fresh = await fetchLastTweets(handle);
-    if (fresh.length) {
-      pushTweets(fresh);
-      logNewTweets(handle, fresh);
-      // extend burst if replies/threads keep coming
-      burstUntil[handle] = Date.now() + BURST_WINDOW_MS;
-    }
-  }, Math.max(60_000, PRIORITY_INTERVAL)); // burst cadence ~60s
+  // A tweet from the previous fetch that is missing now, but still inside the span the new
+  // timeline covers, was deleted — unless it is an earlier version of a tweet edited since.
+  detectDeletions(handle, key, tweets) {
+    if (!tweets.length) return; // an empty page says nothing about what was deleted
+    const current = new Set(tweets.map(t => t.id));
+    const superseded = new Set(tweets.flatMap(t => t.editHistory || []));
+    const floor = minId(current);
+    const deleted = (this.timelineIds[key] || [])
+      .filter(id => !current.has(id) && !superseded.has(id) && !isNewer(floor, id));
+    this.timelineIds[key] = [...current];
+    if (!deleted.length) return;
+    console.log(`🗑️ @${handle} deleted ${deleted.length} tweet(s): ${deleted.join(', ')}`);
+    this.emit('deleted', deleted, { handle });
+  }
 
-  burstTimers.set(handle, t);
-  console.log(`⚡ Burst started for @${handle} (until ${new Date(burstUntil[handle]).toISOString()})`);
-}
+  publish(handle, fresh, tier) {
+    if (!fresh.length) return;
+    const first = fresh[0];
+    const preview = first.text.replace(/\s+/g, ' ').slice(0, 100) + (first.text.length > 100 ? '…' : '');
+    const icon = tier === 'priority' ? '🟢' : tier === 'base' ? '🔵' : '🆕';
+    console.log(`${icon} ${first.created_at} @${handle} (${tier}) — ${fresh.length} new. First: ${preview}`);
+    this.emit('tweets', fresh, { handle, tier });
+  }
 
-// ---- Loops
-async function priorityLoopOnce() {
-  if (Date.now() < suspendedUntil) return;
-  lastPollAtPriority = new Date().toISOString();
+  // ---- Burst control
+  ensureBurst(handle) {
+    const now = Date.now();
+    this.burstUntil[handle] = Math.max(this.burstUntil[handle] || 0, now + this.burstWindowMs);
+    if (this.burstTimers.has(handle)) return; // already running
 
-  for (let i = 0; i < PRIORITY.length; i++) {
-    const handle = PRIORITY[i];
-    if (i) await sleep(GAP_MS);
-    const fresh = await fetchLastTweets(handle);
-    if (fresh.length) {
-      pushTweets(fresh);
-      logNewTweets(handle, fresh);
-      ensureBurst(handle); // keep bursts for priority too (threads)
-    }
+    const cadence = Math.max(60_000, this.priorityIntervalMs); // burst cadence ~60s
+    const t = setInterval(async () => {
+      if (this.isSuspended()) return;
+      if ((this.burstUntil[handle] || 0) <= Date.now()) {
+        this.endBurst(handle);
+        return;
+      }
+      if (!this.dueForPoll(this.burstLastAt[handle], cadence)) return;
+      this.burstLastAt[handle] = Date.now();
+      const fresh = await this.fetchFresh(handle);
+      if (fresh.length) {
+        this.publish(handle, fresh, 'burst');
+        // extend burst if replies/threads keep coming
+        this.burstUntil[handle] = Date.now() + this.burstWindowMs;
+      }
+    }, cadence);
+
+    this.burstTimers.set(handle, t);
+    const until = new Date(this.burstUntil[handle]).toISOString();
+    console.log(`⚡ Burst started for @${handle} (until ${until})`);
+    this.emit('burst', { handle, active: true, until });
+  }
+
+  endBurst(handle) {
+    const t = this.burstTimers.get(handle);
+    if (!t) return;
+    clearInterval(t);
+    this.burstTimers.delete(handle);
+    this.dlog(`Burst ended for @${handle}`);
+    this.emit('burst', { handle, active: false, until: null });
   }
-}
 
-async function baseLoopOnce() {
-  if (Date.now() < suspendedUntil) return;
-  lastPollAtBase = new Date().toISOString();
+  // ---- Loops
+  tierOf(handle) {
+    if (this.priority.includes(handle)) return 'priority';
+    if (this.base.includes(handle)) return 'base';
+    return null;
+  }
 
-  for (let i = 0; i < BASE.length; i++) {
-    const handle = BASE[i];
-    if (i) await sleep(GAP_MS);
-    const fresh = await fetchLastTweets(handle);
+  async pollTier(tier) {
+    if (this.isSuspended()) return;
+    const handles = (tier === 'priority' ? this.priority : this.base).filter(h => !this.intervals[h]);
+    if (tier === 'priority') this.lastPollAtPriority = new Date().toISOString();
+    else this.lastPollAtBase = new Date().toISOString();
+
+    for (let i = 0; i < handles.length; i++) {
+      if (!this.running) return;
+      const handle = handles[i];
+      if (!this.tierOf(handle)) continue; // removed mid-pass
+      if (i) await sleep(this.gapMs);
+      const fresh = await this.fetchFresh(handle);
+      if (fresh.length) {
+        this.publish(handle, fresh, tier);
+        this.ensureBurst(handle); // keep bursts for priority too (threads)
+      }
+    }
+  }
+
+  async pollAccount(handle) {
+    if (this.isSuspended() || !this.running) return;
+    const tier = this.tierOf(handle);
+    if (!tier) return;
+    this.lastPollAtHandle[handle] = new Date().toISOString();
+    const fresh = await this.fetchFresh(handle);
     if (fresh.length) {
-      pushTweets(fresh);
-      logNewTweets(handle, fresh);
-      ensureBurst(handle); // promote to burst cadence for a while
+      this.publish(handle, fresh, tier);
+      this.ensureBurst(handle);
     }
   }
-}
 
-// ---- Public API
-async function startMonitoring() {
-  if (isMonitoring) return { ok: true, message: 'already running' };
-  if (!API_KEY || (PRIORITY.length + BASE.length) === 0) {
-    return { ok: false, message: 'missing config' };
+  // Brings per-account timers in line with this.intervals (start, restart on change, stop).
+  syncAccountTimers() {
+    for (const [handle, entry] of this.accountTimers) {
+      if (!this.running || !this.tierOf(handle) || this.intervals[handle] !== entry.intervalMs) {
+        clearInterval(entry.timer);
+        this.accountTimers.delete(handle);
+      }
+    }
+    if (!this.running) return;
+    for (const [handle, intervalMs] of Object.entries(this.intervals)) {
+      if (!this.tierOf(handle) || this.accountTimers.has(handle)) continue;
+      const timer = setInterval(() => {
+        if (!this.dueForPoll(this.lastPollAtHandle[handle], intervalMs)) return;
+        this.pollAccount(handle).catch(e => console.error(`@${handle} poll error:`, e?.message || e));
+      }, intervalMs);
+      this.accountTimers.set(handle, { timer, intervalMs });
+      this.pollAccount(handle).catch(e => console.error(`@${handle} poll error:`, e?.message || e));
+    }
   }
 
-  console.log(`🚀 Monitoring started. Priority=${PRIORITY.join(',') || '(none)'} (${PRIORITY_INTERVAL}ms)  Base=${BASE.join(',') || '(none)'} (${BASE_INTERVAL}ms)  Gap=${GAP_MS}ms  Burst=${BURST_WINDOW_MS}ms`);
-  isMonitoring = true;
+  priorityLoopOnce() {
+    return this.pollTier('priority');
+  }
 
-  // initial pass
-  await priorityLoopOnce();
-  await baseLoopOnce();
+  baseLoopOnce() {
+    return this.pollTier('base');
+  }
 
-  // schedule loops
-  priorityTimer = setInterval(() => priorityLoopOnce().catch(e => console.error('Priority loop error:', e?.message || e)), PRIORITY_INTERVAL);
-  baseTimer     = setInterval(() => baseLoopOnce().catch(e => console.error('Base loop error:', e?.message || e)), BASE_INTERVAL);
+  // ---- Public API
+  // Takes effect on the next tick; new handles start from their latest tweets, removed ones
+  // lose their burst and override timer. Last-seen state is kept by user id, so re-adding an
+  // account (or adding it back under a new handle) resumes where it left off.
+  setAccounts({ priority = this.priority, base = this.base, intervals = this.intervals } = {}) {
+    const before = new Set([...this.priority, ...this.base]);
+    this.priority = [...priority];
+    this.base = [...base];
+    this.intervals = { ...intervals };
+    for (const handle of before) {
+      if (this.tierOf(handle)) continue;
+      this.endBurst(handle);
+      delete this.userIds[handle];
+      delete this.lastPollAtHandle[handle];
+    }
+    this.syncAccountTimers();
+    this.dlog(`Accounts updated. Priority=[${this.priority.join(', ')}] Base=[${this.base.join(', ')}]`);
+  }
 
-  return { ok: true, message: 'started' };
-}
+  start() {
+    if (this.running) return { ok: true, message: 'already running' };
+    if (this.priority.length + this.base.length === 0) {
+      return { ok: false, message: 'no accounts configured' };
+    }
 
-function stopMonitoring() {
-  if (priorityTimer) clearInterval(priorityTimer);
-  if (baseTimer) clearInterval(baseTimer);
-  for (const t of burstTimers.values()) clearInterval(t);
-  burstTimers.clear();
-  isMonitoring = false;
-  return { ok: true, message: 'stopped' };
-}
+    console.log(`🚀 Monitoring started. Priority=[${this.priority.join(', ') || 'none'}] (${this.priorityIntervalMs}ms)  Base=[${this.base.join(', ') || 'none'}] (${this.baseIntervalMs}ms)  Gap=${this.gapMs}ms  Burst=${this.burstWindowMs}ms`);
+    this.running = true;
 
-function getRecentTweets(limit = 20) {
-  const n = Math.max(1, Math.min(parseInt(limit || 20, 10), MAX_TWEETS));
-  return tweetsBuffer.slice(0, n);
-}
+    // initial pass
+    this.priorityLoopOnce().catch(e => console.error('Priority init error:', e?.message || e));
+    this.baseLoopOnce().catch(e => console.error('Base init error:', e?.message || e));
 
-function getStatus() {
-  return {
-    ok: true,
-    monitoring: isMonitoring,
-    priorityAccounts: PRIORITY,
-    baseAccounts: BASE,
-    totalTweets: tweetsBuffer.length,
-    lastPollAtPriority,
-    lastPollAtBase,
-    priorityIntervalMs: PRIORITY_INTERVAL,
-    baseIntervalMs: BASE_INTERVAL,
-    gapMs: GAP_MS,
-    burstWindowMs: BURST_WINDOW_MS,
-    suspended: Date.now() < suspendedUntil,
-    suspendedUntil: Date.now() < suspendedUntil ? new Date(suspendedUntil).toISOString() : null
-  };
+    // schedule loops
+    this.priorityTimer = setInterval(() => {
+      if (!this.dueForPoll(this.lastPollAtPriority, this.priorityIntervalMs)) return;
+      this.priorityLoopOnce().catch(e => console.error('Priority loop error:', e?.message || e));
+    }, this.priorityIntervalMs);
+    this.baseTimer = setInterval(() => {
+      if (!this.dueForPoll(this.lastPollAtBase, this.baseIntervalMs)) return;
+      this.baseLoopOnce().catch(e => console.error('Base loop error:', e?.message || e));
+    }, this.baseIntervalMs);
+    this.syncAccountTimers();
+
+    return { ok: true, message: 'started' };
+  }
+
+  stop() {
+    if (this.priorityTimer) clearInterval(this.priorityTimer);
+    if (this.baseTimer) clearInterval(this.baseTimer);
+    this.priorityTimer = null;
+    this.baseTimer = null;
+    for (const handle of [...this.burstTimers.keys()]) this.endBurst(handle);
+    this.running = false;
+    this.syncAccountTimers();
+    console.log('🛑 Monitoring stopped.');
+    return { ok: true, message: 'stopped' };
+  }
+
+  getStatus() {
+    const suspended = this.isSuspended();
+    return {
+      monitoring: this.running,
+      priorityAccounts: this.priority,
+      baseAccounts: this.base,
+      accountIntervals: this.intervals,
+      userIds: Object.fromEntries(Object.entries(this.userIds).map(([h, v]) => [h, v.id])),
+      lastPollAtPriority: this.lastPollAtPriority,
+      lastPollAtBase: this.lastPollAtBase,
+      priorityIntervalMs: this.priorityIntervalMs,
+      baseIntervalMs: this.baseIntervalMs,
+      gapMs: this.gapMs,
+      burstWindowMs: this.burstWindowMs,
+      intervalMultiplier: this.intervalMultiplier(),
+      bursting: [...this.burstTimers.keys()],
+      suspended,
+      suspendedUntil: suspended ? new Date(this.suspendedUntil).toISOString() : null,
+    };
+  }
 }
 
-module.exports = {
-  startMonitoring,
-  stopMonitoring,
-  getRecentTweets,
-  getStatus,
-};
+module.exports = TwitterMonitor;
@@ -39,8 +39,20 @@ function saveCache(map) {
   }
 }
 
-// Returns { id, source: 'cache'|'local-map'|'none' }
-async function resolveHandleToIdWithSource(handleRaw) {
+// optional network lookup (async handle -> id), e.g. through the active tweet source. Handles it
+// can't find are not looked up again for missTtlMs, so a bad handle isn't paid for on every poll.
+let networkLookup = null;
+let missTtlMs = 60 * 60_000;
+const misses = new Map(); // lowercased handle -> no network lookup before this time
+
+function setNetworkLookup(fn, { missTtlMs: ttl } = {}) {
+  networkLookup = typeof fn === 'function' ? fn : null;
+  if (Number.isFinite(ttl)) missTtlMs = Math.max(0, ttl);
+  misses.clear();
+}
+
+// Returns { id, source: 'cache'|'local-map'|'network'|'none' }. { network: false } skips the lookup.
+async function resolveHandleToIdWithSource(handleRaw, { network = true } = {}) {
   const h = String(handleRaw).replace(/^@/, '').trim();
   if (!h) return { id: null, source: 'none' };
 
@@ -51,6 +63,21 @@ async function resolveHandleToIdWithSource(handleRaw) {
   const fromDefault = defaultMap[h] || defaultMap[h.toLowerCase()];
   if (fromDefault) return { id: String(fromDefault), source: 'local-map' };
 
+  const key = h.toLowerCase();
+  if (networkLookup && network && !((misses.get(key) || 0) > Date.now())) {
+    try {
+      const id = String((await networkLookup(h)) || '');
+      if (/^\d+$/.test(id)) {
+        await setHandleId(h, id); // write back so the next lookup is free
+        return { id, source: 'network' };
+      }
+      misses.set(key, Date.now() + missTtlMs);
+    } catch (e) {
+      if (e?.response?.status === 404) misses.set(key, Date.now() + missTtlMs); // quota / network errors are retried
+      console.warn(`Handle lookup failed for @${h}:`, e?.response?.status || e?.message || e);
+    }
+  }
+
   return { id: null, source: 'none' };
 }
 
@@ -69,6 +96,7 @@ async function setHandleId(handleRaw, idRaw) {
   const cache = loadCache();
   cache[h] = id;
   saveCache(cache);
+  misses.delete(h.toLowerCase());
   return { handle: h, id };
 }
 
@@ -84,5 +112,6 @@ module.exports = {
   resolveHandleToId,
   resolveHandleToIdWithSource,
   setHandleId,
+  setNetworkLookup,
   listMappings
 };
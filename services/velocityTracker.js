@@ -0,0 +1,142 @@
+// services/velocityTracker.js
+// Engagement velocity for recently seen tweets. Metrics are re-fetched at fixed checkpoints after
+// a tweet is first seen (default 2, 5 and 15 minutes); each sample adds a point to the tweet's
+// velocity curve (tweet.velocity). Emits:
+//   'sample'    (tweet, point)
+//   'threshold' (tweet, point)   once per tweet, when velocity >= threshold (weighted engagements/min)
+
+const EventEmitter = require('events');
+const { engagementOf } = require('./engagement');
+
+class VelocityTracker extends EventEmitter {
+  // fetchTweets(ids) → normalized tweets with fresh `metrics` (any order, missing = deleted/unavailable)
+  constructor({
+    fetchTweets,
+    checkpointsMs = [2 * 60_000, 5 * 60_000, 15 * 60_000],
+    threshold = 50,
+    tickMs = 15_000,
+    maxTracked = 200,
+    isPaused = () => false,
+  } = {}) {
+    super();
+    if (typeof fetchTweets !== 'function') throw new Error('VelocityTracker requires fetchTweets(ids)');
+    this.fetchTweets = fetchTweets;
+    this.checkpointsMs = [...checkpointsMs].sort((a, b) => a - b);
+    this.threshold = threshold;
+    this.tickMs = tickMs;
+    this.maxTracked = maxTracked;
+    this.isPaused = isPaused;
+    this.tracked = new Map(); // tweet id -> { tweet, firstSeen, next }
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(e => console.error('Velocity tick error:', e?.message || e));
+    }, this.tickMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Starts the curve with the metrics the tweet arrived with.
+  track(tweet) {
+    if (!tweet?.id || this.tracked.has(tweet.id)) return;
+    if (this.tracked.size >= this.maxTracked) {
+      this.tracked.delete(this.tracked.keys().next().value); // oldest first
+    }
+    const firstSeen = Date.now();
+    tweet.velocity = tweet.velocity || { curve: [], peak: 0, triggeredAt: null, done: false };
+    this.tracked.set(tweet.id, { tweet, firstSeen, next: 0 });
+    this.addPoint(tweet, firstSeen, tweet.metrics);
+  }
+
+  untrack(ids) {
+    for (const id of ids) {
+      const entry = this.tracked.get(id);
+      if (entry) entry.tweet.velocity.done = true;
+      this.tracked.delete(id);
+    }
+  }
+
+  // An edit gives the tracked tweet a new id; its curve and checkpoint schedule carry over.
+  rekey(oldId, newId) {
+    if (!this.tracked.has(oldId)) return;
+    this.tracked = new Map([...this.tracked].map(([id, entry]) => [id === oldId ? newId : id, entry]));
+  }
+
+  addPoint(tweet, at, metrics) {
+    const v = tweet.velocity;
+    const engagement = engagementOf(metrics);
+    const prev = v.curve[v.curve.length - 1];
+    const minutes = prev ? (at - new Date(prev.at).getTime()) / 60_000 : 0;
+    const point = {
+      at: new Date(at).toISOString(),
+      minutesSinceSeen: v.curve.length ? parseFloat(((at - new Date(v.curve[0].at).getTime()) / 60_000).toFixed(2)) : 0,
+      metrics: metrics || null,
+      engagement,
+      // engagements per minute since the previous sample
+      velocity: prev && minutes > 0 ? parseFloat(((engagement - prev.engagement) / minutes).toFixed(2)) : 0,
+    };
+    v.curve.push(point);
+    v.peak = Math.max(v.peak, point.velocity);
+    return point;
+  }
+
+  async tick() {
+    if (this.ticking || this.isPaused() || !this.tracked.size) return;
+    this.ticking = true;
+    try {
+      const now = Date.now();
+      const due = [...this.tracked.values()].filter(e => now - e.firstSeen >= this.checkpointsMs[e.next]);
+      if (!due.length) return;
+
+      let latest = [];
+      try {
+        latest = await this.fetchTweets(due.map(e => e.tweet.id));
+      } catch (e) {
+        console.warn(`⚠️ Velocity re-poll failed for ${due.length} tweet(s): ${e?.response?.status || e?.message || e}`);
+        return; // retried on the next tick
+      }
+      const byId = new Map(latest.map(t => [t.id, t]));
+
+      for (const entry of due) {
+        const { tweet } = entry;
+        entry.next++;
+        const fresh = byId.get(tweet.id);
+        if (fresh?.metrics) {
+          tweet.metrics = fresh.metrics;
+          const point = this.addPoint(tweet, now, fresh.metrics);
+          this.emit('sample', tweet, point);
+          if (!tweet.velocity.triggeredAt && point.velocity >= this.threshold) {
+            tweet.velocity.triggeredAt = point.at;
+            console.log(`📈 @${tweet.author} ${tweet.id} velocity ${point.velocity}/min (≥ ${this.threshold}) at +${point.minutesSinceSeen}m`);
+            this.emit('threshold', tweet, point);
+          }
+        }
+        if (entry.next >= this.checkpointsMs.length) {
+          tweet.velocity.done = true;
+          this.tracked.delete(tweet.id);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      running: !!this.timer,
+      tracked: this.tracked.size,
+      checkpointsMs: this.checkpointsMs,
+      threshold: this.threshold,
+    };
+  }
+}
+
+module.exports = VelocityTracker;
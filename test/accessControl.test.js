@@ -0,0 +1,154 @@
+// test/accessControl.test.js
+// JWT verification (signature, algorithm, expiry, issuer/audience, malformed claims), API-key and
+// JWT authentication, role ranking and the admin-only gate on live launches.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { AccessControl, signJwt, verifyJwt } = require('../services/accessControl');
+
+const SECRET = 'test-secret';
+const now = () => Math.floor(Date.now() / 1000);
+const b64url = (s) => Buffer.from(s).toString('base64url');
+
+// Correctly signed token with arbitrary (raw JSON) header and payload
+function rawToken(headerJson, payloadJson, secret = SECRET) {
+  const head = b64url(headerJson);
+  const body = b64url(payloadJson);
+  const sig = crypto.createHmac('sha256', secret).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
+}
+const HS256 = JSON.stringify({ alg: 'HS256', typ: 'JWT' });
+
+const reqWith = (credential, auth) => ({ headers: credential ? { authorization: `Bearer ${credential}` } : {}, auth });
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set() { return this; },
+  };
+}
+
+test('verifyJwt', async (t) => {
+  await t.test('accepts a token it signed', () => {
+    assert.equal(verifyJwt(signJwt({ sub: 'ops', role: 'operator' }, SECRET), SECRET).sub, 'ops');
+  });
+
+  await t.test('rejects a bad signature', () => {
+    assert.throws(() => verifyJwt(signJwt({ role: 'admin' }, 'other-secret'), SECRET), /invalid token signature/);
+    const [head, , sig] = signJwt({ role: 'viewer' }, SECRET).split('.');
+    const forged = `${head}.${b64url(JSON.stringify({ role: 'admin', exp: now() + 60 }))}.${sig}`;
+    assert.throws(() => verifyJwt(forged, SECRET), /invalid token signature/);
+  });
+
+  await t.test('rejects any alg other than HS256', () => {
+    for (const alg of ['none', 'HS512', 'RS256']) {
+      const token = rawToken(JSON.stringify({ alg, typ: 'JWT' }), JSON.stringify({ role: 'admin' }));
+      assert.throws(() => verifyJwt(token, SECRET), /unsupported token algorithm/);
+    }
+    const [head, body] = rawToken(JSON.stringify({ alg: 'none' }), JSON.stringify({ role: 'admin' })).split('.');
+    assert.throws(() => verifyJwt(`${head}.${body}.`, SECRET), /unsupported token algorithm none/);
+  });
+
+  await t.test('rejects expired and not-yet-valid tokens, allowing clock skew', () => {
+    assert.throws(() => verifyJwt(rawToken(HS256, JSON.stringify({ exp: now() - 120 })), SECRET), /token expired/);
+    assert.ok(verifyJwt(rawToken(HS256, JSON.stringify({ exp: now() - 10 })), SECRET));
+    assert.throws(() => verifyJwt(rawToken(HS256, JSON.stringify({ nbf: now() + 120 })), SECRET), /not yet valid/);
+  });
+
+  await t.test('rejects exp / nbf that are not finite numbers', () => {
+    for (const exp of ['never', '9999999999', null, true, {}]) {
+      assert.throws(() => verifyJwt(rawToken(HS256, JSON.stringify({ exp })), SECRET), /invalid token exp/);
+    }
+    assert.throws(() => verifyJwt(rawToken(HS256, JSON.stringify({ nbf: 'soon' })), SECRET), /invalid token nbf/);
+  });
+
+  await t.test('rejects claims that are not an object', () => {
+    for (const payload of ['null', '42', '"admin"', '[]']) {
+      assert.throws(() => verifyJwt(rawToken(HS256, payload), SECRET), /malformed token claims/);
+    }
+    assert.throws(() => verifyJwt('a.b', SECRET), /malformed token/);
+    assert.throws(() => verifyJwt(`${b64url('{')}.${b64url('{}')}.x`, SECRET), /malformed token/);
+  });
+
+  await t.test('checks issuer and audience when configured', () => {
+    const token = signJwt({ iss: 'memes', aud: ['api', 'ws'] }, SECRET);
+    assert.ok(verifyJwt(token, SECRET, { issuer: 'memes', audience: 'ws' }));
+    assert.throws(() => verifyJwt(token, SECRET, { issuer: 'someone-else' }), /unexpected token issuer/);
+    assert.throws(() => verifyJwt(token, SECRET, { audience: 'admin-ui' }), /unexpected token audience/);
+    assert.ok(verifyJwt(signJwt({ aud: 'api' }, SECRET), SECRET, { audience: 'api' }));
+    assert.throws(() => verifyJwt(signJwt({}, SECRET), SECRET, { audience: 'api' }), /unexpected token audience/);
+  });
+});
+
+test('AccessControl#authenticate', async (t) => {
+  const access = new AccessControl({ apiKeys: [{ key: 'viewer-key', role: 'viewer' }], jwtSecret: SECRET });
+
+  await t.test('API keys and JWTs map to their roles', () => {
+    assert.deepEqual(access.authenticate(reqWith('viewer-key')).auth.role, 'viewer');
+    assert.equal(access.authenticate({ headers: { 'x-api-key': 'viewer-key' } }).auth.via, 'api_key');
+    const out = access.authenticate(reqWith(signJwt({ sub: 'ops', role: 'operator' }, SECRET)));
+    assert.deepEqual(out.auth, { role: 'operator', subject: 'ops', via: 'jwt' });
+  });
+
+  await t.test('a role array yields the highest valid role', () => {
+    assert.equal(access.authenticate(reqWith(signJwt({ role: ['viewer', 'bogus', 'admin'] }, SECRET))).auth.role, 'admin');
+  });
+
+  await t.test('bad credentials are 401 with the reason, a missing role is 403', () => {
+    assert.deepEqual(access.authenticate(reqWith('nope')), { ok: false, code: 401, error: 'Invalid API key or token' });
+    assert.deepEqual(access.authenticate(reqWith(null)), { ok: false, code: 401, error: 'Authentication required' });
+    assert.deepEqual(access.authenticate(reqWith(rawToken(HS256, 'null'))), { ok: false, code: 401, error: 'malformed token claims' });
+    assert.equal(access.authenticate(reqWith(signJwt({ role: 'root' }, SECRET))).code, 403);
+  });
+
+  await t.test('the query token is only read where allowed', () => {
+    const req = { headers: {}, url: '/api/events?access_token=viewer-key' };
+    assert.equal(access.authenticate(req).ok, false);
+    assert.equal(access.authenticate(req, { allowQuery: true }).auth.role, 'viewer');
+  });
+});
+
+test('role ranking', async (t) => {
+  const access = new AccessControl({});
+
+  await t.test('hasRole: viewer < operator < admin', () => {
+    assert.equal(access.hasRole({ role: 'admin' }, 'operator'), true);
+    assert.equal(access.hasRole({ role: 'operator' }, 'operator'), true);
+    assert.equal(access.hasRole({ role: 'operator' }, 'admin'), false);
+    assert.equal(access.hasRole({ role: 'viewer' }, 'operator'), false);
+    assert.equal(access.hasRole(null, 'viewer'), false);
+  });
+
+  await t.test('requireRole sends 403 below the role', () => {
+    const res = fakeRes();
+    let passed = false;
+    access.requireRole('operator')({ auth: { role: 'viewer' } }, res, () => { passed = true; });
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    access.requireRole('operator')({ auth: { role: 'admin' } }, fakeRes(), () => { passed = true; });
+    assert.equal(passed, true);
+  });
+});
+
+test('AccessControl#refuseLiveLaunch', async (t) => {
+  const access = new AccessControl({});
+
+  await t.test('test launches are open to any role', () => {
+    const res = fakeRes();
+    assert.equal(access.refuseLiveLaunch({ auth: { role: 'operator' } }, res, true), false);
+    assert.equal(res.body, null);
+  });
+
+  await t.test('live launches need admin', () => {
+    const res = fakeRes();
+    assert.equal(access.refuseLiveLaunch({ auth: { role: 'operator' } }, res, false), true);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.role, 'operator');
+    assert.equal(access.refuseLiveLaunch({ auth: { role: 'admin' } }, fakeRes(), false), false);
+    assert.equal(access.refuseLiveLaunch({}, fakeRes(), false), true);
+  });
+});
@@ -0,0 +1,112 @@
+// test/aiEnsemble.test.js
+// Launch verdict voting (confidence is confidence in the winning verdict, so a dissenter that is
+// sure of the opposite can only lower it) and the concurrent fan-out: quorum, per-model deadline,
+// and the launch decision not waiting for the slowest model.
+
+process.env.OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY || 'test';
+process.env.ENSEMBLE_VOTING = 'weighted';
+process.env.AI_ENSEMBLE_MODE = 'weighted';
+process.env.ENSEMBLE_QUORUM = '0';
+process.env.ENSEMBLE_MODEL_TIMEOUT_MS = '1000';
+for (const slot of ['PRIMARY', 'SECONDARY', 'PREMIUM', 'BACKUP']) process.env[`${slot}_MODEL`] = `test/${slot.toLowerCase()}`;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const aiEnsemble = require('../services/aiEnsemble');
+
+const weights = new Map([['premium', 1.5], ['primary', 1.2], ['secondary', 1.0], ['backup', 0.9]]);
+
+const verdict = (model, shouldLaunch, confidence, viralScore = confidence) => ({
+  model,
+  shouldLaunch,
+  confidence,
+  viralScore,
+  tokenSuggestion: { name: model, symbol: model.toUpperCase() },
+  memeTheme: model,
+  reasoning: '',
+});
+
+const yesVotes = [verdict('primary', true, 0.8), verdict('secondary', true, 0.8), verdict('backup', true, 0.8)];
+
+test('combineLaunchVerdicts: 3 yes and 1 strongly-confident no', async (t) => {
+  const withDissent = aiEnsemble.combineLaunchVerdicts([...yesVotes, verdict('premium', false, 0.95, 0.1)], weights);
+  const mildDissent = aiEnsemble.combineLaunchVerdicts([...yesVotes, verdict('premium', false, 0.55, 0.1)], weights);
+  const unanimous = aiEnsemble.combineLaunchVerdicts(yesVotes, weights);
+
+  await t.test('the yes side still wins on weight', () => {
+    assert.equal(withDissent.shouldLaunch, true);
+    assert.equal(withDissent.model, 'primary');
+  });
+
+  await t.test('the dissenter lowers the raw confidence below the backers\' own', () => {
+    assert.ok(withDissent.rawConfidence < 0.8, `rawConfidence ${withDissent.rawConfidence}`);
+    assert.ok(withDissent.confidence < unanimous.confidence);
+  });
+
+  await t.test('a surer dissenter lowers it further', () => {
+    assert.ok(withDissent.rawConfidence < mildDissent.rawConfidence);
+    assert.ok(withDissent.confidence < mildDissent.confidence);
+  });
+
+  await t.test('viral score comes from the backers only', () => {
+    assert.equal(withDissent.viralScore, 0.8);
+  });
+});
+
+test('combineLaunchVerdicts: a winning no is confident in not launching', () => {
+  const out = aiEnsemble.combineLaunchVerdicts([verdict('premium', false, 0.9), verdict('primary', false, 0.9), verdict('backup', true, 0.9)], weights);
+  assert.equal(out.shouldLaunch, false);
+  assert.ok(out.rawConfidence < 0.9);
+});
+
+// Resolves after `ms`, or never when ms is null; rejects on abort like fetch does
+const answerAfter = (ms, value) => (_model, signal) => new Promise((resolve, reject) => {
+  const timer = ms === null ? null : setTimeout(() => resolve(value), ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error('aborted'));
+  });
+});
+
+test('fanOut', async (t) => {
+  await t.test('returns at quorum and cancels the models still running', async () => {
+    const delays = { a: 5, b: 10, c: null };
+    const started = Date.now();
+    const outcomes = await aiEnsemble.fanOut(['a', 'b', 'c'], (m, signal) => answerAfter(delays[m], m)(m, signal), 'test', { quorum: 2, timeoutMs: 5000 });
+    assert.ok(Date.now() - started < 1000);
+    assert.deepEqual(outcomes.map(o => [o.model, o.status]), [['a', 'ok'], ['b', 'ok'], ['c', 'cancelled']]);
+    assert.equal(outcomes[0].result, 'a');
+  });
+
+  await t.test('reports a model past its deadline as timeout', async () => {
+    const delays = { a: 5, b: null };
+    const outcomes = await aiEnsemble.fanOut(['a', 'b'], (m, signal) => answerAfter(delays[m], m)(m, signal), 'test', { quorum: 2, timeoutMs: 50 });
+    assert.deepEqual(outcomes.map(o => [o.model, o.status]), [['a', 'ok'], ['b', 'timeout']]);
+    assert.match(outcomes[1].error, /timed out after 50ms/);
+  });
+
+  await t.test('errors count as settled but not towards quorum', async () => {
+    const outcomes = await aiEnsemble.fanOut(['a', 'b'], async (m) => {
+      if (m === 'a') throw new Error('boom');
+      return m;
+    }, 'test', { quorum: 2, timeoutMs: 5000 });
+    assert.deepEqual(outcomes.map(o => o.status), ['error', 'ok']);
+  });
+});
+
+test('analyzeLaunch returns at quorum without waiting for a hung model', async () => {
+  const reply = JSON.stringify({ confidence: 0.9, shouldLaunch: true, viralScore: 0.8, tokenSuggestion: { name: 'Test', symbol: 'TST' } });
+  aiEnsemble.configure({ chat: (model, _system, _user, { signal }) => answerAfter(model === 'test/backup' ? null : 5, reply)(model, signal) });
+
+  const started = Date.now();
+  const out = await aiEnsemble.analyzeLaunch('gm', 'someone');
+  assert.ok(Date.now() - started < 900, 'returned before the per-model deadline');
+  assert.equal(out.shouldLaunch, true);
+  assert.deepEqual(out.details.map(d => [d.model, d.status]), [
+    ['test/primary', 'ok'],
+    ['test/secondary', 'ok'],
+    ['test/premium', 'ok'],
+    ['test/backup', 'cancelled'],
+  ]);
+});
@@ -0,0 +1,121 @@
+// test/approvalQueue.test.js
+// The approval queue: one pending entry per tweet, approve/reject once, expiry after the window
+// (swept on a timer and before every decision) and state surviving a restart.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ApprovalQueue = require('../services/approvalQueue');
+
+const dirs = [];
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+function queueFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+  dirs.push(dir);
+  return path.join(dir, 'approvals.json');
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const candidate = (id = '1') => ({
+  tweet: { id, author: 'someone', text: 'gm' },
+  analysis: { confidence: 0.9, tokenSuggestion: { name: 'Test', symbol: 'TST' } },
+  mode: 'production',
+  testMode: true,
+});
+
+test('enqueue', async (t) => {
+  await t.test('adds a pending item with its expiry and emits pending', () => {
+    const queue = new ApprovalQueue({ filePath: queueFile(), expiryMs: 60_000 });
+    const seen = [];
+    queue.on('pending', item => seen.push(item.id));
+    const item = queue.enqueue(candidate());
+    assert.equal(item.status, 'pending');
+    assert.equal(item.suggestedToken.symbol, 'TST');
+    assert.equal(new Date(item.expiresAt) - new Date(item.created), 60_000);
+    assert.deepEqual(seen, [item.id]);
+  });
+
+  await t.test('repeated detections of the same tweet share one pending item', () => {
+    const queue = new ApprovalQueue({ filePath: queueFile() });
+    const first = queue.enqueue(candidate('1'));
+    assert.equal(queue.enqueue(candidate('1')).id, first.id);
+    assert.notEqual(queue.enqueue(candidate('2')).id, first.id);
+    assert.equal(queue.getStats().pending, 2);
+  });
+});
+
+test('decide', async (t) => {
+  await t.test('approves or rejects a pending item once', () => {
+    const queue = new ApprovalQueue({ filePath: queueFile() });
+    const a = queue.enqueue(candidate('1'));
+    const b = queue.enqueue(candidate('2'));
+    const approved = queue.approve(a.id, { by: 'ops' });
+    assert.equal(approved.ok, true);
+    assert.deepEqual([approved.item.status, approved.item.decidedBy], ['approved', 'ops']);
+    assert.equal(queue.reject(b.id, { reason: 'rug' }).item.reason, 'rug');
+
+    assert.deepEqual(queue.reject(a.id), { ok: false, code: 409, error: 'approval already approved', item: approved.item });
+    assert.equal(queue.approve('missing').code, 404);
+  });
+
+  await t.test('a decided tweet can be queued again', () => {
+    const queue = new ApprovalQueue({ filePath: queueFile() });
+    const first = queue.enqueue(candidate());
+    queue.reject(first.id);
+    assert.notEqual(queue.enqueue(candidate()).id, first.id);
+  });
+});
+
+test('expiry', async (t) => {
+  await t.test('an item past its window cannot be approved', async () => {
+    const queue = new ApprovalQueue({ filePath: queueFile(), expiryMs: 20 });
+    const item = queue.enqueue(candidate());
+    await sleep(40);
+    const out = queue.approve(item.id);
+    assert.deepEqual([out.ok, out.code, out.error], [false, 410, 'approval expired']);
+    assert.equal(item.status, 'expired');
+    assert.ok(item.decidedAt);
+  });
+
+  await t.test('the sweep timer expires items and emits expired', async () => {
+    const queue = new ApprovalQueue({ filePath: queueFile(), expiryMs: 20, sweepMs: 10 });
+    const expired = [];
+    queue.on('expired', item => expired.push(item.id));
+    const item = queue.enqueue(candidate());
+    queue.start();
+    try {
+      await sleep(80);
+    } finally {
+      queue.stop();
+    }
+    assert.deepEqual(expired, [item.id]);
+    assert.equal(queue.getStats().pending, 0);
+    assert.equal(queue.list('expired').length, 1);
+  });
+
+  await t.test('an expired tweet can be queued again', async () => {
+    const queue = new ApprovalQueue({ filePath: queueFile(), expiryMs: 20 });
+    const first = queue.enqueue(candidate());
+    await sleep(40);
+    queue.sweep();
+    assert.notEqual(queue.enqueue(candidate()).id, first.id);
+  });
+});
+
+test('pending and decided items survive a restart', () => {
+  const file = queueFile();
+  const queue = new ApprovalQueue({ filePath: file });
+  const pending = queue.enqueue(candidate('1'));
+  const decided = queue.enqueue(candidate('2'));
+  queue.approve(decided.id);
+  queue.attachLaunch(decided.id, 'launch-1');
+
+  const restarted = new ApprovalQueue({ filePath: file });
+  assert.equal(restarted.get(pending.id).status, 'pending');
+  assert.equal(restarted.get(decided.id).launchId, 'launch-1');
+  assert.equal(restarted.enqueue(candidate('1')).id, pending.id);
+});
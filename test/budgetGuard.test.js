@@ -0,0 +1,99 @@
+// test/budgetGuard.test.js
+// Budget accounting: model pricing, the ok -> throttled -> stopped thresholds (polling slowdown,
+// refused spending, state events) and batched writes that still land on disk.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const BudgetGuard = require('../services/budgetGuard');
+
+const dirs = [];
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+function budgetFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'budget-'));
+  dirs.push(dir);
+  return path.join(dir, 'budget.json');
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const guard = (opts = {}) => new BudgetGuard({ filePath: budgetFile(), monthlyLimit: 10, throttleAtPercent: 80, emergencyStopAtPercent: 95, throttleFactor: 3, ...opts });
+
+test('modelCost prices tokens per million, with a fallback for unknown models', () => {
+  const budget = guard({ modelPrices: { 'test/model': [2, 10] } });
+  assert.equal(budget.modelCost('test/model', { prompt_tokens: 1_000_000, completion_tokens: 500_000 }), 7);
+  assert.equal(budget.modelCost('unknown/model', { prompt_tokens: 1_000_000 }), 1);
+  assert.equal(budget.modelCost('test/model'), 0);
+});
+
+test('thresholds', async (t) => {
+  await t.test('throttles polling past the throttle percent', () => {
+    const budget = guard();
+    budget.record('openrouter', 7.9);
+    assert.deepEqual([budget.state(), budget.intervalMultiplier()], ['ok', 1]);
+    budget.record('twitter', 0.1);
+    assert.deepEqual([budget.state(), budget.intervalMultiplier()], ['throttled', 3]);
+    assert.doesNotThrow(() => budget.assertCanSpend('launch'));
+  });
+
+  await t.test('refuses spending past the emergency stop', () => {
+    const budget = guard();
+    budget.record('launch', 9.5);
+    assert.equal(budget.state(), 'stopped');
+    assert.throws(() => budget.assertCanSpend('launch'), (e) => e.code === 'BUDGET_EXCEEDED' && /95\.0% of \$10\): launch refused/.test(e.message));
+  });
+
+  await t.test('emits each state change once', () => {
+    const budget = guard();
+    const events = [];
+    budget.on('state', e => events.push([e.previous, e.state]));
+    budget.record('openrouter', 8);
+    budget.record('openrouter', 0.5);
+    budget.record('openrouter', 1.5);
+    assert.deepEqual(events, [['ok', 'throttled'], ['throttled', 'stopped']]);
+  });
+
+  await t.test('only this month\'s spend counts', () => {
+    const budget = guard();
+    budget.days['2000-01-01'] = { openrouter: { usd: 100, count: 1 } };
+    assert.equal(budget.state(), 'ok');
+    assert.equal(budget.getReport().byDay.length, 1);
+  });
+
+  await t.test('a zero limit never throttles', () => {
+    const budget = guard({ monthlyLimit: 0 });
+    budget.record('openrouter', 100);
+    assert.equal(budget.state(), 'ok');
+  });
+
+  await t.test('negative or junk amounts are recorded as zero', () => {
+    const budget = guard();
+    assert.equal(budget.record('openrouter', -5), 0);
+    assert.equal(budget.record('openrouter', 'n/a'), 0);
+    assert.deepEqual(budget.getReport().byCategory.openrouter, { usd: 0, count: 2 });
+  });
+});
+
+test('persistence', async (t) => {
+  await t.test('spend is written after the save delay, not on every record', async () => {
+    const file = budgetFile();
+    const budget = guard({ filePath: file, saveDelayMs: 20 });
+    budget.record('openrouter', 1);
+    budget.record('twitter', 0.5);
+    assert.equal(fs.existsSync(file), false);
+    await sleep(50);
+    assert.equal(new BudgetGuard({ filePath: file, monthlyLimit: 10 }).monthSpend(), 1.5);
+    assert.equal(fs.existsSync(`${file}.tmp`), false);
+  });
+
+  await t.test('a threshold crossing is written straight away', () => {
+    const file = budgetFile();
+    guard({ filePath: file, saveDelayMs: 60_000 }).record('launch', 9.5);
+    const restarted = guard({ filePath: file });
+    assert.equal(restarted.state(), 'stopped');
+    assert.throws(() => restarted.assertCanSpend(), /emergency stop/);
+  });
+});
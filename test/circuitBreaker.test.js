@@ -0,0 +1,78 @@
+// test/circuitBreaker.test.js
+// Per-model breaker transitions: closed -> open after consecutive failures, open -> half_open after
+// the cooldown with a single trial call, and the trial closing or re-opening the breaker.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CircuitBreaker = require('../services/circuitBreaker');
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function openBreaker(model = 'test/model') {
+  const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 20 });
+  breaker.recordFailure(model, new Error('502'));
+  breaker.recordFailure(model, new Error('503'));
+  return breaker;
+}
+
+test('closed -> open', async (t) => {
+  await t.test('opens after the threshold of consecutive failures', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 60_000 });
+    breaker.recordFailure('m', new Error('boom'));
+    breaker.recordFailure('m', 'timeout');
+    assert.deepEqual([breaker.state('m'), breaker.canRequest('m')], ['closed', true]);
+    breaker.recordFailure('m');
+    assert.deepEqual([breaker.state('m'), breaker.canRequest('m')], ['open', false]);
+
+    const status = breaker.getStatus().m;
+    assert.deepEqual([status.failures, status.opens, status.lastError], [3, 1, 'error']);
+    assert.ok(new Date(status.reopensAt) > new Date());
+  });
+
+  await t.test('a success resets the failure count', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+    breaker.recordFailure('m');
+    breaker.recordSuccess('m');
+    breaker.recordFailure('m');
+    assert.equal(breaker.state('m'), 'closed');
+  });
+
+  await t.test('models are tracked separately', () => {
+    const breaker = openBreaker('a');
+    assert.equal(breaker.canRequest('a'), false);
+    assert.equal(breaker.canRequest('b'), true);
+  });
+});
+
+test('open -> half_open', async (t) => {
+  await t.test('lets exactly one trial call through after the cooldown', async () => {
+    const breaker = openBreaker();
+    await sleep(30);
+    assert.equal(breaker.state('test/model'), 'half_open');
+    assert.equal(breaker.getStatus()['test/model'].reopensAt, null);
+    assert.equal(breaker.canRequest('test/model'), true);
+    assert.equal(breaker.canRequest('test/model'), false);
+  });
+
+  await t.test('a successful trial closes the breaker', async () => {
+    const breaker = openBreaker();
+    await sleep(30);
+    breaker.canRequest('test/model');
+    breaker.recordSuccess('test/model');
+    assert.equal(breaker.state('test/model'), 'closed');
+    assert.equal(breaker.canRequest('test/model'), true);
+    assert.equal(breaker.getStatus()['test/model'].failures, 0);
+  });
+
+  await t.test('a failed trial re-opens it for another cooldown', async () => {
+    const breaker = openBreaker();
+    await sleep(30);
+    breaker.canRequest('test/model');
+    breaker.recordFailure('test/model', new Error('still down'));
+    assert.equal(breaker.state('test/model'), 'open');
+    assert.equal(breaker.canRequest('test/model'), false);
+    const status = breaker.getStatus()['test/model'];
+    assert.deepEqual([status.opens, status.lastError], [2, 'still down']);
+  });
+});
@@ -0,0 +1,226 @@
+// test/launchPipeline.test.js
+// The launch ledger (file store, filters, restart recovery, stats) and the staged pipeline on top of
+// it: state transitions, per-step retries, failure states, cost accounting and resume.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { LaunchLedger, FileLedgerStore, isFailedState } = require('../services/launchLedger');
+const LaunchPipeline = require('../services/launchPipeline');
+
+const dirs = [];
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+function ledgerFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+  dirs.push(dir);
+  return path.join(dir, 'launches.json');
+}
+
+async function ledgerAt(file = ledgerFile()) {
+  const ledger = new LaunchLedger(new FileLedgerStore(file));
+  await ledger.init();
+  return ledger;
+}
+
+const tweet = (author = 'someone') => ({ id: '1', author, text: 'gm' });
+
+// Steps that succeed unless `failures[name]` says how many times to fail first
+function steps({ failures = {}, runs = {}, throws = {} } = {}) {
+  const step = (name, doneState, extra = {}) => ({
+    name,
+    doneState,
+    run: async () => {
+      runs[name] = (runs[name] || 0) + 1;
+      if (throws[name]) throw new Error(`${name} exploded`);
+      if ((failures[name] || 0) > 0) {
+        failures[name]--;
+        return { ok: false, error: `${name} down` };
+      }
+      return { ok: true, [name]: { ok: name } };
+    },
+    ...extra,
+  });
+  return [
+    step('token', 'token_created', { cost: () => 0.5 }),
+    step('website', 'website_ready'),
+    step('trading', 'trading_live'),
+  ];
+}
+
+test('LaunchLedger', async (t) => {
+  await t.test('creates launches queued and persists them to the file', async () => {
+    const file = ledgerFile();
+    const ledger = await ledgerAt(file);
+    const launch = await ledger.createLaunch({ tweet: tweet(), analysis: { confidence: 0.9 }, mode: 'production', testMode: true });
+    assert.equal(launch.status, 'queued');
+    assert.deepEqual(launch.history.map(h => h.status), ['queued']);
+    assert.equal((await (await ledgerAt(file)).getLaunch(launch.id)).author, 'someone');
+  });
+
+  await t.test('transitions append to history and emit the previous state', async () => {
+    const ledger = await ledgerAt();
+    const seen = [];
+    ledger.on('transition', (rec, previous) => seen.push([previous, rec.status]));
+    const { id } = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    await ledger.transition(id, 'token_created', { cost: 0.1 });
+    const failed = await ledger.transition(id, 'failed_at_website', { error: 'website failed: down' });
+    assert.deepEqual(seen, [[null, 'queued'], ['queued', 'token_created'], ['token_created', 'failed_at_website']]);
+    assert.deepEqual(failed.history.map(h => h.status), ['queued', 'token_created', 'failed_at_website']);
+    assert.equal(failed.history[2].error, 'website failed: down');
+    assert.equal(failed.cost, 0.1);
+    assert.equal(isFailedState(failed.status), true);
+  });
+
+  await t.test('a restart marks in-flight launches interrupted and leaves finished ones alone', async () => {
+    const file = ledgerFile();
+    const ledger = await ledgerAt(file);
+    const active = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    await ledger.transition(active.id, 'website_ready');
+    const legacy = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    await ledger.transition(legacy.id, 'processing');
+    const done = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    await ledger.transition(done.id, 'completed');
+
+    const restarted = await ledgerAt(file);
+    const a = await restarted.getLaunch(active.id);
+    assert.deepEqual([a.status, a.interrupted], ['website_ready', true]);
+    const l = await restarted.getLaunch(legacy.id);
+    assert.deepEqual([l.status, l.interrupted], ['queued', true]);
+    assert.equal((await restarted.getLaunch(done.id)).interrupted, false);
+  });
+
+  await t.test('lists newest first with status, author, date and paging filters', async () => {
+    const ledger = await ledgerAt();
+    const ids = [];
+    for (const author of ['Alice', 'bob', 'alice']) {
+      ids.push((await ledger.createLaunch({ tweet: tweet(author), analysis: {}, mode: 'production' })).id);
+      await new Promise(r => setTimeout(r, 5));
+    }
+    await ledger.transition(ids[0], 'completed');
+    assert.deepEqual((await ledger.listLaunches()).map(l => l.id), [...ids].reverse());
+    assert.deepEqual((await ledger.listLaunches({ author: 'ALICE' })).map(l => l.id), [ids[2], ids[0]]);
+    assert.deepEqual((await ledger.listLaunches({ status: 'completed' })).map(l => l.id), [ids[0]]);
+    assert.deepEqual((await ledger.listLaunches({ statuses: ['queued'] })).map(l => l.id), [ids[2], ids[1]]);
+    assert.deepEqual((await ledger.listLaunches({ limit: 1, offset: 1 })).map(l => l.id), [ids[1]]);
+    assert.equal((await ledger.listLaunches({ to: '2000-01-01' })).length, 0);
+  });
+
+  await t.test('stats count launches, costs and the active queue', async () => {
+    const ledger = await ledgerAt();
+    const a = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    const b = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    await ledger.transition(a.id, 'completed', { cost: 0.25 });
+    await ledger.transition(b.id, 'failed_at_website', { cost: 0.5 });
+    await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    await ledger.recordConfidence(0.8);
+    await ledger.recordConfidence(0.6);
+    await ledger.recordConfidence('n/a');
+
+    const stats = await ledger.getStats();
+    assert.equal(stats.totalLaunches, 3);
+    assert.equal(stats.successfulLaunches, 1);
+    assert.equal(stats.successRate, 1 / 3);
+    assert.equal(stats.totalCosts, 0.75);
+    assert.equal(stats.launchQueue.length, 1);
+    assert.equal(stats.avgConfidence.toFixed(2), '0.70');
+    assert.equal(stats.confidenceSamples, undefined);
+  });
+});
+
+test('LaunchPipeline', async (t) => {
+  await t.test('runs every step in order to completed and adds step costs', async () => {
+    const ledger = await ledgerAt();
+    const out = await new LaunchPipeline(ledger, steps(), { retryDelayMs: 0 }).start({ tweet: tweet(), analysis: {}, mode: 'production', testMode: true });
+    assert.equal(out.ok, true);
+    assert.equal(out.launch.status, 'completed');
+    assert.deepEqual(out.launch.history.map(h => h.status), ['queued', 'token_created', 'website_ready', 'trading_live', 'completed']);
+    assert.equal(out.launch.cost, 0.5);
+    assert.deepEqual(out.launch.attempts, { token: 1, website: 1, trading: 1 });
+  });
+
+  await t.test('retries a failing step up to its retry count', async () => {
+    const ledger = await ledgerAt();
+    const pipeline = new LaunchPipeline(ledger, steps({ failures: { website: 2 } }), { retries: { website: 2 }, retryDelayMs: 0 });
+    const out = await pipeline.start({ tweet: tweet(), analysis: {}, mode: 'production' });
+    assert.equal(out.ok, true);
+    assert.equal(out.launch.attempts.website, 3);
+  });
+
+  await t.test('fails at the step that runs out of retries and keeps the cost spent so far', async () => {
+    const ledger = await ledgerAt();
+    const runs = {};
+    const pipeline = new LaunchPipeline(ledger, steps({ failures: { website: 5 }, runs }), { retries: { website: 1 }, retryDelayMs: 0 });
+    const out = await pipeline.start({ tweet: tweet(), analysis: {}, mode: 'production' });
+    assert.equal(out.ok, false);
+    assert.equal(out.status, 'failed_at_website');
+    assert.equal(out.error, 'website failed: website down');
+    assert.deepEqual(runs, { token: 1, website: 2 });
+    const launch = await ledger.getLaunch(out.launchId);
+    assert.equal(launch.cost, 0.5);
+    assert.equal(launch.steps.website.ok, false);
+  });
+
+  await t.test('a step that throws counts as a failed attempt', async () => {
+    const ledger = await ledgerAt();
+    const out = await new LaunchPipeline(ledger, steps({ throws: { token: true } }), { retryDelayMs: 0 }).start({ tweet: tweet(), analysis: {}, mode: 'production' });
+    assert.equal(out.status, 'failed_at_token');
+    assert.match(out.error, /token exploded/);
+  });
+
+  await t.test('resume continues from the failed step without re-running finished ones', async () => {
+    const ledger = await ledgerAt();
+    const runs = {};
+    const failures = { website: 1 };
+    const pipeline = new LaunchPipeline(ledger, steps({ failures, runs }), { retryDelayMs: 0 });
+    const failed = await pipeline.start({ tweet: tweet(), analysis: {}, mode: 'production' });
+    assert.equal(failed.status, 'failed_at_website');
+
+    const out = await pipeline.resume(failed.launchId);
+    assert.equal(out.ok, true);
+    assert.deepEqual(runs, { token: 1, website: 2, trading: 1 });
+    assert.equal(out.launch.cost, 0.5);
+    assert.equal(out.launch.error, null);
+    assert.ok(out.launch.resumedAt);
+  });
+
+  await t.test('resume after a restart picks up an interrupted launch', async () => {
+    const file = ledgerFile();
+    const ledger = await ledgerAt(file);
+    const launch = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    await ledger.recordStep(launch.id, 'token', { ok: true, token: {} });
+    await ledger.transition(launch.id, 'token_created');
+
+    const runs = {};
+    const out = await new LaunchPipeline(await ledgerAt(file), steps({ runs }), { retryDelayMs: 0 }).resume(launch.id);
+    assert.equal(out.ok, true);
+    assert.deepEqual(runs, { website: 1, trading: 1 });
+  });
+
+  await t.test('resume refuses unknown, completed, active and running launches', async () => {
+    const ledger = await ledgerAt();
+    let release;
+    const gate = new Promise(r => { release = r; });
+    const slow = steps();
+    slow[0].run = async () => { await gate; return { ok: true, token: {} }; };
+    const pipeline = new LaunchPipeline(ledger, slow, { retryDelayMs: 0 });
+
+    assert.equal((await pipeline.resume('nope')).code, 404);
+
+    const active = await ledger.createLaunch({ tweet: tweet(), analysis: {}, mode: 'production' });
+    const res = await pipeline.resume(active.id);
+    assert.deepEqual([res.code, res.error], [409, 'launch is not resumable from queued']);
+
+    const running = pipeline.run(active.id);
+    assert.equal(pipeline.isRunning(active.id), true);
+    assert.equal((await pipeline.run(active.id)).code, 409);
+    assert.equal((await pipeline.resume(active.id)).error, 'launch is already running');
+    release();
+    assert.equal((await running).ok, true);
+
+    assert.equal((await pipeline.resume(active.id)).error, 'launch already completed');
+  });
+});
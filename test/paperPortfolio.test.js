@@ -0,0 +1,92 @@
+// test/paperPortfolio.test.js
+// Concurrent buys and sells while the price feed is awaited: cash must not go negative, a
+// position must not be credited twice, and a reset drops buys still in flight.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PaperPortfolio = require('../services/paperPortfolio');
+
+const dirs = [];
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+// Price feed whose answers resolve only when release() is called
+function gatedFeed(price = 1) {
+  const waiting = [];
+  return {
+    getPrice: () => new Promise(resolve => waiting.push(() => resolve(price))),
+    release: () => waiting.splice(0).forEach(fn => fn()),
+  };
+}
+
+function portfolioWith(priceFeed, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'paper-'));
+  dirs.push(dir);
+  return new PaperPortfolio({ filePath: path.join(dir, 'paper.json'), priceFeed, startingSol: 1, feePercent: 0, slippagePercent: 0, ...opts });
+}
+
+test('concurrent buys cannot spend more than the cash balance', async () => {
+  const feed = gatedFeed();
+  const paper = portfolioWith(feed);
+  const pending = ['A', 'B', 'C'].map(address => paper.buy({ address }, { sol: 0.5 }));
+  feed.release();
+  const results = await Promise.all(pending);
+  assert.deepEqual(results.map(r => r.ok), [true, true, false]);
+  assert.equal(results[2].code, 409);
+  assert.equal(paper.state.cashSol, 0);
+});
+
+test('a buy of a token already being bought is refused', async () => {
+  const feed = gatedFeed();
+  const paper = portfolioWith(feed);
+  const first = paper.buy({ address: 'A' }, { sol: 0.5 });
+  const second = await paper.buy({ address: 'A' }, { sol: 0.5 });
+  assert.equal(second.code, 409);
+  feed.release();
+  assert.equal((await first).ok, true);
+  assert.equal(paper.state.cashSol, 0.5);
+});
+
+test('a failed price lookup releases the reserved cash', async () => {
+  const paper = portfolioWith({ getPrice: async () => { throw new Error('down'); } });
+  assert.equal((await paper.buy({ address: 'A' }, { sol: 1 })).code, 503);
+  assert.equal(paper.reservedSol, 0);
+  assert.equal(paper.state.cashSol, 1);
+});
+
+test('a position closed while a sell awaits its price is credited once', async () => {
+  const paper = portfolioWith({ getPrice: async () => 1 });
+  await paper.buy({ address: 'A' }, { sol: 0.5 });
+
+  const feed = gatedFeed(2);
+  paper.priceFeed = feed;
+  const manual = paper.sell('A');
+  const exit = await paper.sell('A', { reason: 'take_profit', price: 2 });
+  assert.equal(exit.ok, true);
+  feed.release();
+  const late = await manual;
+  assert.equal(late.ok, false);
+  assert.equal(late.code, 404);
+  assert.equal(paper.state.cashSol, 1.5);
+  assert.equal(paper.state.trades.filter(t => t.side === 'sell').length, 1);
+});
+
+test('a reset drops buys still waiting on a price', async () => {
+  const feed = gatedFeed();
+  const paper = portfolioWith(feed);
+  const stale = paper.buy({ address: 'A' }, { sol: 0.5 });
+  paper.reset();
+  assert.equal(paper.reservedSol, 0);
+
+  const fresh = paper.buy({ address: 'A' }, { sol: 1 });
+  feed.release();
+  assert.deepEqual(await stale, { ok: false, code: 409, error: 'paper portfolio was reset during the buy' });
+  assert.equal((await fresh).ok, true);
+  assert.equal(paper.reservedSol, 0);
+  assert.equal(paper.state.cashSol, 0);
+  assert.deepEqual(Object.keys(paper.state.positions), ['A']);
+  assert.equal(paper.state.trades.length, 1);
+});
@@ -0,0 +1,59 @@
+// test/sentimentAnalyzer.test.js
+// The sentiment read on the launch path: tweet metadata reaches the analysis, and the read moves the
+// launch verdict's confidence (never when the ensemble was unavailable).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SentimentAnalyzer = require('../services/sentimentAnalyzer');
+
+const ensembleWith = (scores) => ({ analyze: async () => scores });
+const failingEnsemble = { analyze: async () => { throw new Error('all models failed'); } };
+
+test('analyzeTweet', async (t) => {
+  const metadata = { metrics: { likes: 2000, replies: 0, retweets: 0, quotes: 0 }, media: [{ type: 'photo' }], cashtags: ['DOGE'] };
+
+  await t.test('uses the ensemble scores and the tweet metadata', async () => {
+    const analyzer = new SentimentAnalyzer(ensembleWith({ sentiment: 80, viral: 70, impact: 60, confidence: 90 }));
+    const out = await analyzer.analyzeTweet({ text: 'to the moon', author: 'someone', metadata });
+    assert.equal(out.sentiment, 80);
+    assert.equal(out.hasMedia, true);
+    assert.equal(out.hasCashtags, true);
+    assert.equal(out.engagement, 2000);
+    assert.equal(out.fallback, undefined);
+  });
+
+  await t.test('falls back instead of throwing when the ensemble fails', async () => {
+    const analyzer = new SentimentAnalyzer(failingEnsemble);
+    const out = await analyzer.analyzeTweet({ text: 'to the moon', author: 'someone', metadata });
+    assert.equal(out.fallback, true);
+    assert.equal(out.hasMedia, true);
+  });
+});
+
+test('applyToVerdict', async (t) => {
+  const analyzer = new SentimentAnalyzer(null);
+  const verdict = { shouldLaunch: true, confidence: 0.8 };
+
+  await t.test('a bearish read lowers the confidence, a bullish one raises it', () => {
+    const bearish = analyzer.applyToVerdict(verdict, { sentiment: 10, viral: 10, confidence: 100 }, 0.25);
+    const bullish = analyzer.applyToVerdict(verdict, { sentiment: 100, viral: 100, confidence: 100 }, 0.25);
+    assert.equal(bearish.confidence, 0.625);
+    assert.equal(bullish.confidence, 0.85);
+    assert.equal(bearish.verdictConfidence, 0.8);
+    assert.equal(bearish.sentimentScore, 0.1);
+    assert.equal(bearish.shouldLaunch, true);
+  });
+
+  await t.test('an unsure read moves it less', () => {
+    const sure = analyzer.applyToVerdict(verdict, { sentiment: 10, viral: 10, confidence: 100 }, 0.25);
+    const unsure = analyzer.applyToVerdict(verdict, { sentiment: 10, viral: 10, confidence: 20 }, 0.25);
+    assert.ok(unsure.confidence > sure.confidence);
+    assert.ok(unsure.confidence < 0.8);
+  });
+
+  await t.test('a fallback read or zero weight leaves the verdict alone', () => {
+    assert.equal(analyzer.applyToVerdict(verdict, analyzer.getFallbackAnalysis('x'), 0.25).confidence, 0.8);
+    assert.equal(analyzer.applyToVerdict(verdict, { sentiment: 0, viral: 0, confidence: 100 }, 0).confidence, 0.8);
+  });
+});
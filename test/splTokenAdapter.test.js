@@ -0,0 +1,193 @@
+// test/splTokenAdapter.test.js
+// Resuming an interrupted SPL mint against an in-memory cluster (real web3.js transactions, faked
+// RPC): a retry from a fresh adapter — as after a restart — finishes the same token and never mints
+// twice, whether the attempt died before the mint, before the mintTo, or after a mintTo whose
+// confirmation was lost. npm run e2e:spl covers the same against solana-test-validator.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SplTokenAdapter, base58Encode } = require('../services/splTokenAdapter');
+
+const sdk = (() => {
+  try {
+    return { web3: require('@solana/web3.js'), spl: require('@solana/spl-token') };
+  } catch {
+    return null;
+  }
+})();
+const skip = !sdk && 'Solana SDKs (optional dependencies) not installed';
+
+const dirs = [];
+test.after(() => dirs.forEach(d => fs.rmSync(d, { recursive: true, force: true })));
+
+// Just enough of a cluster for createToken: mints, balances, signatures and block height
+function fakeCluster() {
+  const { web3, spl } = sdk;
+  const chain = { mints: new Map(), statuses: new Map(), height: 1000, balance: 10 * web3.LAMPORTS_PER_SOL, calls: [], loseConfirmation: false };
+  const charge = (lamports) => { chain.balance -= lamports; };
+
+  chain.spl = {
+    ...spl,
+    createMint: async (_conn, _payer, mintAuthority, freezeAuthority, decimals, keypair) => {
+      chain.calls.push('createMint');
+      const address = keypair.publicKey.toBase58();
+      if (chain.mints.has(address)) throw new Error('account already in use');
+      chain.mints.set(address, { supply: 0n, decimals, mintAuthority, freezeAuthority });
+      charge(1_461_600);
+      return keypair.publicKey;
+    },
+    getMint: async (_conn, mint) => ({ ...chain.mints.get(mint.toBase58()) }),
+    getOrCreateAssociatedTokenAccount: async (_conn, _payer, mint, owner) => ({
+      address: spl.getAssociatedTokenAddressSync(mint, owner),
+    }),
+    setAuthority: async (_conn, _payer, mint, _current, type) => {
+      chain.calls.push(`setAuthority:${type}`);
+      const m = chain.mints.get(mint.toBase58());
+      if (type === spl.AuthorityType.MintTokens) m.mintAuthority = null;
+      else m.freezeAuthority = null;
+      charge(5000);
+    },
+  };
+
+  chain.connection = {
+    getBalance: async () => chain.balance,
+    getAccountInfo: async (key) => (chain.mints.has(key.toBase58()) ? { executable: false } : null),
+    getLatestBlockhash: async () => ({ blockhash: base58Encode(require('crypto').randomBytes(32)), lastValidBlockHeight: chain.height + 150 }),
+    getBlockHeight: async () => chain.height,
+    // Applies a mintTo (the only raw transaction createToken sends)
+    sendRawTransaction: async (raw) => {
+      const tx = web3.Transaction.from(raw);
+      const signature = base58Encode(tx.signature);
+      const [ix] = tx.instructions;
+      const m = chain.mints.get(ix.keys[0].pubkey.toBase58());
+      m.supply += Buffer.from(ix.data).readBigUInt64LE(1);
+      chain.statuses.set(signature, { err: null, confirmationStatus: 'confirmed' });
+      chain.calls.push('mintTo');
+      charge(5000);
+      return signature;
+    },
+    confirmTransaction: async () => {
+      if (chain.loseConfirmation) {
+        chain.loseConfirmation = false;
+        throw new Error('block height exceeded');
+      }
+      return { value: { err: null } };
+    },
+    getSignatureStatus: async (signature) => ({ value: chain.statuses.get(signature) || null }),
+  };
+  return chain;
+}
+
+function adapterOn(chain, payer) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spl-'));
+  dirs.push(dir);
+  const adapter = new SplTokenAdapter({ metadata: false, airdropSol: 0, decimals: 6, supply: 1000, localKeypairPath: path.join(dir, 'wallet.json') });
+  adapter.sdk = { web3: sdk.web3, spl: chain.spl };
+  adapter.connection = chain.connection;
+  adapter.payer = payer;
+  return adapter;
+}
+
+// checkpoint() that throws once when `when(progress)` first holds, like a crash at that point
+function crashingCheckpoint(when) {
+  const run = { progress: null, crashed: false };
+  run.checkpoint = async (progress) => {
+    run.progress = progress;
+    if (!run.crashed && when(progress)) {
+      run.crashed = true;
+      throw new Error('simulated crash');
+    }
+  };
+  return run;
+}
+
+const RAW_SUPPLY = 1000n * 10n ** 6n;
+
+test('createToken mints, revokes and checkpoints once', { skip }, async () => {
+  const chain = fakeCluster();
+  const run = crashingCheckpoint(() => false);
+  const out = await adapterOn(chain, sdk.web3.Keypair.generate()).createToken({ name: 'Test', symbol: 'TST', checkpoint: run.checkpoint });
+  assert.ok(out.ok, out.error);
+  const mint = chain.mints.get(out.token.address);
+  assert.equal(mint.supply, RAW_SUPPLY);
+  assert.equal(mint.mintAuthority, null);
+  assert.equal(mint.freezeAuthority, null);
+  assert.equal(run.progress.mint, out.token.address);
+  assert.equal(run.progress.mintSecret, null);
+  assert.equal(out.token.signature, run.progress.mintSignature);
+  assert.deepEqual(chain.calls, ['createMint', 'mintTo', 'setAuthority:0', 'setAuthority:1']);
+});
+
+test('a retry after a restart finishes the same token without minting twice', { skip }, async (t) => {
+  const cases = {
+    'a crash before the mint is sent': { when: (p) => !!p.mintSecret },
+    'a crash before the mintTo is sent': { when: (p) => !!p.mintSignature },
+    'a mintTo whose confirmation was lost': { when: () => false, loseConfirmation: true },
+  };
+  for (const [label, c] of Object.entries(cases)) {
+    await t.test(label, async () => {
+      const chain = fakeCluster();
+      const payer = sdk.web3.Keypair.generate();
+      const run = crashingCheckpoint(c.when);
+      chain.loseConfirmation = !!c.loseConfirmation;
+
+      const failed = await adapterOn(chain, payer).createToken({ name: 'Test', symbol: 'TST', checkpoint: run.checkpoint });
+      assert.equal(failed.ok, false);
+      const spentBefore = 10 * sdk.web3.LAMPORTS_PER_SOL - chain.balance;
+      // the unsent mintTo's blockhash has expired by the time the retry looks at it
+      chain.height += 1000;
+
+      const retried = await adapterOn(chain, payer).createToken({ name: 'Test', symbol: 'TST', resume: run.progress, checkpoint: run.checkpoint });
+      assert.ok(retried.ok, retried.error);
+      assert.equal(retried.token.address, run.progress.mint);
+      assert.equal(chain.mints.size, 1);
+      assert.equal(chain.mints.get(retried.token.address).supply, RAW_SUPPLY);
+      assert.equal(chain.calls.filter(x => x === 'createMint').length, 1);
+      assert.equal(chain.calls.filter(x => x === 'mintTo').length, 1);
+      assert.equal(run.progress.mintSecret, null);
+      assert.ok(retried.token.cost >= spentBefore / sdk.web3.LAMPORTS_PER_SOL, 'cost includes the failed attempt');
+    });
+  }
+});
+
+test('a pending mintTo is waited for, not re-sent, while it can still land', { skip }, async () => {
+  const chain = fakeCluster();
+  const payer = sdk.web3.Keypair.generate();
+  const run = crashingCheckpoint((p) => !!p.mintSignature);
+  await adapterOn(chain, payer).createToken({ name: 'Test', symbol: 'TST', checkpoint: run.checkpoint });
+
+  // The "crashed" mintTo lands a moment later, before its blockhash expires
+  const mint = chain.mints.get(run.progress.mint);
+  setTimeout(() => {
+    mint.supply = RAW_SUPPLY;
+    chain.statuses.set(run.progress.mintSignature, { err: null, confirmationStatus: 'confirmed' });
+  }, 200);
+  const retried = await adapterOn(chain, payer).createToken({ name: 'Test', symbol: 'TST', resume: run.progress, checkpoint: run.checkpoint });
+  assert.ok(retried.ok, retried.error);
+  assert.equal(mint.supply, RAW_SUPPLY);
+  assert.equal(chain.calls.filter(x => x === 'mintTo').length, 0);
+});
+
+test('a resume with a different wallet is refused instead of failing mid-way', { skip }, async () => {
+  const chain = fakeCluster();
+  const run = crashingCheckpoint((p) => !!p.mintSignature);
+  await adapterOn(chain, sdk.web3.Keypair.generate()).createToken({ name: 'Test', symbol: 'TST', checkpoint: run.checkpoint });
+  chain.height += 1000;
+  const out = await adapterOn(chain, sdk.web3.Keypair.generate()).createToken({ name: 'Test', symbol: 'TST', resume: run.progress });
+  assert.equal(out.ok, false);
+  assert.match(out.error, /mint authority of .* is .*, not this wallet/);
+});
+
+test('the local-validator wallet is generated once and reused', { skip }, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spl-'));
+  dirs.push(dir);
+  const file = path.join(dir, 'data', 'wallet.json');
+  const make = () => Object.assign(new SplTokenAdapter({ localKeypairPath: file }), { sdk });
+  const first = make().localWallet();
+  assert.equal(make().localWallet().publicKey.toBase58(), first.publicKey.toBase58());
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
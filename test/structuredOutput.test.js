@@ -0,0 +1,95 @@
+// test/structuredOutput.test.js
+// JSON structured output: extraction from fenced / prose-wrapped replies, schema validation with
+// coercion, and the single repair re-prompt (with per-model parse-failure stats).
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractJson, validate, request, getStats, SCHEMAS } = require('../services/structuredOutput');
+
+const launchReply = { confidence: 0.8, shouldLaunch: true, tokenSuggestion: { name: 'Test', symbol: 'TST' } };
+
+// chat() that answers with `replies` in turn and records the prompts it got
+function scriptedChat(replies) {
+  const prompts = [];
+  const chat = async (_model, _system, user) => {
+    prompts.push(user);
+    return replies[prompts.length - 1];
+  };
+  return { chat, prompts };
+}
+
+test('extractJson', async (t) => {
+  await t.test('parses raw, fenced and prose-wrapped JSON', () => {
+    assert.deepEqual(extractJson('{"a":1}'), { a: 1 });
+    assert.deepEqual(extractJson('Here:\n```json\n{"a":2}\n```\nDone'), { a: 2 });
+    assert.deepEqual(extractJson('Sure! Here it is: {"a":3, "b":"}"} hope that helps'), { a: 3, b: '}' });
+    assert.deepEqual(extractJson('list: [1, 2]'), [1, 2]);
+  });
+
+  await t.test('returns undefined when there is no JSON', () => {
+    assert.equal(extractJson(''), undefined);
+    assert.equal(extractJson(null), undefined);
+    assert.equal(extractJson('I cannot help with that {not json}'), undefined);
+  });
+});
+
+test('validate', async (t) => {
+  await t.test('coerces numeric and boolean strings', () => {
+    const out = validate({ confidence: '0.8', shouldLaunch: 'true', tokenSuggestion: { name: 'Test', symbol: 'TST' } }, SCHEMAS.launch);
+    assert.deepEqual(out.errors, []);
+    assert.equal(out.value.confidence, 0.8);
+    assert.equal(out.value.shouldLaunch, true);
+  });
+
+  await t.test('reports every problem with its path', () => {
+    const out = validate({ confidence: 2, tokenSuggestion: { name: 'Test', symbol: 'X'.repeat(20) } }, SCHEMAS.launch);
+    assert.deepEqual(out.errors, [
+      '$.shouldLaunch is required',
+      '$.confidence must be <= 1',
+      '$.tokenSuggestion.symbol must be at most 16 characters',
+    ]);
+    assert.deepEqual(validate({ summary: 's', signal: 'HUGE', keywords: ['a', 1] }, SCHEMAS.summary).errors, [
+      '$.signal must be one of HIGH, MEDIUM, LOW',
+      '$.keywords[1] must be a string',
+    ]);
+    assert.deepEqual(validate([], SCHEMAS.sentiment).errors, ['$ must be an object']);
+  });
+});
+
+test('request', async (t) => {
+  await t.test('returns a valid first reply without re-prompting', async () => {
+    const { chat, prompts } = scriptedChat([JSON.stringify(launchReply)]);
+    assert.deepEqual(await request({ chat, model: 'test/ok', system: 's', user: 'u', schema: 'launch' }), launchReply);
+    assert.equal(prompts.length, 1);
+    assert.deepEqual(getStats()['test/ok'], { calls: 1, parseFailures: 0, repaired: 0, invalid: 0 });
+  });
+
+  await t.test('re-prompts once with the previous reply and its errors', async () => {
+    const { chat, prompts } = scriptedChat(['{"confidence": 0.8}', '```json\n' + JSON.stringify(launchReply) + '\n```']);
+    assert.deepEqual(await request({ chat, model: 'test/repair', system: 's', user: 'analyze this', schema: 'launch' }), launchReply);
+    assert.equal(prompts.length, 2);
+    assert.match(prompts[1], /^analyze this/);
+    assert.match(prompts[1], /Your previous reply was:\n\{"confidence": 0\.8\}/);
+    assert.match(prompts[1], /rejected: \$\.shouldLaunch is required; \$\.tokenSuggestion is required\./);
+    assert.deepEqual(getStats()['test/repair'], { calls: 1, parseFailures: 1, repaired: 1, invalid: 0 });
+  });
+
+  await t.test('throws SCHEMA_INVALID when the repair is invalid too', async () => {
+    const { chat, prompts } = scriptedChat(['no idea', 'still no idea']);
+    await assert.rejects(
+      request({ chat, model: 'test/bad', system: 's', user: 'u', schema: 'sentiment' }),
+      (e) => e.code === 'SCHEMA_INVALID' && e.message === 'test/bad returned invalid sentiment output: reply contained no JSON',
+    );
+    assert.equal(prompts.length, 2);
+    assert.deepEqual(getStats()['test/bad'], { calls: 1, parseFailures: 1, repaired: 0, invalid: 1 });
+  });
+
+  await t.test('passes the abort signal through and rejects unknown schemas', async () => {
+    const signal = new AbortController().signal;
+    let seen;
+    await request({ chat: async (_m, _s, _u, opts) => { seen = opts.signal; return '{"score": 5}'; }, model: 'test/sig', system: 's', user: 'u', schema: 'sentimentScore', signal });
+    assert.equal(seen, signal);
+    await assert.rejects(request({ chat: async () => '{}', model: 'test/x', schema: 'nope' }), /Unknown output schema: nope/);
+  });
+});
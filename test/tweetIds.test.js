@@ -0,0 +1,142 @@
+// test/tweetIds.test.js
+// Replays data/fixtures/tweetIds.json: id ordering, fresh-tweet detection, buffer order and edit
+// merging, and deletion detection — the cases string comparison and find()-based dedupe got wrong.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { compareIds, isNewer } = require('../services/tweetIds');
+const TweetBuffer = require('../services/tweetBuffer');
+const TwitterMonitor = require('../services/twitterMonitor');
+const VelocityTracker = require('../services/velocityTracker');
+
+const fixture = require(path.join(__dirname, '..', 'data', 'fixtures', 'tweetIds.json'));
+
+const ids = (tweets) => tweets.map(t => t.id);
+
+// A monitor that serves `timeline` for every fetch; nothing is started, so no timers run
+function monitorWith(timeline) {
+  return new TwitterMonitor({ fetchTimeline: async () => timeline.map(id => (typeof id === 'string' ? { id, text: '' } : id)) });
+}
+
+test('compareIds', async (t) => {
+  for (const c of fixture.compare) {
+    await t.test(c.name, () => {
+      assert.equal(Math.sign(compareIds(c.a, c.b)), c.expected);
+      assert.equal(Math.sign(compareIds(c.b, c.a)), -c.expected);
+      assert.equal(isNewer(c.a, c.b), c.expected > 0);
+    });
+  }
+  await t.test('anything is newer than no last-seen id', () => {
+    assert.equal(isNewer('1', undefined), true);
+    assert.equal(isNewer('1', ''), true);
+  });
+});
+
+test('fresh tweets and last-seen id', async (t) => {
+  for (const c of fixture.fresh) {
+    await t.test(c.name, async () => {
+      const monitor = monitorWith(c.timeline);
+      monitor.lastSeenByKey.someone = c.since;
+      const fresh = await monitor.fetchFresh('someone');
+      assert.deepEqual(ids(fresh), c.expectedFresh);
+      assert.equal(monitor.lastSeenByKey.someone, c.expectedLastSeen ?? c.expectedFresh[0] ?? c.since);
+    });
+  }
+});
+
+test('TweetBuffer#push', async (t) => {
+  for (const c of fixture.buffer) {
+    await t.test(c.name, () => {
+      const buffer = new TweetBuffer();
+      const added = buffer.push(c.push.map(tw => ({ author: 'someone', ...tw })));
+      assert.deepEqual(ids(buffer.recent(50)), c.expectedOrder);
+      if (c.expectedAdded) assert.deepEqual(ids(added), c.expectedAdded);
+    });
+  }
+
+  await t.test('a tweet seen twice is buffered once', () => {
+    const buffer = new TweetBuffer();
+    buffer.push([{ id: '1800000000000000001' }]);
+    assert.deepEqual(buffer.push([{ id: '1800000000000000001' }, { id: '1800000000000000002' }]).map(tw => tw.id), ['1800000000000000002']);
+    assert.equal(buffer.size, 2);
+  });
+
+  await t.test('an edit keeps the original\'s analysis and velocity', () => {
+    const buffer = new TweetBuffer();
+    const [original] = buffer.push([{ id: '1800000000000000010', author: 'someone' }]);
+    original.lastAnalysis = { confidence: 0.5 };
+    original.velocity = [{ velocity: 3 }];
+    buffer.push([{ id: '1800000000000000020', author: 'someone', text: 'fixed typo', editHistory: ['1800000000000000010'] }]);
+    const edited = buffer.get('1800000000000000020');
+    assert.equal(edited.edited, true);
+    assert.equal(edited.text, 'fixed typo');
+    assert.deepEqual(edited.lastAnalysis, { confidence: 0.5 });
+    assert.deepEqual(edited.velocity, [{ velocity: 3 }]);
+    assert.equal(buffer.get('1800000000000000010'), null);
+  });
+
+  await t.test('an edit updates the original object, so references held elsewhere follow it', () => {
+    const buffer = new TweetBuffer();
+    const [original] = buffer.push([{ id: '1800000000000000010', author: 'someone', text: 'gm' }]);
+    const seen = [];
+    buffer.on('edited', (tw, originalId) => seen.push([tw, originalId]));
+    buffer.push([{ id: '1800000000000000020', author: 'someone', text: 'gm!', editHistory: ['1800000000000000010'] }]);
+    assert.equal(buffer.get('1800000000000000020'), original);
+    assert.equal(buffer.recent()[0], original);
+    assert.equal(original.id, '1800000000000000020');
+    assert.deepEqual(seen, [[original, '1800000000000000010']]);
+    assert.equal(buffer.size, 1);
+  });
+
+  await t.test('velocity tracking follows an edited tweet to its new id', async () => {
+    const buffer = new TweetBuffer();
+    const fetched = [];
+    const velocity = new VelocityTracker({
+      checkpointsMs: [0],
+      fetchTweets: async (list) => { fetched.push(...list); return list.map(id => ({ id, metrics: { likes: 10 } })); },
+    });
+    const [original] = buffer.push([{ id: '1800000000000000010', author: 'someone', metrics: { likes: 1 } }]);
+    velocity.track(original);
+    buffer.on('edited', (tw, originalId) => velocity.rekey(originalId, tw.id));
+    buffer.push([{ id: '1800000000000000020', author: 'someone', editHistory: ['1800000000000000010'] }]);
+
+    await velocity.tick();
+    assert.deepEqual(fetched, ['1800000000000000020']);
+    assert.equal(original.velocity.curve.length, 2);
+    assert.equal(original.velocity.done, true);
+    assert.equal(velocity.tracked.size, 0);
+  });
+
+  await t.test('oldest tweets fall off past max', () => {
+    const buffer = new TweetBuffer({ max: 2 });
+    buffer.push([{ id: '3' }, { id: '1' }, { id: '2' }]);
+    assert.deepEqual(ids(buffer.recent()), ['3', '2']);
+    assert.equal(buffer.get('1'), null);
+  });
+});
+
+test('TwitterMonitor#detectDeletions', async (t) => {
+  for (const c of fixture.deletions) {
+    await t.test(c.name, () => {
+      const monitor = monitorWith([]);
+      monitor.timelineIds.someone = [...c.previous];
+      let deleted = [];
+      monitor.on('deleted', (list) => { deleted = list; });
+      monitor.detectDeletions('someone', 'someone', c.current);
+      assert.deepEqual(deleted, c.expectedDeleted);
+      assert.deepEqual(monitor.timelineIds.someone, ids(c.current));
+    });
+  }
+
+  await t.test('an empty page deletes nothing and keeps the previous timeline', () => {
+    const monitor = monitorWith([]);
+    monitor.timelineIds.someone = ['1800000000000000010'];
+    let fired = false;
+    monitor.on('deleted', () => { fired = true; });
+    monitor.detectDeletions('someone', 'someone', []);
+    assert.equal(fired, false);
+    assert.deepEqual(monitor.timelineIds.someone, ['1800000000000000010']);
+  });
+});
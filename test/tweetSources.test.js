@@ -0,0 +1,124 @@
+// test/tweetSources.test.js
+// The tweet source chain: falling through to the next provider on 402/429, sidelining a provider
+// after repeated quota errors, billing only answered requests, and not falling through on other errors.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TweetSourceChain, createTweetSources } = require('../services/tweetSources');
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+// Provider whose fetchUserTweets answers from `replies` in turn (an Error/status is thrown)
+function fakeSource(name, replies = [], extra = {}) {
+  const source = {
+    name,
+    configured: true,
+    costPerRequest: 0.01,
+    calls: 0,
+    async fetchUserTweets() {
+      const reply = replies[Math.min(source.calls++, replies.length - 1)];
+      if (typeof reply === 'number') throw httpError(reply);
+      if (reply instanceof Error) throw reply;
+      return reply;
+    },
+    ...extra,
+  };
+  return source;
+}
+
+function chainOf(sources, opts = {}) {
+  const billed = [];
+  const chain = new TweetSourceChain({ sources, failoverThreshold: 2, cooldownMs: 60_000, onResponse: s => billed.push(s.name), ...opts });
+  return { chain, billed };
+}
+
+test('fallthrough', async (t) => {
+  for (const status of [402, 429]) {
+    await t.test(`a ${status} falls through to the next provider`, async () => {
+      const a = fakeSource('a', [status]);
+      const b = fakeSource('b', [['from b']]);
+      const { chain, billed } = chainOf([a, b]);
+      assert.deepEqual(await chain.fetchUserTweets('someone'), ['from b']);
+      assert.deepEqual([a.calls, b.calls], [1, 1]);
+      assert.deepEqual(billed, ['b']);
+      assert.equal(chain.getStatus().providers.a.lastError, `Request failed with status code ${status}`);
+    });
+  }
+
+  await t.test('other errors are thrown without trying the next provider', async () => {
+    for (const error of [httpError(404), httpError(500), new Error('socket hang up')]) {
+      const b = fakeSource('b', [['from b']]);
+      const { chain, billed } = chainOf([fakeSource('a', [error]), b]);
+      await assert.rejects(chain.fetchUserTweets('someone'), error);
+      assert.equal(b.calls, 0);
+      assert.deepEqual(billed, []);
+    }
+  });
+
+  await t.test('throws the last quota error when every provider is out of quota', async () => {
+    const { chain } = chainOf([fakeSource('a', [402]), fakeSource('b', [429])]);
+    await assert.rejects(chain.fetchUserTweets('someone'), (e) => e.response.status === 429);
+  });
+
+  await t.test('providers without the method are skipped', async () => {
+    const a = fakeSource('a', [['from a']]);
+    const b = fakeSource('b', [], { fetchTweetsByIds: async (ids) => ids.map(id => ({ id })) });
+    const { chain } = chainOf([a, b]);
+    assert.deepEqual(await chain.fetchTweetsByIds(['1']), [{ id: '1' }]);
+    await assert.rejects(chain.lookupUser('someone'), /no tweet source supports lookupUser/);
+    await assert.rejects(chainOf([]).chain.fetchUserTweets('x'), /no tweet source configured/);
+  });
+});
+
+test('sidelining', async (t) => {
+  await t.test('repeated quota errors move a provider behind the healthy ones', async () => {
+    const a = fakeSource('a', [429, 429, ['from a']]);
+    const b = fakeSource('b', [['from b']]);
+    const { chain } = chainOf([a, b]);
+    await chain.fetchUserTweets('someone');
+    assert.equal(chain.active().name, 'a');
+    await chain.fetchUserTweets('someone');
+    assert.equal(chain.active().name, 'b');
+    assert.ok(chain.getStatus().providers.a.sidelinedUntil);
+
+    await chain.fetchUserTweets('someone');
+    assert.deepEqual([a.calls, b.calls], [2, 3]);
+  });
+
+  await t.test('a success in between resets the strikes', async () => {
+    const a = fakeSource('a', [429, ['ok'], 429, ['ok']]);
+    const { chain } = chainOf([a, fakeSource('b', [['from b']])]);
+    for (let i = 0; i < 4; i++) await chain.fetchUserTweets('someone');
+    assert.equal(chain.active().name, 'a');
+    assert.equal(chain.getStatus().providers.a.strikes, 0);
+  });
+
+  await t.test('a sidelined provider is still tried as a last resort', async () => {
+    const a = fakeSource('a', [429, 429, ['from a']]);
+    const b = fakeSource('b', [402]);
+    const { chain, billed } = chainOf([a, b], { failoverThreshold: 1 });
+    await assert.rejects(chain.fetchUserTweets('someone'));
+    assert.equal(chain.active().name, 'a'); // both sidelined: configured order
+    await assert.rejects(chain.fetchUserTweets('someone'));
+    assert.deepEqual(await chain.fetchUserTweets('someone'), ['from a']);
+    assert.deepEqual(billed, ['a']);
+  });
+
+  await t.test('a provider comes back once its cooldown has passed', async () => {
+    const a = fakeSource('a', [429, ['from a']]);
+    const { chain } = chainOf([a, fakeSource('b', [['from b']])], { failoverThreshold: 1 });
+    await chain.fetchUserTweets('someone');
+    assert.equal(chain.active().name, 'b');
+    chain.health.a.sidelinedUntil = Date.now() - 1;
+    assert.equal(chain.active().name, 'a');
+    assert.deepEqual(await chain.fetchUserTweets('someone'), ['from a']);
+  });
+});
+
+test('createTweetSources orders and filters providers from env', () => {
+  const chain = createTweetSources({ TWEET_SOURCES: 'rapidapi, twitterapi.io', RAPIDAPI_KEY: 'r', TWITTERAPI_IO_KEY: 't', TWITTER_BEARER_TOKEN: 'b' });
+  assert.deepEqual(chain.getStatus().order, ['rapidapi', 'twitterapi.io']);
+  assert.deepEqual(createTweetSources({ TWITTER_BEARER_TOKEN: 'b' }).getStatus().order, ['official']);
+  assert.equal(createTweetSources({}).configured, false);
+});
@@ -0,0 +1,58 @@
+// test/twitterUserResolver.test.js
+// Network lookups of unknown handles: a handle the lookup can't find is not looked up (and billed)
+// again until its miss expires, quota errors are retried, and callers can skip the lookup entirely.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const resolver = require('../services/twitterUserResolver');
+
+const httpError = (status) => Object.assign(new Error(`status ${status}`), { response: { status } });
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Lookup that answers from `replies` in turn (an Error is thrown) and counts its calls
+function lookupWith(replies, missTtlMs = 60_000) {
+  const lookup = { calls: [] };
+  resolver.setNetworkLookup(async (h) => {
+    const reply = replies[Math.min(lookup.calls.push(h) - 1, replies.length - 1)];
+    if (reply instanceof Error) throw reply;
+    return reply;
+  }, { missTtlMs });
+  return lookup;
+}
+
+test.after(() => resolver.setNetworkLookup(null));
+
+test('a handle the lookup cannot find is not looked up again within the miss TTL', async () => {
+  const lookup = lookupWith([null]);
+  assert.deepEqual(await resolver.resolveHandleToIdWithSource('nobody_here_1'), { id: null, source: 'none' });
+  assert.deepEqual(await resolver.resolveHandleToIdWithSource('@Nobody_Here_1'), { id: null, source: 'none' });
+  assert.equal(lookup.calls.length, 1);
+});
+
+test('a 404 is cached as a miss, a 429 is not', async () => {
+  const notFound = lookupWith([httpError(404)]);
+  await resolver.resolveHandleToIdWithSource('nobody_here_2');
+  await resolver.resolveHandleToIdWithSource('nobody_here_2');
+  assert.equal(notFound.calls.length, 1);
+
+  const quota = lookupWith([httpError(429)]);
+  await resolver.resolveHandleToIdWithSource('nobody_here_3');
+  await resolver.resolveHandleToIdWithSource('nobody_here_3');
+  assert.equal(quota.calls.length, 2);
+});
+
+test('a miss is looked up again once it expires', async () => {
+  const lookup = lookupWith([null], 20);
+  await resolver.resolveHandleToIdWithSource('nobody_here_4');
+  await sleep(30);
+  await resolver.resolveHandleToIdWithSource('nobody_here_4');
+  assert.equal(lookup.calls.length, 2);
+});
+
+test('{ network: false } only answers from the cache and built-in map', async () => {
+  const lookup = lookupWith(['123']);
+  assert.deepEqual(await resolver.resolveHandleToIdWithSource('nobody_here_5', { network: false }), { id: null, source: 'none' });
+  assert.equal((await resolver.resolveHandleToIdWithSource('elonmusk', { network: false })).id, '44196397');
+  assert.equal(lookup.calls.length, 0);
+});